@@ -9,12 +9,31 @@ const { randomUUID, createHash } = require('crypto');
 const utils = require('./utils/utils');
 const db = require('./utils/db');
 const notifications = require('./utils/notifications');
+const outbox = require('./utils/outbox');
+const roles = require('./utils/roles');
+const pagination = require('./utils/pagination');
+const scheduler = require('./utils/scheduler');
+const exporter = require('./utils/export');
+const api = require('./utils/api');
+const actions = require('./utils/actions');
+const web = require('./utils/web');
+const migrations = require('./utils/migrations');
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const ADMIN_ID = Number(process.env.ADMIN_ID) || 0;
 const DATABASE_URL = process.env.DATABASE_URL;
 const PORT = Number(process.env.PORT) || 3000;
 const WEBHOOK_URL = process.env.WEBHOOK_URL || process.env.RENDER_EXTERNAL_URL || null;
+// Clients can cancel on their own until this many hours before the visit; later cancellations need an admin
+const CLIENT_CANCEL_CUTOFF_HOURS = process.env.CLIENT_CANCEL_CUTOFF_HOURS !== undefined ? Number(process.env.CLIENT_CANCEL_CUTOFF_HOURS) : 24;
+// Every NO_SHOW_BAN_THRESHOLD-th no-show blacklists the client for NO_SHOW_BAN_DAYS days (0 = until lifted); threshold 0 disables
+const NO_SHOW_BAN_THRESHOLD = Number(process.env.NO_SHOW_BAN_THRESHOLD) || 0;
+const NO_SHOW_BAN_DAYS = Number(process.env.NO_SHOW_BAN_DAYS) || 0;
+// Shown as the location of calendar (.ics) events
+const CLINIC_ADDRESS = process.env.CLINIC_ADDRESS || '';
+// Read-only HTTP API (utils/api.js); without API_TOKEN it is not served. CALENDAR_TOKEN guards /calendar.ics if set.
+const API_TOKEN = process.env.API_TOKEN || '';
+const CALENDAR_TOKEN = process.env.CALENDAR_TOKEN || API_TOKEN;
 
 const ADMIN_IDS_RAW = process.env.ADMIN_IDS || String(process.env.ADMIN_ID || ADMIN_ID);
 const ADMIN_IDS = new Set(
@@ -25,13 +44,73 @@ const ADMIN_IDS = new Set(
     .filter(n => !Number.isNaN(n))
 );
 
-function isAdmin(ctxOrId) {
+// Admin roles live in the admins table (ADMIN_IDS / ADMIN_ID only bootstrap the first owner).
+// Specialists linked to a Telegram account are admins too, limited to their own requests.
+// Both maps are reloaded by loadAdmins whenever admins or specialists change.
+let adminRoles = new Map(); // telegram id -> role
+let specialistAdmins = new Map(); // telegram id -> specialist id
+
+function isClinicAdmin(n) {
+  return adminRoles.has(n);
+}
+
+function adminRole(ctxOrId) {
   const id = (typeof ctxOrId === 'object' && ctxOrId?.from?.id) ? ctxOrId.from.id : ctxOrId;
   const n = Number(id);
-  if (Number.isNaN(n)) return false;
-  if (ADMIN_IDS.has(n)) return true;
-  if (ADMIN_ID && n === ADMIN_ID) return true;
-  return false;
+  if (Number.isNaN(n)) return null;
+  if (adminRoles.has(n)) return adminRoles.get(n);
+  return specialistAdmins.has(n) ? 'specialist' : null;
+}
+
+function isAdmin(ctxOrId) {
+  return adminRole(ctxOrId) !== null;
+}
+
+// Per-action access check, see utils/roles.js for what each role may do
+function can(ctxOrId, permission) {
+  return roles.can(adminRole(ctxOrId), permission);
+}
+
+// The specialist an admin is limited to, or null for clinic admins who see everything
+function ownSpecialistId(ctxOrId) {
+  const n = Number((typeof ctxOrId === 'object' && ctxOrId?.from?.id) ? ctxOrId.from.id : ctxOrId);
+  if (isClinicAdmin(n)) return null;
+  return specialistAdmins.get(n) || null;
+}
+
+// Request card, or null when it is on another specialist's schedule
+async function loadOwnRequest(ctx, id) {
+  const r = await db.getRequestCard(pool, id);
+  const own = ownSpecialistId(ctx);
+  return r && (!own || r.specialist_id === own) ? r : null;
+}
+
+function ownsSlot(ctx, slot) {
+  const own = ownSpecialistId(ctx);
+  return !own || slot.specialist_id === own;
+}
+
+async function loadAdmins() {
+  const admins = await db.getAdmins(pool);
+  adminRoles = new Map(admins.map(a => [Number(a.telegram_id), a.role]));
+  const list = await db.getSpecialists(pool);
+  specialistAdmins = new Map(list.filter(s => s.telegram_id).map(s => [Number(s.telegram_id), s.id]));
+}
+
+// Clinic admins get everything through sendToAdmins; this adds the specialist whose slot it is
+async function notifySlotSpecialist(slotOrId, text, extra = {}) {
+  try {
+    const slot = typeof slotOrId === 'object' ? slotOrId : (slotOrId ? await db.getSlotById(pool, slotOrId) : null);
+    if (!slot || !slot.specialist_id) return;
+    const sp = await db.getSpecialistById(pool, slot.specialist_id);
+    if (!sp || !sp.telegram_id || isClinicAdmin(Number(sp.telegram_id))) return;
+    await db.enqueueMessage(pool, sp.telegram_id, text, extra);
+  } catch (e) { console.error('notify specialist failed', e); }
+}
+
+// Record an admin action in the audit log, see actions.audit
+async function audit(ctx, action, opts) {
+  await actions.audit(pool, ctx.from.id, action, opts);
 }
 
 if (!BOT_TOKEN) {
@@ -42,6 +121,10 @@ if (!DATABASE_URL) {
   console.error('ERROR: set DATABASE_URL in env (Postgres connection string)');
   process.exit(1);
 }
+if (!utils.isValidTimeZone(utils.getClinicTimeZone())) {
+  console.error(`ERROR: CLINIC_TZ "${utils.getClinicTimeZone()}" is not a valid IANA time zone`);
+  process.exit(1);
+}
 
 const bot = new Telegraf(BOT_TOKEN);
 
@@ -52,7 +135,10 @@ const pool = new Pool({
 
 (async () => {
   try {
-    await db.initDb(pool);
+    const applied = await migrations.migrate(pool);
+    if (applied.length > 0) console.log('Applied migrations:', applied.map(m => `${m.version} ${m.name}`).join(', '));
+    await db.bootstrapOwners(pool, [...ADMIN_IDS].filter(n => n > 0));
+    await loadAdmins();
     console.log('DB initialized');
   } catch (err) {
     console.error('DB init error', err);
@@ -60,7 +146,58 @@ const pool = new Pool({
   }
 })();
 
-const adminStates = {};
+// --- DIALOG STATE (persisted in Postgres, see db.getDialogState) ---
+// How long each multi-step dialog stays alive, in minutes
+const DIALOG_TTL_MINUTES = {
+  feedback: 60,
+  addslot: 15,
+  addproc: 15,
+  addblack: 15,
+  addblack_reason: 15,
+  addblack_expiry: 15,
+  addpattern_wait_name: 15,
+  addpattern_wait_intervals: 15,
+  applypattern_choosing: 15,
+  applypattern_wait_date: 15,
+  applypattern_choose: 15,
+  applyrange_dates: 15,
+  applyrange_pattern: 15,
+  applyrange_confirm: 15,
+  schedexc_dates: 15,
+  schedexc_reason: 15,
+  bulk_dates: 15,
+  bulk_confirm: 15,
+  export_dates: 15,
+  export_status: 15,
+  addrule_wait_offset: 15,
+  addrule_wait_message: 15,
+  move: 30,
+  client_move: 30,
+  waitlist_dates: 15,
+  editproc: 15,
+  addspec_wait_name: 15,
+  addspec_wait_tg: 15,
+  addadmin_wait_id: 15,
+  audit_client: 15
+};
+const DEFAULT_DIALOG_TTL_MINUTES = 30;
+const DIALOG_EXPIRED_TEXT = 'Время ожидания истекло, диалог сброшен. Начните заново.';
+
+async function loadState(userId) {
+  const row = await db.getDialogState(pool, userId);
+  if (!row) return { st: null, expired: false };
+  if (row.expired) return { st: null, expired: Boolean(row.state && row.state.mode) };
+  return { st: row.state, expired: false };
+}
+
+async function setState(userId, state) {
+  const ttl = DIALOG_TTL_MINUTES[state.mode] || DEFAULT_DIALOG_TTL_MINUTES;
+  await db.setDialogState(pool, userId, state, ttl);
+}
+
+async function clearState(userId) {
+  await db.clearDialogState(pool, userId);
+}
 
 // --- HELPERS FOR SAFE CALLBACK KEYS ---
 function shortHash(s) {
@@ -84,6 +221,40 @@ async function resolveProcedureKeyMaybeHashed(pool, token) {
 }
 // ----------------------------------------
 
+// --- SLOT FIT (procedure durations, open windows) ---
+// Start times inside an open window are offered on this grid
+const WINDOW_STEP_MINUTES = process.env.WINDOW_STEP_MINUTES !== undefined ? Number(process.env.WINDOW_STEP_MINUTES) : 30;
+
+// Slot requirements for moving a request, see actions.requestSlotNeeds
+async function requestSlotNeeds(req) {
+  return actions.requestSlotNeeds(pool, req);
+}
+
+// The procedure fits into the slot and the slot's specialist performs it
+async function slotAcceptsProcedure(slot, proc) {
+  if (!utils.procedureFitsSlot(proc, slot)) return false;
+  const procs = await db.getProceduresForSpecialist(pool, slot.specialist_id);
+  return procs.some(p => p.key === proc.key);
+}
+
+function slotLabel(slot) {
+  const label = slot.kind === 'window' ? `🪟 ${slot.time}` : slot.time;
+  return slot.specialist_name ? `${label} · ${slot.specialist_name}` : label;
+}
+
+// Possible start offsets (minutes from the window start) for a procedure inside an open window
+function windowStartOffsets(slot, proc) {
+  const need = utils.procedureMinutes(proc);
+  if (slot.kind !== 'window' || !need) return [0];
+  const length = (new Date(slot.end).getTime() - new Date(slot.start).getTime()) / 60000;
+  const offsets = [];
+  for (let off = 0; off + need <= length; off += WINDOW_STEP_MINUTES) {
+    if (off === 0 || off >= db.WINDOW_MIN_MINUTES) offsets.push(off);
+  }
+  return offsets;
+}
+// ----------------------------------------
+
 bot.start(async ctx => {
   try {
     const keyboard = [
@@ -97,62 +268,265 @@ bot.start(async ctx => {
 
 bot.hears('🛠 Открыть панель', ctx => openAdminPanel(ctx));
 
+const WAITLIST_JOIN_KB = Markup.inlineKeyboard([[Markup.button.callback('⏳ Встать в лист ожидания', 'wl_join')]]);
+
 bot.hears('📅 Свободное время', async ctx => {
   try {
-    if (await db.isUserBlacklisted(pool, ctx.from.username)) return ctx.reply('Свободных интервалов пока нет.');
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.reply('Свободных интервалов пока нет.');
     const slot = await db.getEarliestSlot(pool);
-    if (!slot) return ctx.reply('Свободных интервалов пока нет.');
-    await ctx.reply(`Ближайший свободный интервал:\n• ${utils.escapeHtml(slot.time)}`);
+    if (!slot) return ctx.reply('Свободных интервалов пока нет.', WAITLIST_JOIN_KB);
+    await ctx.replyWithHTML(`Ближайший свободный интервал:\n• ${utils.escapeHtml(slotLabel(slot))}`);
   } catch (e) { console.error('free slots error', e); }
 });
 
+async function showEarliestSlot(ctx, specialistId) {
+  const slot = await db.getEarliestSlot(pool, { specialistId });
+  if (!slot) return ctx.reply('Нет доступных интервалов. Можно встать в лист ожидания — мы предложим вам время, как только оно освободится.', WAITLIST_JOIN_KB);
+  const buttons = [[Markup.button.callback(slotLabel(slot), `req_${slot.id}`)]];
+  buttons.push([Markup.button.callback('Выбрать более поздний слот', 'choose_later')]);
+  buttons.push([Markup.button.callback('Сначала выбрать процедуру', 'by_proc')]);
+  await ctx.reply('Выбери интервал:', Markup.inlineKeyboard(buttons));
+}
+
+// The specialist the client picked for this booking; null means any
+async function chosenSpecialistId(userId) {
+  const { st } = await loadState(userId);
+  return (st && st.specialistId) || null;
+}
+
 bot.hears('📝 Оставить заявку', async ctx => {
   try {
-    if (await db.isUserBlacklisted(pool, ctx.from.username)) return ctx.reply('Свободных интервалов пока нет.');
-    const slot = await db.getEarliestSlot(pool);
-    if (!slot) return ctx.reply('Нет доступных интервалов.');
-    const buttons = [[Markup.button.callback(slot.time, `req_${slot.id}`)]];
-    buttons.push([Markup.button.callback('Выбрать более поздний слот', 'choose_later')]);
-    await ctx.reply('Выбери интервал:', Markup.inlineKeyboard(buttons));
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.reply('Свободных интервалов пока нет.');
+    const specialists = await db.getSpecialists(pool);
+    if (specialists.length > 0) {
+      const buttons = specialists.map(sp => [Markup.button.callback(sp.name, `spec_pick_${sp.id}`)]);
+      buttons.push([Markup.button.callback('Любой специалист', 'spec_pick_any')]);
+      return ctx.reply('Выберите специалиста:', Markup.inlineKeyboard(buttons));
+    }
+    await showEarliestSlot(ctx, null);
   } catch (e) { console.error('start request error', e); }
 });
 
+bot.action(/^spec_pick_(any|[0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    const specialistId = ctx.match[1] === 'any' ? null : ctx.match[1];
+    if (specialistId && !(await db.getSpecialistById(pool, specialistId))) return ctx.answerCbQuery('Специалист недоступен', { show_alert: true });
+    const { st } = await loadState(ctx.from.id);
+    await setState(ctx.from.id, { ...(st || {}), specialistId });
+    await showEarliestSlot(ctx, specialistId);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('spec_pick error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
 bot.hears('Обратная связь', async ctx => {
   try {
-    adminStates[ctx.from.id] = { mode: 'feedback' };
+    await setState(ctx.from.id, { mode: 'feedback' });
     await ctx.reply('Можете оставить свой комментарий, связанный с опытом использования моего бота.');
   } catch (e) { console.error('feedback start error', e); }
 });
 
-bot.action('choose_later', async ctx => {
+// --- CLIENT HISTORY ---
+const HISTORY_PAGE_SIZE = 5;
+
+const CLIENT_STATUS_LABELS = {
+  pending: '🟡 Ожидает подтверждения',
+  approved: '🟢 Подтверждена',
+  reserved_later: '🔷 Резерв',
+  move_pending: '🔵 Предложен перенос',
+  cancel_pending: '🟠 Ожидает подтверждения отмены'
+};
+
+function clientRequestCard(r) {
+  const fromClient = r.status === 'move_pending' && r.move_initiator === 'client';
+  const label = fromClient ? '🔵 Запрошен перенос' : (CLIENT_STATUS_LABELS[r.status] || utils.escapeHtml(r.status));
+  let text = `Запись: ${utils.escapeHtml(r.status === 'reserved_later' ? (r.original_slot_time || r.time) : r.time)}\nПроцедура: ${utils.escapeHtml(r.procedure || '-')}\nСтатус: ${label}`;
+  if (r.price !== null && r.price !== undefined) text += `\nСтоимость: ${utils.formatPrice(r.price)}`;
+  let kb = Markup.inlineKeyboard([]);
+  if (fromClient) {
+    text += `\nНовое время: ${utils.escapeHtml(r.pending_move_time || '-')} (ожидает подтверждения администратора)`;
+  } else if (r.status === 'move_pending') {
+    text += `\nНовое время: ${utils.escapeHtml(r.pending_move_time || '-')}`;
+    kb = Markup.inlineKeyboard([
+      [Markup.button.callback('Принять перенос', `clientMoveYes_${r.id}`), Markup.button.callback('Отклонить перенос', `clientMoveNo_${r.id}`)]
+    ]);
+  } else if (r.status === 'pending' || r.status === 'approved') {
+    const rows = [[Markup.button.callback('🔁 Перенести', `cresched_${r.id}`), Markup.button.callback('❌ Отменить', `ccancel_${r.id}`)]];
+    if (r.status === 'approved') rows.push([Markup.button.callback('📅 Добавить в календарь', `cics_${r.id}`)]);
+    kb = Markup.inlineKeyboard(rows);
+  } else if (r.status === 'reserved_later') {
+    kb = Markup.inlineKeyboard([[Markup.button.callback('❌ Отменить', `ccancel_${r.id}`)]]);
+  }
+  return { text, kb };
+}
+
+async function buildHistoryPage(userId, page) {
+  const total = await db.countHistoryForUser(pool, userId);
+  const pages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  const items = await db.getHistoryForUser(pool, userId, { limit: HISTORY_PAGE_SIZE, offset: current * HISTORY_PAGE_SIZE });
+  if (items.length === 0) return { text: '📚 История посещений пуста.', kb: Markup.inlineKeyboard([]) };
+
+  const lines = items.map(h => `• ${utils.escapeHtml(h.date || '-')} — ${utils.escapeHtml(h.procedure || '-')} (${utils.escapeHtml(h.status || '-')})`);
+  const text = `📚 История посещений (${current + 1}/${pages}):\n${lines.join('\n')}`;
+  const nav = [];
+  if (current > 0) nav.push(Markup.button.callback('⬅️', `hist_page_${current - 1}`));
+  if (current < pages - 1) nav.push(Markup.button.callback('➡️', `hist_page_${current + 1}`));
+  return { text, kb: Markup.inlineKeyboard(nav.length ? [nav] : []) };
+}
+
+bot.hears('📚 История посещений', async ctx => {
+  try {
+    const active = await db.getActiveRequestsForUser(pool, ctx.from.id);
+    if (active.length > 0) await ctx.reply('Ваши текущие заявки:');
+    for (const r of active) {
+      const card = clientRequestCard(r);
+      try {
+        await ctx.replyWithHTML(card.text, card.kb);
+      } catch (e) {
+        console.error('Failed to send client request card:', e);
+      }
+    }
+    const page = await buildHistoryPage(ctx.from.id, 0);
+    await ctx.replyWithHTML(page.text, page.kb);
+  } catch (e) { console.error('history error', e); }
+});
+
+bot.action(/^hist_page_(\d+)$/, async ctx => {
+  try {
+    const page = await buildHistoryPage(ctx.from.id, Number(ctx.match[1]));
+    try { await ctx.editMessageText(page.text, { parse_mode: 'HTML', ...page.kb }); } catch (_) {}
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('hist_page error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// An approved booking as an .ics file the phone calendar can import
+bot.action(/^cics_([0-9a-fA-F\-]{36})$/, async ctx => {
   try {
-    if (await db.isUserBlacklisted(pool, ctx.from.username)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
-    const slots = await db.getAllSlots(pool);
-    if (!slots || slots.length === 0) return ctx.answerCbQuery('Нет доступных интервалов', { show_alert: true });
-    const buttons = slots.map(s => [Markup.button.callback(s.time, `req_${s.id}`)]);
-    await ctx.reply('Выберите желаемый интервал (поздний выбор будет резервировать слот для вас):', Markup.inlineKeyboard(buttons));
+    const r = await db.getRequestForClient(pool, ctx.match[1], ctx.from.id);
+    if (!r || r.status !== 'approved' || !r.visit_start) return ctx.answerCbQuery('Запись не найдена или ещё не подтверждена', { show_alert: true });
+    const file = exporter.buildIcs([exporter.bookingEvent(r, { location: CLINIC_ADDRESS })], { name: 'Моя запись' });
+    await ctx.replyWithDocument({ source: file, filename: 'zapis.ics' }, { caption: `Запись на ${r.time}` });
     await ctx.answerCbQuery();
+  } catch (e) { console.error('cics error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// --- end client history ---
+
+// Later slots: a paginated list that opens in place of the message with the earliest slot
+async function showLaterSlots(ctx, page) {
+  const slots = await db.getAllSlots(pool, { specialistId: await chosenSpecialistId(ctx.from.id) });
+  if (!slots || slots.length === 0) return ctx.answerCbQuery('Нет доступных интервалов', { show_alert: true });
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: 'Свободные интервалы',
+    note: 'Выберите желаемый интервал (поздний выбор будет резервировать слот для вас).',
+    items: slots,
+    page,
+    buttons: s => [Markup.button.callback(slotLabel(s), `req_${s.id}`)],
+    pageCallback: p => `later_${p}`,
+    footer: [[Markup.button.callback('⏳ Нет подходящего — в лист ожидания', 'wl_join')]]
+  }));
+  await ctx.answerCbQuery();
+}
+
+bot.action('choose_later', async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    await showLaterSlots(ctx, 0);
   } catch (e) { console.error('choose_later error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
+bot.action(/^later_(\d+)$/, async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    await showLaterSlots(ctx, Number(ctx.match[1]));
+  } catch (e) { console.error('later page error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Procedure first: the client then sees only slots long enough for it
+bot.action('by_proc', async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    const procs = await db.getProceduresForSpecialist(pool, await chosenSpecialistId(ctx.from.id));
+    if (procs.length === 0) return ctx.answerCbQuery('Процедур пока нет', { show_alert: true });
+    const buttons = procs.map(p => [Markup.button.callback(utils.describeProcedure(p), makeCallbackKey('bproc_', p.key))]);
+    await ctx.reply('Выберите процедуру:', Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('by_proc error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^bproc_(.+)$/, async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    const key = await resolveProcedureKeyMaybeHashed(pool, ctx.match[1]);
+    const proc = key ? await db.getProcedureByKey(pool, key) : null;
+    if (!proc) return ctx.answerCbQuery('Процедура недоступна', { show_alert: true });
+    const slot = await db.getEarliestSlot(pool, { minMinutes: utils.procedureMinutes(proc), specialistId: await chosenSpecialistId(ctx.from.id), procedureKey: proc.key });
+    if (!slot) {
+      await ctx.reply(`Для процедуры «${proc.name}» свободных интервалов пока нет.`, WAITLIST_JOIN_KB);
+      return ctx.answerCbQuery();
+    }
+    const buttons = [
+      [Markup.button.callback(slotLabel(slot), makeCallbackKey(`proc_${slot.id}_`, proc.key))],
+      [Markup.button.callback('Выбрать более поздний слот', makeCallbackKey('plater_', proc.key))]
+    ];
+    await ctx.reply(`${utils.describeProcedure(proc)}\nВыберите интервал:`, Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('bproc error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+async function showProcedureSlots(ctx, procKeyToken, page) {
+  const key = await resolveProcedureKeyMaybeHashed(pool, procKeyToken);
+  const proc = key ? await db.getProcedureByKey(pool, key) : null;
+  if (!proc) return ctx.answerCbQuery('Процедура недоступна', { show_alert: true });
+  const slots = await db.getAllSlots(pool, { minMinutes: utils.procedureMinutes(proc), specialistId: await chosenSpecialistId(ctx.from.id), procedureKey: proc.key });
+  if (slots.length === 0) return ctx.answerCbQuery('Нет доступных интервалов', { show_alert: true });
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: `Свободные интервалы для «${utils.escapeHtml(proc.name)}»`,
+    note: 'Выберите желаемый интервал (поздний выбор будет резервировать слот для вас).',
+    items: slots,
+    page,
+    buttons: s => [Markup.button.callback(slotLabel(s), makeCallbackKey(`proc_${s.id}_`, proc.key))],
+    pageCallback: p => makeCallbackKey(`plp_${p}_`, proc.key)
+  }));
+  await ctx.answerCbQuery();
+}
+
+bot.action(/^plater_(.+)$/, async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    await showProcedureSlots(ctx, ctx.match[1], 0);
+  } catch (e) { console.error('plater error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^plp_(\d+)_(.+)$/, async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    await showProcedureSlots(ctx, ctx.match[2], Number(ctx.match[1]));
+  } catch (e) { console.error('plater page error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
 bot.action(/req_([0-9a-fA-F\-]{36})/, async ctx => {
   try {
-    if (await db.isUserBlacklisted(pool, ctx.from.username)) return ctx.answerCbQuery('Свободных интервалов пока нет.', { show_alert: true });
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Свободных интервалов пока нет.', { show_alert: true });
     const slotId = ctx.match[1];
     const slot = await db.getSlotById(pool, slotId);
-    if (!slot) return ctx.answerCbQuery('Этот слот уже недоступен', { show_alert: true });
+    if (!slot || slot.status !== 'free') return ctx.answerCbQuery('Этот слот уже недоступен', { show_alert: true });
 
-    adminStates[ctx.from.id] = adminStates[ctx.from.id] || {};
-    adminStates[ctx.from.id].choosingSlotId = slotId;
+    const { st } = await loadState(ctx.from.id);
+    await setState(ctx.from.id, { ...(st || {}), choosingSlotId: slotId });
 
-    const procs = await db.getProcedures(pool);
+    const procs = await db.getProceduresForSpecialist(pool, slot.specialist_id);
+    // only procedures that fit into the slot together with their buffer
+    const fitting = procs.filter(p => utils.procedureFitsSlot(p, slot));
     // build safe callback keys for procedures; if a procedure key is too long we will use hashed token
-    const procButtons = procs.map(p => {
+    const procButtons = fitting.map(p => {
       const cb = makeCallbackKey(`proc_${slotId}_`, p.key);
-      return [Markup.button.callback(p.name, cb)];
+      return [Markup.button.callback(utils.describeProcedure(p), cb)];
     });
-    if (procButtons.length === 0) {
+    if (procs.length === 0) {
       await ctx.reply('Процедур пока нет. Попросите администратора добавить процедуру.');
+    } else if (procButtons.length === 0) {
+      await ctx.reply('Ни одна процедура не помещается в этот интервал. Выберите другое время.');
     } else {
       await ctx.reply('Выберите процедуру:', Markup.inlineKeyboard(procButtons));
     }
@@ -160,9 +534,42 @@ bot.action(/req_([0-9a-fA-F\-]{36})/, async ctx => {
   } catch (e) { console.error('req action error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
+async function bookSlot(ctx, slotId, proc, offsetMinutes) {
+  const claim = await db.claimSlotAndCreateRequest(pool, slotId, {
+    id: randomUUID(),
+    userId: ctx.from.id,
+    username: ctx.from.username || null,
+    name: ctx.from.first_name || '',
+    procedure: proc.name,
+    procedureKey: proc.key,
+    price: proc.price,
+    createdAt: new Date().toISOString()
+  }, { ...actions.slotNeeds(proc), offsetMinutes });
+  if (!claim.ok) {
+    if (claim.reason === 'duplicate') return ctx.answerCbQuery('Вы уже отправляли заявку на этот слот.', { show_alert: true });
+    if (claim.reason === 'taken') return ctx.answerCbQuery('Этот слот только что заняли. Выберите другой интервал.', { show_alert: true });
+    return ctx.answerCbQuery('Ошибка при создании заявки');
+  }
+  const { slot, status } = claim;
+  const priceNote = utils.formatPrice(proc.price) ? `\nСтоимость: ${utils.formatPrice(proc.price)}` : '';
+
+  if (status === 'pending') {
+    await ctx.reply(`Заявка отправлена! Ожидайте подтверждения от администратора.\nВремя: ${slot.time}\nПроцедура: ${proc.name}${priceNote}`);
+    const adminText = `📩 Новая заявка\nКлиент: ${ctx.from.username ? '@'+ctx.from.username : ctx.from.first_name}\nВремя: ${slot.time}\nПроцедура: ${proc.name}${priceNote}`;
+    try { await db.sendToAdmins(pool, 'new_request', adminText); } catch (notifyErr) { console.error('notify admin failed', notifyErr); }
+    await notifySlotSpecialist(slot, adminText);
+  } else {
+    await ctx.reply(`Слот зарезервирован за вами. Если более ранние слоты займут другие клиенты и до записи останется менее 3 часов, ваша заявка автоматически будет сформирована и отправлена на подтверждение администратора.${priceNote}`);
+    const adminText = `🕒 Резерв позднего слота\nКлиент: ${ctx.from.username ? '@'+ctx.from.username : ctx.from.first_name}\nРезерв: ${slot.time}\nПроцедура: ${proc.name}${priceNote}`;
+    try { await db.sendToAdmins(pool, 'new_request', adminText); } catch (notifyErr) { console.error('notify admin failed', notifyErr); }
+    await notifySlotSpecialist(slot, adminText);
+  }
+  await ctx.answerCbQuery();
+}
+
 bot.action(/^proc_([0-9a-fA-F\-]{36})_(.+)$/u, async ctx => {
   try {
-    if (await db.isUserBlacklisted(pool, ctx.from.username)) return ctx.answerCbQuery('Свободных интервалов пока нет.', { show_alert: true });
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Свободных интервалов пока нет.', { show_alert: true });
     const slotId = ctx.match[1];
     let procKeyToken = ctx.match[2];
 
@@ -173,70 +580,80 @@ bot.action(/^proc_([0-9a-fA-F\-]{36})_(.+)$/u, async ctx => {
       procKeyToken = resolved;
     }
 
-    const slot = await db.getSlotById(pool, slotId);
-    if (!slot) return ctx.answerCbQuery('Слот стал недоступен', { show_alert: true });
-
     const proc = await db.getProcedureByKey(pool, procKeyToken);
     if (!proc) return ctx.answerCbQuery('Процедура недоступна', { show_alert: true });
-
-    const dup = await db.checkDuplicateRequest(pool, ctx.from.id, slotId);
-    if (dup) return ctx.answerCbQuery('Вы уже отправляли заявку на этот слот.', { show_alert: true });
-
-    const earliest = await db.getEarliestSlot(pool);
-    let isEarliest = earliest && earliest.id === slot.id;
-
-    try { await db.deleteSlotById(pool, slot.id); } catch (e) { console.error('Failed to delete slot while reserving:', e); }
-
-    const status = isEarliest ? 'pending' : 'reserved_later';
-
-    const req = {
-      id: randomUUID(),
-      userId: ctx.from.id,
-      username: ctx.from.username || null,
-      name: ctx.from.first_name || '',
-      slotId: slot.id,
-      time: slot.time,
-      procedure: proc.name,
-      status: status,
-      createdAt: new Date().toISOString(),
-      original_slot_id: slot.id,
-      original_slot_time: slot.time,
-      original_slot_start: slot.start,
-      original_slot_end: slot.end
-    };
-    await db.addRequestDb(pool, req);
-
-    if (status === 'pending') {
-      await ctx.reply('Заявка отправлена! Ожидайте подтверждения от администратора.');
-      try { await db.sendToAdmins(pool, bot, `📩 Новая заявка\nКлиент: ${ctx.from.username ? '@'+ctx.from.username : ctx.from.first_name}\nВремя: ${slot.time}\nПроцедура: ${proc.name}`); } catch (notifyErr) { console.error('notify admin failed', notifyErr); }
-    } else {
-      await ctx.reply('Слот зарезервирован за вами. Если более ранние слоты займут другие клиенты и до записи останется менее 3 часов, ваша заявка автоматически будет сформирована и отправлена на подтверждение администратора.');
-      try { await db.sendToAdmins(pool, bot, `🕒 Резерв позднего слота\nКлиент: ${ctx.from.username ? '@'+ctx.from.username : ctx.from.first_name}\nРезерв: ${slot.time}\nПроцедура: ${proc.name}`); } catch (notifyErr) { console.error('notify admin failed', notifyErr); }
+    const chosenSlot = await db.getSlotById(pool, slotId);
+    if (chosenSlot && !(await slotAcceptsProcedure(chosenSlot, proc))) return ctx.answerCbQuery('Эта процедура недоступна в выбранном интервале', { show_alert: true });
+
+    if (chosenSlot) {
+      // In an open window the client may start later than the window start
+      const offsets = windowStartOffsets(chosenSlot, proc);
+      if (offsets.length > 1) {
+        const startMs = new Date(chosenSlot.start).getTime();
+        const timeButtons = offsets.map(off => Markup.button.callback(utils.formatDateTime(new Date(startMs + off * 60000)).slice(-5), makeCallbackKey(`wbook_${slotId}_${off}_`, proc.key)));
+        const rows = [];
+        for (let i = 0; i < timeButtons.length; i += 4) rows.push(timeButtons.slice(i, i + 4));
+        await ctx.reply(`Окно ${chosenSlot.time}. Выберите время начала (${utils.describeProcedure(proc)}):`, Markup.inlineKeyboard(rows));
+        return ctx.answerCbQuery();
+      }
     }
 
-    await ctx.answerCbQuery();
+    await bookSlot(ctx, slotId, proc, 0);
   } catch (err) {
     console.error('proc handler error:', err);
     try { await ctx.answerCbQuery('Ошибка при создании заявки'); } catch (_) {}
   }
 });
 
+bot.action(/^wbook_([0-9a-fA-F\-]{36})_(\d+)_(.+)$/, async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Свободных интервалов пока нет.', { show_alert: true });
+    const slotId = ctx.match[1];
+    const offset = Number(ctx.match[2]);
+    const key = await resolveProcedureKeyMaybeHashed(pool, ctx.match[3]);
+    const proc = key ? await db.getProcedureByKey(pool, key) : null;
+    if (!proc) return ctx.answerCbQuery('Процедура недоступна', { show_alert: true });
+    const slot = await db.getSlotById(pool, slotId);
+    if (!slot || slot.status !== 'free' || !windowStartOffsets(slot, proc).includes(offset) || !(await slotAcceptsProcedure(slot, proc))) return ctx.answerCbQuery('Это время уже недоступно', { show_alert: true });
+    await bookSlot(ctx, slotId, proc, offset);
+  } catch (err) {
+    console.error('wbook handler error:', err);
+    try { await ctx.answerCbQuery('Ошибка при создании заявки'); } catch (_) {}
+  }
+});
+
+bot.command('cancel', async ctx => {
+  try {
+    const { st } = await loadState(ctx.from.id);
+    await clearState(ctx.from.id);
+    await ctx.reply(st ? 'Действие отменено.' : 'Нечего отменять.');
+  } catch (e) { console.error('cancel command error', e); }
+});
+
 bot.on('text', async ctx => {
   try {
-    const st = adminStates[ctx.from.id];
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.reply(DIALOG_EXPIRED_TEXT);
     const text = ctx.message.text.trim();
 
     if (st && st.mode === 'feedback') {
       const uname = ctx.from.username ? '@' + ctx.from.username : ctx.from.first_name;
       try {
-        await db.sendToAdmins(pool, bot, `📝 Обратная связь от ${uname}:\n\n${text}`);
+        await db.sendToAdmins(pool, 'feedback', `📝 Обратная связь от ${uname}:\n\n${text}`);
       } catch (e) { console.error('notify admin feedback', e); }
-      delete adminStates[ctx.from.id];
+      await clearState(ctx.from.id);
       return await ctx.reply('Спасибо! Ваше сообщение отправлено администраторам.');
     }
 
     if (!st) return;
 
+    if (st.mode === 'waitlist_dates') {
+      const range = utils.parseDateRange(text);
+      if (!range) return ctx.reply('Неверный формат. Ожидается DD.MM.YYYY или DD.MM.YYYY-DD.MM.YYYY');
+      if (utils.isoDateParts(range.to) < utils.isoDateParts(utils.getZonedParts(new Date()))) return ctx.reply('Этот период уже прошёл. Укажите будущие даты.');
+      return joinWaitlist(ctx, st, range);
+    }
+
     if (st.mode === 'addproc') {
       // Generate short unique key in format proc_<8hex>
       let key;
@@ -247,68 +664,122 @@ bot.on('text', async ctx => {
 
       try {
         await db.addProcedureDb(pool, key, text);
-        delete adminStates[ctx.from.id];
+        await audit(ctx, 'procedure_add', { target: text, after: { key } });
+        await clearState(ctx.from.id);
         return await ctx.reply(`Процедура "${text}" добавлена (key=${key}).`);
       } catch (err) {
-        delete adminStates[ctx.from.id];
+        await clearState(ctx.from.id);
         console.error('addProcedure error:', err);
         return await ctx.reply('Не удалось добавить процедуру. Возможно, произошла ошибка базы данных.');
       }
     }
 
-    if (st.mode === 'addslot') {
-      const parsed = utils.parseSlotDateTimeInterval(text);
-      if (!parsed) return ctx.reply('Неправильный формат или некорректная дата/время. Формат: DD.MM.YYYY 00:00-23:59');
-      if (utils.isInPast(parsed.start)) return ctx.reply('Нельзя создать слот, который начинается в прошлом.');
-      const slots = await db.getAllSlots(pool);
-      for (const s of slots) {
-        const sStart = new Date(s.start).getTime();
-        const sEnd = new Date(s.end).getTime();
-        if (utils.intervalsOverlap(parsed.start.getTime(), parsed.end.getTime(), sStart, sEnd)) {
-          delete adminStates[ctx.from.id];
-          return ctx.reply(`Нельзя создать перекрывающийся слот. Конфликт с: ${s.time}`);
-        }
+    if (st.mode === 'editproc') {
+      const params = utils.parseProcedureParams(text);
+      if (!params) return ctx.reply('Неправильный формат. Пример: 90 5000 15');
+      const proc = await db.getProcedureByKey(pool, st.procKey);
+      await clearState(ctx.from.id);
+      if (!proc) return ctx.reply('Процедура не найдена.');
+      await db.updateProcedureParams(pool, proc.key, params);
+      await audit(ctx, 'procedure_edit', {
+        target: proc.name,
+        before: { duration_minutes: proc.duration_minutes, price: proc.price, buffer_minutes: proc.buffer_minutes },
+        after: params
+      });
+      return ctx.reply(`Процедура обновлена: ${utils.describeProcedure({ ...proc, ...params })}`);
+    }
+
+    if (st.mode === 'addspec_wait_name') {
+      await setState(ctx.from.id, { mode: 'addspec_wait_tg', specName: text });
+      return ctx.reply('Отправьте Telegram ID специалиста, чтобы он видел свои заявки в админ-панели, или «-», если не нужно.');
+    }
+
+    if (st.mode === 'addspec_wait_tg') {
+      let telegramId = null;
+      if (text !== '-') {
+        if (!/^\d+$/.test(text)) return ctx.reply('Telegram ID — это число. Отправьте его или «-».');
+        telegramId = Number(text);
+      }
+      try {
+        await db.addSpecialist(pool, { id: randomUUID(), name: st.specName, telegramId });
+        await audit(ctx, 'specialist_add', { target: st.specName, after: { telegram_id: telegramId } });
+      } catch (err) {
+        await clearState(ctx.from.id);
+        console.error('addSpecialist error:', err);
+        return ctx.reply('Не удалось добавить специалиста. Возможно, этот Telegram ID уже привязан к другому специалисту.');
       }
-      const id = randomUUID();
-      await db.addSlotToDb(pool, id, text, parsed.start.toISOString(), parsed.end.toISOString());
-      delete adminStates[ctx.from.id];
-      return ctx.reply(`Интервал "${text}" добавлен.`);
+      await clearState(ctx.from.id);
+      await loadAdmins();
+      return ctx.reply(`Специалист "${st.specName}" добавлен. Отметьте в разделе «Специалисты», какие процедуры он выполняет; процедуры без отметок выполняют все.`);
+    }
+
+    if (st.mode === 'addadmin_wait_id') {
+      if (!/^\d+$/.test(text)) return ctx.reply('Telegram ID — это число. Его можно узнать, например, у @userinfobot.');
+      await clearState(ctx.from.id);
+      return ctx.reply(`Какую роль выдать ${text}?`, adminRoleKeyboard(text));
+    }
+
+    if (st.mode === 'audit_client') {
+      const client = text.replace(/^@/, '');
+      if (!client) return ctx.reply('Отправьте @username или Telegram ID клиента.');
+      await clearState(ctx.from.id);
+      const entries = /^\d+$/.test(client)
+        ? await db.getAuditLog(pool, { userId: Number(client) })
+        : await db.getAuditLog(pool, { username: client });
+      return replyAuditEntries(ctx, `📜 Журнал по клиенту ${/^\d+$/.test(client) ? client : '@' + client}`, entries, true);
+    }
+
+    if (st.mode === 'addslot') {
+      const res = await actions.addSlot(pool, ctx.from.id, { label: text, kind: st.kind, specialistId: st.specialistId || null });
+      if (res.reason === 'format') return ctx.reply('Неправильный формат или некорректная дата/время. Формат: DD.MM.YYYY 00:00-23:59');
+      if (res.reason === 'past') return ctx.reply('Нельзя создать слот, который начинается в прошлом.');
+      await clearState(ctx.from.id);
+      if (res.reason === 'overlap') return ctx.reply(`Нельзя создать перекрывающийся слот. Конфликт с: ${res.conflict.time}`);
+      return ctx.reply(res.kind === 'window' ? `Окно "${text}" добавлено. Записи будут занимать из него только время процедуры.` : `Интервал "${text}" добавлен.`);
     }
 
     if (st.mode === 'addblack') {
-      const uname = text.trim().replace(/^@/, '').toLowerCase();
-      if (!uname) {
-        delete adminStates[ctx.from.id];
-        return ctx.reply('Неверное имя пользователя.');
-      }
-      await db.addToBlacklist(pool, uname);
-      delete adminStates[ctx.from.id];
-      return ctx.reply(`Пользователь @${uname} добавлен в черный список.`);
+      const target = await blacklistTargetFromMessage(ctx.message);
+      if (!target) return ctx.reply('Не удалось определить пользователя. Отправьте @username, числовой Telegram ID или перешлите сообщение клиента (если он не скрыл аккаунт при пересылке).');
+      await setState(ctx.from.id, { mode: 'addblack_reason', target });
+      return ctx.reply(`Блокируем ${describeBlacklistTarget(target)}.\nОтправьте причину или «-»:`);
+    }
+
+    if (st.mode === 'addblack_reason') {
+      await setState(ctx.from.id, { mode: 'addblack_expiry', target: st.target, reason: text === '-' ? null : text });
+      return ctx.reply('До какой даты включительно действует блокировка? Отправьте DD.MM.YYYY или «-», чтобы заблокировать бессрочно.');
     }
 
-    if (st.mode === 'delblack') {
-      const uname = text.trim().replace(/^@/, '').toLowerCase();
-      if (!uname) {
-        delete adminStates[ctx.from.id];
-        return ctx.reply('Неверное имя пользователя.');
+    if (st.mode === 'addblack_expiry') {
+      let expiresAt = null;
+      if (text !== '-') {
+        const d = utils.parseDateDDMMYYYY(text);
+        if (!d) return ctx.reply('Неверный формат даты. Ожидается DD.MM.YYYY или «-».');
+        const next = utils.addDays(d, 1);
+        expiresAt = utils.zonedTimeToUtc(next.year, next.month, next.day, 0, 0);
+        if (utils.isInPast(expiresAt)) return ctx.reply('Эта дата уже прошла.');
       }
-      await db.removeFromBlacklist(pool, uname);
-      delete adminStates[ctx.from.id];
-      return ctx.reply(`Пользователь @${uname} удалён из черного списка.`);
+      const entry = await db.addToBlacklist(pool, { ...st.target, reason: st.reason, addedBy: ctx.from.id, expiresAt: expiresAt ? expiresAt.toISOString() : null });
+      await audit(ctx, 'blacklist_add', {
+        userId: entry.user_id, username: entry.username, target: describeBlacklistTarget(st.target),
+        after: { reason: entry.reason, expires_at: expiresAt ? utils.formatDateTime(expiresAt) : null }
+      });
+      await clearState(ctx.from.id);
+      return ctx.replyWithHTML(`Добавлено в черный список:\n${describeBlacklistEntry(entry)}`);
     }
 
     if (st.mode === 'applypattern_wait_date') {
       const d = utils.parseDateDDMMYYYY(text);
       if (!d) {
-        delete adminStates[ctx.from.id];
+        await clearState(ctx.from.id);
         return ctx.reply('Неверный формат даты. Ожидается DD.MM.YYYY');
       }
       const dateISO = `${d.year}-${String(d.month).padStart(2,'0')}-${String(d.day).padStart(2,'0')}`;
-      adminStates[ctx.from.id] = { mode: 'applypattern_choose', apply_date: dateISO };
+      await setState(ctx.from.id, { mode: 'applypattern_choose', apply_date: dateISO });
     
       const pats = await db.getPatternsDb(pool);
       if (!pats || pats.length === 0) {
-        delete adminStates[ctx.from.id];
+        await clearState(ctx.from.id);
         return ctx.reply('Шаблонов нет. Сначала добавьте шаблон.');
       }
     
@@ -317,21 +788,106 @@ bot.on('text', async ctx => {
       return;
     }
 
+    if (st.mode === 'applyrange_dates') {
+      const range = utils.parseDateRange(text);
+      if (!range) return ctx.reply('Неверный формат. Ожидается DD.MM.YYYY-DD.MM.YYYY');
+      const from = utils.isoDateParts(range.from), to = utils.isoDateParts(range.to);
+      if (to < utils.isoDateParts(utils.getZonedParts(new Date()))) return ctx.reply('Этот период уже прошёл.');
+      if (utils.isoDateParts(utils.addDays(range.from, APPLY_RANGE_MAX_DAYS - 1)) < to) {
+        return ctx.reply(`Период не должен быть длиннее ${APPLY_RANGE_MAX_DAYS} дней.`);
+      }
+      const pats = await db.getPatternsDb(pool);
+      if (pats.length === 0) {
+        await clearState(ctx.from.id);
+        return ctx.reply('Шаблонов нет. Сначала добавьте шаблон.');
+      }
+      await setState(ctx.from.id, { mode: 'applyrange_pattern', from, to });
+      const buttons = pats.map(p => [Markup.button.callback(p.name + (p.intervals ? ` (${p.intervals})` : ''), `arp_${p.id}`)]);
+      return ctx.reply('Выберите шаблон для применения к периоду:', Markup.inlineKeyboard(buttons));
+    }
+
+    if (st.mode === 'bulk_dates') {
+      const range = utils.parseDateRange(text);
+      if (!range) return ctx.reply('Неверный формат. Ожидается DD.MM.YYYY или DD.MM.YYYY-DD.MM.YYYY');
+      const next = { mode: 'bulk_confirm', op: st.op, specialistId: st.specialistId || null, from: utils.isoDateParts(range.from), to: utils.isoDateParts(range.to) };
+      const op = BULK_OPS[next.op];
+      const preview = await db.bulkCloseSlots(pool, { ...bulkRange(next), specialistId: next.specialistId, action: op.action, dryRun: true });
+      await setState(ctx.from.id, next);
+      let summary = `${op.label}: ${bulkPeriodLabel(next)}\n${op.done}: ${preview.count}`;
+      if (preview.affected.length > 0) summary += `\nЗанятых записями слотов: ${preview.affected.length} — после выполнения их можно будет перенести или отменить.`;
+      return ctx.reply(summary, Markup.inlineKeyboard([
+        [Markup.button.callback('✔ Выполнить', 'bulk_go'), Markup.button.callback('✖ Отмена', 'bulk_cancel')]
+      ]));
+    }
+
+    if (st.mode === 'export_dates') {
+      const range = utils.parseDateRange(text);
+      if (!range) return ctx.reply('Неверный формат. Ожидается DD.MM.YYYY или DD.MM.YYYY-DD.MM.YYYY');
+      const to = utils.isoDateParts(range.to);
+      if (utils.isoDateParts(utils.addDays(range.from, EXPORT_MAX_DAYS - 1)) < to) return ctx.reply(`Период не должен быть длиннее ${EXPORT_MAX_DAYS} дней.`);
+      const next = { mode: 'export_status', kind: st.kind, from: utils.isoDateParts(range.from), to };
+      if (st.kind === 'ics') return sendExport(ctx, next, 'approved');
+      await setState(ctx.from.id, next);
+      const statuses = exportStatuses(st.kind);
+      const buttons = statuses.map((opt, i) => Markup.button.callback(opt.label, `expst_${i}`));
+      const rows = [];
+      for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+      rows.push([Markup.button.callback('Все статусы', 'expst_all')]);
+      return ctx.reply('Какой статус выгрузить?', Markup.inlineKeyboard(rows));
+    }
+
+    if (st.mode === 'schedexc_dates') {
+      const range = utils.parseDateRange(text);
+      if (!range) return ctx.reply('Неверный формат. Ожидается DD.MM.YYYY или DD.MM.YYYY-DD.MM.YYYY');
+      await setState(ctx.from.id, { mode: 'schedexc_reason', specialistId: st.specialistId, from: utils.isoDateParts(range.from), to: utils.isoDateParts(range.to) });
+      return ctx.reply('Причина (например, «Отпуск» или «Праздник») или «-», чтобы не указывать:');
+    }
+
+    if (st.mode === 'schedexc_reason') {
+      const exc = await db.addScheduleException(pool, {
+        dateFrom: st.from, dateTo: st.to, specialistId: st.specialistId || null,
+        reason: text === '-' ? null : text, createdBy: ctx.from.id
+      });
+      await audit(ctx, 'schedule_exception_add', { target: describeScheduleException(exc), after: { specialist_id: exc.specialist_id } });
+      await clearState(ctx.from.id);
+      return ctx.reply(`Исключение добавлено: ${describeScheduleException(exc)}.
+На эти даты слоты по недельному расписанию создаваться не будут. Уже созданные слоты остаются.`);
+    }
+
+    if (st.mode === 'addrule_wait_offset') {
+      const parsed = utils.parseReminderOffset(text);
+      if (!parsed) return ctx.reply('Не удалось разобрать. Примеры: 60m, 48h, 1d 20:00');
+      await setState(ctx.from.id, { mode: 'addrule_wait_message', procedure_key: st.procedure_key, rule: parsed });
+      return ctx.reply('Отправьте текст напоминания (например, инструкции по подготовке) или «-» для стандартного текста.');
+    }
+
+    if (st.mode === 'addrule_wait_message') {
+      const rule = { ...st.rule, id: randomUUID(), procedure_key: st.procedure_key, message: text === '-' ? null : text };
+      try {
+        await db.addReminderRule(pool, rule);
+        await audit(ctx, 'reminder_add', { target: utils.describeReminderRule(rule), after: { procedure_key: rule.procedure_key || null } });
+        await clearState(ctx.from.id);
+        return ctx.reply(`Напоминание ${utils.describeReminderRule(rule)} добавлено.`);
+      } catch (e) {
+        await clearState(ctx.from.id);
+        console.error('addrule error', e);
+        return ctx.reply('Ошибка при добавлении напоминания.');
+      }
+    }
+
     if (st.mode === 'addpattern_wait_name') {
-      adminStates[ctx.from.id] = { mode: 'addpattern_wait_intervals', pattern_name: text };
+      await setState(ctx.from.id, { mode: 'addpattern_wait_intervals', pattern_name: text, kind: st.kind, specialistId: st.specialistId });
       return ctx.reply('Отправьте интервалы шаблона в формате HH:MM-HH:MM,HH:MM-HH:MM (через запятую).');
     }
 
     if (st.mode === 'addpattern_wait_intervals') {
       const name = st.pattern_name || 'Шаблон';
-      const intervals = text.trim();
-      const pat = { id: randomUUID(), name, intervals };
       try {
-        await db.addPatternDb(pool, pat);
-        delete adminStates[ctx.from.id];
+        await actions.addPattern(pool, ctx.from.id, { name, intervals: text.trim(), kind: st.kind, specialistId: st.specialistId || null });
+        await clearState(ctx.from.id);
         return ctx.reply(`Шаблон "${name}" добавлен.`);
       } catch (e) {
-        delete adminStates[ctx.from.id];
+        await clearState(ctx.from.id);
         console.error('addpattern error', e);
         return ctx.reply('Ошибка при добавлении шаблона.');
       }
@@ -343,212 +899,651 @@ bot.on('text', async ctx => {
   }
 });
 
-bot.action('admin_addslot', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-  adminStates[ctx.from.id] = { mode: 'addslot' };
-  await ctx.reply('Введите интервал в формате: DD.MM.YYYY 00:00-23:59\nИли /cancel чтобы отменить.');
-  await ctx.answerCbQuery();
+// A specialist admin always adds to their own schedule; clinic admins pick whose schedule when there are specialists
+async function pickScheduleOwner(ctx, prefix, kind) {
+  const own = ownSpecialistId(ctx);
+  const specialists = own ? [] : await db.getSpecialists(pool);
+  if (specialists.length === 0) return { ready: true, specialistId: own };
+  const buttons = specialists.map(sp => [Markup.button.callback(sp.name, `${prefix}_${sp.id}_${kind}`)]);
+  buttons.push([Markup.button.callback('Без специалиста', `${prefix}_none_${kind}`)]);
+  await ctx.reply('Для какого специалиста?', Markup.inlineKeyboard(buttons));
+  return { ready: false };
+}
+
+async function beginAddSlot(ctx, kind, specialistId) {
+  await setState(ctx.from.id, { mode: 'addslot', kind, specialistId });
+  if (kind === 'window') {
+    await ctx.reply('Открытое окно: запись займёт из него только длительность процедуры, остаток останется свободным.\nВведите окно в формате: DD.MM.YYYY 10:00-18:00\nИли /cancel чтобы отменить.');
+  } else {
+    await ctx.reply('Введите интервал в формате: DD.MM.YYYY 00:00-23:59\nИли /cancel чтобы отменить.');
+  }
+}
+
+bot.action(/^admin_add(slot|window)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const kind = ctx.match[1] === 'window' ? 'window' : 'fixed';
+    const owner = await pickScheduleOwner(ctx, 'addslot_for', kind);
+    if (owner.ready) await beginAddSlot(ctx, kind, owner.specialistId);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('admin_addslot error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^addslot_for_(none|[0-9a-fA-F\-]{36})_(fixed|window)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await beginAddSlot(ctx, ctx.match[2], ctx.match[1] === 'none' ? null : ctx.match[1]);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('addslot_for error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
+async function showDeleteSlotList(ctx, page) {
+  const slots = await db.getAllSlots(pool, { specialistId: ownSpecialistId(ctx) });
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: 'Свободные слоты',
+    note: 'Выберите слот для удаления:',
+    items: slots,
+    page,
+    emptyText: 'Слотов нет.',
+    buttons: (s, n, current) => [Markup.button.callback(slotLabel(s), `delslot_${s.id}_${current}`)],
+    pageCallback: p => `dslp_${p}`,
+    footer: [[Markup.button.callback('⬅️ Панель', 'admin_panel')]]
+  }));
+}
+
 bot.action('admin_delslot', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
-    const slots = await db.getAllSlots(pool);
-    if (!slots || slots.length === 0) return ctx.reply('Слотов нет.');
-    const buttons = slots.map(s => [Markup.button.callback(s.time, `delslot_${s.id}`)]);
-    await ctx.reply('Выберите слот для удаления:', Markup.inlineKeyboard(buttons));
+    await showDeleteSlotList(ctx, 0);
     await ctx.answerCbQuery();
   } catch (e) { console.error('admin_delslot error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
-bot.action(/delslot_([0-9a-fA-F\-]{36})/, async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+bot.action(/^dslp_(\d+)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
-    const id = ctx.match[1];
-    await db.deleteSlotById(pool, id);
-    await ctx.answerCbQuery('Удалено');
+    await showDeleteSlotList(ctx, Number(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('dslp error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// The page suffix is set by the paginated delete list, which is redrawn after the deletion
+bot.action(/delslot_([0-9a-fA-F\-]{36})(?:_(\d+))?/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const slot = await db.getSlotById(pool, ctx.match[1]);
+    if (!slot || !ownsSlot(ctx, slot)) return ctx.answerCbQuery('Слот не найден', { show_alert: true });
+    const deleted = await actions.deleteSlot(pool, ctx.from.id, slot.id);
+    if (deleted && ctx.match[2] !== undefined) await showDeleteSlotList(ctx, Number(ctx.match[2]));
+    await ctx.answerCbQuery(deleted ? 'Удалено' : 'Слот занят заявкой или уже удалён', { show_alert: !deleted });
   } catch (e) { console.error('delslot error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
-bot.action('req_pending', async ctx => { if (isAdmin(ctx)) await showRequestsByStatus(ctx, 'pending', '🟡 Ожидающие'); else ctx.answerCbQuery('Нет доступа'); });
-bot.action('req_approved', async ctx => { if (isAdmin(ctx)) await showRequestsByStatus(ctx, 'approved', '🟢 Подтверждённые'); else ctx.answerCbQuery('Нет доступа'); });
-bot.action('req_rejected', async ctx => { if (isAdmin(ctx)) await showRequestsByStatus(ctx, 'rejected', '🔴 Отклонённые'); else ctx.answerCbQuery('Нет доступа'); });
-bot.action('req_move_pending', async ctx => { if (isAdmin(ctx)) await showRequestsByStatus(ctx, 'move_pending', '🔵 Ожидающие переноса'); else ctx.answerCbQuery('Нет доступа'); });
-bot.action('req_completed', async ctx => { if (isAdmin(ctx)) await showRequestsByStatus(ctx, 'completed', '✅ Выполненные'); else ctx.answerCbQuery('Нет доступа'); });
-bot.action('req_no_show', async ctx => { if (isAdmin(ctx)) await showRequestsByStatus(ctx, 'no_show', '🚫 Неявки'); else ctx.answerCbQuery('Нет доступа'); });
-bot.action('req_reserved', async ctx => { if (isAdmin(ctx)) await showReservedRequests(ctx); else ctx.answerCbQuery('Нет доступа'); });
-
-async function showRequestsByStatus(ctx, status, label) {
-  try {
-    const list = await db.getRequestsByStatus(pool, status);
-    if (!list || list.length === 0) {
-      try { return await ctx.editMessageText(`${label}: нет заявок.`); } catch (_) { return await ctx.reply(`${label}: нет заявок.`); }
-    }
-    for (const r of list) {
-      const userLink = utils.makeUserLink(r.user_id, r.username, r.name);
-      const text = `${label}\nКлиент: ${userLink}\nВремя: ${utils.escapeHtml(r.time)}\nПроцедура: ${utils.escapeHtml(r.procedure || '-')}\nСтатус: ${utils.escapeHtml(r.status)}`;
-      let kb;
-      if (status === 'pending') {
-        kb = Markup.inlineKeyboard([
-          [Markup.button.callback('✔ Подтвердить', `approve_${r.id}`), Markup.button.callback('❌ Отклонить', `reject_${r.id}`)],
-          [Markup.button.callback('🔁 Перенести', `move_${r.id}`)]
-        ]);
-      } else if (status === 'approved') {
-        kb = Markup.inlineKeyboard([
-          [Markup.button.callback('✅ Выполнено', `complete_${r.id}`), Markup.button.callback('🚫 Неявка', `no_show_${r.id}`)],
-          [Markup.button.callback('🔁 Перенести', `move_${r.id}`), Markup.button.callback('❌ Отклонить', `reject_${r.id}`)]
-        ]);
-      } else if (status === 'move_pending') {
-        kb = Markup.inlineKeyboard([
-          [Markup.button.callback('❌ Отменить заявку', `reject_${r.id}`), Markup.button.callback('🚫 Неявка', `no_show_${r.id}`)]
-        ]);
-      } else if (status === 'rejected' || status === 'completed' || status === 'no_show') {
-        kb = Markup.inlineKeyboard([[Markup.button.callback('🗑 Удалить', `delete_${r.id}`)]]);
-      } else {
-        kb = Markup.inlineKeyboard([]);
-      }
-      try {
-        await ctx.replyWithHTML(text, kb);
-      } catch (e) {
-        console.error('Failed to send request card:', e);
-      }
-    }
-    try { await ctx.answerCbQuery(); } catch (_) {}
-  } catch (e) {
-    console.error('showRequestsByStatus error:', e);
-    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
-  }
+// --- BULK SLOT OPERATIONS ---
+// d: delete free and blocked slots, b: block free slots, v: block them and add a schedule exception
+// so the weekly schedule does not fill the days again. Booked slots stay; their requests are listed
+// with move (the usual move_ offer) and reject buttons.
+const BULK_OPS = {
+  d: { action: 'delete', label: '🗑 Удалить свободные слоты', done: 'Удалено слотов', audit: 'slots_bulk_delete' },
+  b: { action: 'block', label: '⛔ Заблокировать свободные слоты', done: 'Заблокировано слотов', audit: 'slots_bulk_block' },
+  v: { action: 'block', label: '🏖 Закрыть на отпуск', done: 'Заблокировано слотов', audit: 'slots_bulk_vacation' }
+};
+
+// Period in callbacks as YYYYMMDD so the list stays within 64 bytes with a specialist id
+function compactDate(dateISO) {
+  return dateISO.replace(/-/g, '');
 }
 
-async function showReservedRequests(ctx) {
-  try {
-    const list = await db.getReservedRequests(pool);
-    if (!list || list.length === 0) {
-      try { return await ctx.editMessageText(`🔷 Зарезервированные: нет заявок.`); } catch (_) { return await ctx.reply(`🔷 Зарезервированные: нет заявок.`); }
-    }
-    for (const r of list) {
-      const userLink = utils.makeUserLink(r.user_id, r.username, r.name);
-      const text = `🔷 Зарезервировано\nКлиент: ${userLink}\nРезерв: ${utils.escapeHtml(r.original_slot_time || r.time)}\nПроцедура: ${utils.escapeHtml(r.procedure || '-')}\nСтатус: ${utils.escapeHtml(r.status)}`;
-      const kb = Markup.inlineKeyboard([
-        [Markup.button.callback('✔ Подтвердить (сделать заявкой)', `confirm_reserved_${r.id}`)],
-        [Markup.button.callback('❌ Отменить', `reject_${r.id}`)]
-      ]);
-      try {
-        await ctx.replyWithHTML(text, kb);
-      } catch (e) {
-        console.error('Failed to send reserved card:', e);
-      }
-    }
-    try { await ctx.answerCbQuery(); } catch (_) {}
-  } catch (e) {
-    console.error('showReservedRequests error:', e);
-    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
-  }
+function expandDate(compact) {
+  return `${compact.slice(0, 4)}-${compact.slice(4, 6)}-${compact.slice(6, 8)}`;
 }
 
-function adminPanelKeyboard() {
-  return Markup.inlineKeyboard([
-    [Markup.button.callback('🟡 Ожидающие', 'req_pending')],
-    [Markup.button.callback('🟢 Подтверждённые', 'req_approved')],
-    [Markup.button.callback('🔴 Отклонённые', 'req_rejected')],
-    [Markup.button.callback('🔵 Ожидающие переноса', 'req_move_pending')],
-    [Markup.button.callback('🔷 Зарезервированные', 'req_reserved')],
-    [Markup.button.callback('✅ Выполненные', 'req_completed'), Markup.button.callback('🚫 Неявки', 'req_no_show')],
-    [Markup.button.callback('🛠 Управлять процедурами', 'manage_procedures')],
-    [Markup.button.callback('⚠️ Черный список', 'manage_blacklist')],
-    [Markup.button.callback('📅 Шаблоны', 'manage_patterns')],
-    [Markup.button.callback('➕ Добавить слот', 'admin_addslot'), Markup.button.callback('❌ Удалить слот', 'admin_delslot')]
-  ]);
+function bulkRange(st) {
+  return { fromIso: utils.zonedDayRange(st.from).start.toISOString(), toIso: utils.zonedDayRange(st.to).end.toISOString() };
 }
 
-async function openAdminPanel(ctx) {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-  await ctx.reply('Админ-панель:', adminPanelKeyboard());
-  try { await ctx.answerCbQuery(); } catch (_) {}
+function bulkPeriodLabel(st) {
+  return st.from === st.to ? utils.formatIsoDate(st.from) : `${utils.formatIsoDate(st.from)}–${utils.formatIsoDate(st.to)}`;
 }
 
-bot.action(/^(approve|reject|delete)_([0-9a-fA-F\-]{36})$/, async ctx => {
+bot.action('bulk_start', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-    const cmd = ctx.match[1];
-    const reqId = ctx.match[2];
-    const req = await db.getRequestById(pool, reqId);
-    if (!req) return ctx.answerCbQuery('Заявка не найдена');
-
-    if (cmd === 'approve') {
-      await db.updateRequest(pool, reqId, { status: 'approved', notification_20_sent: false, notification_1h_sent: false });
-      try { await ctx.editMessageText('✔ Заявка подтверждена'); } catch (_) {}
-      try { await bot.telegram.sendMessage(req.user_id, `✔ Ваша запись на ${req.time} подтверждена!`); } catch (e) {}
-      await ctx.answerCbQuery();
-      return;
-    }
+    const buttons = Object.entries(BULK_OPS).map(([code, op]) => [Markup.button.callback(op.label, `bulkop_${code}`)]);
+    await ctx.reply('Что сделать со слотами за период?', Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('bulk_start error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
 
-    if (cmd === 'reject') {
-      if (req.original_slot_id && req.original_slot_time && (req.original_slot_start || req.original_slot_end)) {
-        try { await db.addSlotToDb(pool, req.original_slot_id, req.original_slot_time, req.original_slot_start, req.original_slot_end); } catch (e) {}
-      }
-      await db.updateRequest(pool, reqId, { status: 'rejected' });
-      try { await ctx.editMessageText('❌ Заявка отклонена'); } catch (_) {}
-      try { await bot.telegram.sendMessage(req.user_id, `❌ Ваша заявка на ${req.time} была отклонена.`); } catch (e) {}
-      await ctx.answerCbQuery();
-      return;
-    }
+async function beginBulkOp(ctx, code, specialistId) {
+  await setState(ctx.from.id, { mode: 'bulk_dates', op: code, specialistId });
+  await ctx.reply(`${BULK_OPS[code].label}.\nОтправьте дату DD.MM.YYYY или период DD.MM.YYYY-DD.MM.YYYY:`);
+}
 
-    if (cmd === 'delete') {
-      await db.deleteRequestById(pool, reqId);
-      try { await ctx.editMessageText('🗑 Заявка удалена.'); } catch (_) {}
-      await ctx.answerCbQuery();
-      return;
+// Unlike pickScheduleOwner, "all" covers every specialist's slots as well as the clinic's own
+bot.action(/^bulkop_(d|b|v)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const own = ownSpecialistId(ctx);
+    const specialists = own ? [] : await db.getSpecialists(pool);
+    if (specialists.length === 0) {
+      await beginBulkOp(ctx, ctx.match[1], own);
+    } else {
+      const buttons = specialists.map(sp => [Markup.button.callback(sp.name, `bulkfor_${ctx.match[1]}_${sp.id}`)]);
+      buttons.push([Markup.button.callback('Все специалисты', `bulkfor_${ctx.match[1]}_all`)]);
+      await ctx.reply('Для какого специалиста?', Markup.inlineKeyboard(buttons));
     }
-
     await ctx.answerCbQuery();
-  } catch (e) {
-    console.error('approve/reject/delete handler error', e);
-    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
-  }
+  } catch (e) { console.error('bulkop error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
-bot.action(/confirm_reserved_([0-9a-fA-F\-]{36})/, async ctx => {
+bot.action(/^bulkfor_(d|b|v)_(all|[0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-    const id = ctx.match[1];
-    const req = await db.getRequestById(pool, id);
-    if (!req) return ctx.answerCbQuery('Заявка не найдена');
-    await db.updateRequest(pool, id, { status: 'pending' });
-    try { await ctx.editMessageText('✔ Резерв переведён в заявку'); } catch (_) {}
-    try { await bot.telegram.sendMessage(req.user_id, `Ваша резервная заявка на ${req.original_slot_time || req.time} переведена в заявку и ожидает подтверждения администратора.`); } catch (e) {}
-    try { await db.sendToAdmins(pool, bot, `📩 Резерв переведён в заявку вручную\nКлиент: ${req.username ? '@'+req.username : req.name}\nВремя: ${req.original_slot_time || req.time}\nПроцедура: ${req.procedure || '-'}`); } catch (e) {}
+    await beginBulkOp(ctx, ctx.match[1], ctx.match[2] === 'all' ? null : ctx.match[2]);
     await ctx.answerCbQuery();
-  } catch (e) {
-    console.error('confirm_reserved error', e);
-    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
-  }
+  } catch (e) { console.error('bulkfor error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
-bot.action('manage_procedures', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+bot.action('bulk_go', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
-    const procs = await db.getProcedures(pool);
-    const buttons = procs.map(p => {
-      // button text plain (no HTML entities), safe callback key
-      const cb = makeCallbackKey('delproc_', p.key);
-      return [Markup.button.callback(`Удалить ${p.name}`, cb)];
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || st.mode !== 'bulk_confirm') return ctx.answerCbQuery('Нечего выполнять', { show_alert: true });
+    await clearState(ctx.from.id);
+    const op = BULK_OPS[st.op];
+    const res = await db.bulkCloseSlots(pool, { ...bulkRange(st), specialistId: st.specialistId, action: op.action });
+    let text = `Готово: ${bulkPeriodLabel(st)}\n${op.done}: ${res.count}`;
+    if (st.op === 'v') {
+      const exc = await db.addScheduleException(pool, { dateFrom: st.from, dateTo: st.to, specialistId: st.specialistId, reason: 'Отпуск', createdBy: ctx.from.id });
+      await audit(ctx, 'schedule_exception_add', { target: describeScheduleException(exc), after: { specialist_id: exc.specialist_id } });
+      text += '\nДни добавлены в исключения недельного расписания.';
+    }
+    await audit(ctx, op.audit, {
+      target: bulkPeriodLabel(st),
+      after: { specialist_id: st.specialistId, slots: res.count, requests: res.affected.length }
     });
-    buttons.push([Markup.button.callback('➕ Добавить процедуру', 'addproc')]);
-    await ctx.reply('Список процедур:', Markup.inlineKeyboard(buttons));
+    try { await ctx.editMessageText(text); } catch (_) { await ctx.reply(text); }
+    if (res.affected.length > 0) await showBulkAffected(ctx, st.op, st.from, st.to, st.specialistId, 0, false);
     await ctx.answerCbQuery();
-  } catch (e) { console.error('manage_procedures error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+  } catch (e) { console.error('bulk_go error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
-bot.action('addproc', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-  adminStates[ctx.from.id] = { mode: 'addproc' };
+bot.action('bulk_cancel', async ctx => {
+  try {
+    await clearState(ctx.from.id);
+    try { await ctx.editMessageText('Отменено.'); } catch (_) {}
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('bulk_cancel error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Clients whose bookings fall into the closed period, with a move or reject button for each
+async function showBulkAffected(ctx, code, from, to, specialistId, page, edit = true) {
+  const { fromIso, toIso } = bulkRange({ from, to });
+  const list = await db.getActiveRequestsInRange(pool, fromIso, toIso, { specialistId });
+  const view = pagination.buildListPage({
+    title: `Затронутые записи за ${bulkPeriodLabel({ from, to })}`,
+    items: list,
+    page,
+    emptyText: `Затронутых записей за ${bulkPeriodLabel({ from, to })} не осталось.`,
+    note: 'Перенос предлагает клиенту новое время, отказ отменяет запись с уведомлением.',
+    line: (r, n) => `${n}. ${utils.escapeHtml(r.time)} — ${utils.makeUserLink(r.user_id, r.username, r.name)}, ${utils.escapeHtml(r.procedure || '-')} (${CLIENT_STATUS_LABELS[r.status] || utils.escapeHtml(r.status)})`,
+    buttons: (r, n) => {
+      const row = [];
+      if (['pending', 'approved'].includes(r.status)) row.push(Markup.button.callback(`🔁 ${n}`, `move_${r.id}`));
+      row.push(Markup.button.callback(`❌ ${n}`, `bkrej_${code}_${r.id}`));
+      return row;
+    },
+    pageCallback: p => `bkl_${code}_${p}_${compactDate(from)}_${compactDate(to)}_${specialistId || 'all'}`
+  });
+  if (edit) return pagination.showListPage(ctx, view);
+  await ctx.replyWithHTML(view.text, { disable_web_page_preview: true, ...view.kb });
+}
+
+bot.action(/^bkl_(d|b|v)_(\d+)_(\d{8})_(\d{8})_(all|[0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const [, code, page, from, to, spec] = ctx.match;
+    await showBulkAffected(ctx, code, expandDate(from), expandDate(to), spec === 'all' ? null : spec, Number(page));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('bkl error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Reject because the day is closed: the slot is blocked or deleted like the rest of the period, never freed first
+bot.action(/^bkrej_(d|b|v)_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const req = await loadOwnRequest(ctx, ctx.match[2]);
+    if (!req) return ctx.answerCbQuery('Заявка не найдена');
+    const rejected = await actions.rejectRequest(pool, ctx.from.id, req, {
+      closeSlot: BULK_OPS[ctx.match[1]].action,
+      reason: 'period closed',
+      message: `❌ Ваша запись на ${req.time} отменена: в этот день приём не ведётся. Пожалуйста, выберите другое время.`
+    });
+    if (!rejected) return ctx.answerCbQuery('Заявка уже закрыта', { show_alert: true });
+    await ctx.answerCbQuery('Запись отменена, клиент уведомлён', { show_alert: true });
+  } catch (e) { console.error('bkrej error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// --- end bulk slot operations ---
+
+// --- CALENDAR (day / week agenda: every slot in time order with the request occupying it) ---
+const SLOT_STATUS_LABELS = {
+  free: '🟢 свободно',
+  held: '🕒 удерживается',
+  booked: '📌 занято',
+  blocked: '⛔ закрыто'
+};
+const WEEKDAY_SHORT = ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'];
+// Keeps the message under Telegram's size limit and the keyboard under its button limit
+const CALENDAR_MAX_ENTRIES = 60;
+
+function weekdayOf(ymd) {
+  return new Date(Date.UTC(ymd.year, ymd.month - 1, ymd.day)).getUTCDay();
+}
+
+function clockTime(date) {
+  return utils.formatDateTime(date).slice(11);
+}
+
+function calendarEntryLine(n, r) {
+  let line = `${n}. ${clockTime(new Date(r.start))}-${clockTime(new Date(r.end))}${r.kind === 'window' ? ' 🪟' : ''} `;
+  if (r.request_id) line += `${utils.makeUserLink(r.user_id, r.username, r.name)} — ${utils.escapeHtml(r.procedure || '-')} (${utils.escapeHtml(r.request_status)})`;
+  else line += SLOT_STATUS_LABELS[r.status] || utils.escapeHtml(r.status);
+  if (r.specialist_name) line += ` · ${utils.escapeHtml(r.specialist_name)}`;
+  return line;
+}
+
+// view is 'd' (one day) or 'w' (the Monday-to-Sunday week containing dateISO)
+async function renderCalendar(ctx, view, dateISO, edit) {
+  const [year, month, day] = dateISO.split('-').map(Number);
+  const anchor = { year, month, day };
+  const first = view === 'w' ? utils.addDays(anchor, -((weekdayOf(anchor) + 6) % 7)) : anchor;
+  const days = view === 'w' ? 7 : 1;
+  const from = utils.zonedDayRange(utils.isoDateParts(first)).start;
+  const to = utils.zonedDayRange(utils.isoDateParts(utils.addDays(first, days - 1))).end;
+  const rows = await db.getSlotsWithRequests(pool, from.toISOString(), to.toISOString(), { specialistId: ownSpecialistId(ctx) });
+
+  const title = view === 'w'
+    ? `🗓 Неделя ${utils.formatDateParts(first)} – ${utils.formatDateParts(utils.addDays(first, 6))}`
+    : `🗓 ${WEEKDAY_SHORT[weekdayOf(first)]} ${utils.formatDateParts(first)}`;
+  const lines = [];
+  const entryButtons = [];
+  let currentDay = null;
+  rows.slice(0, CALENDAR_MAX_ENTRIES).forEach((r, i) => {
+    if (view === 'w') {
+      const p = utils.getZonedParts(new Date(r.start));
+      const dayLabel = utils.formatDateParts(p);
+      if (dayLabel !== currentDay) {
+        lines.push(`\n<b>${WEEKDAY_SHORT[p.weekday]} ${dayLabel}</b>`);
+        currentDay = dayLabel;
+      }
+    }
+    lines.push(calendarEntryLine(i + 1, r));
+    entryButtons.push(Markup.button.callback(String(i + 1), r.request_id ? `cal_r_${r.request_id}` : `cal_s_${r.id}`));
+  });
+  if (rows.length === 0) lines.push('Слотов нет.');
+  if (rows.length > CALENDAR_MAX_ENTRIES) lines.push(`…и ещё ${rows.length - CALENDAR_MAX_ENTRIES}, откройте отдельные дни.`);
+
+  const keyboard = [];
+  for (let i = 0; i < entryButtons.length; i += 8) keyboard.push(entryButtons.slice(i, i + 8));
+  const today = utils.isoDateParts(utils.getZonedParts(new Date()));
+  keyboard.push([
+    Markup.button.callback('◀️', `cal_${view}_${utils.isoDateParts(utils.addDays(first, -days))}`),
+    Markup.button.callback('Сегодня', `cal_${view}_${today}`),
+    Markup.button.callback('▶️', `cal_${view}_${utils.isoDateParts(utils.addDays(first, days))}`)
+  ]);
+  keyboard.push([view === 'd'
+    ? Markup.button.callback('📅 Неделя', `cal_w_${utils.isoDateParts(first)}`)
+    : Markup.button.callback('📋 По дням', `cal_d_${utils.isoDateParts(first)}`)]);
+
+  const text = `${title}\n${lines.join('\n')}`;
+  const extra = { parse_mode: 'HTML', disable_web_page_preview: true, ...Markup.inlineKeyboard(keyboard) };
+  if (!edit) return ctx.reply(text, extra);
+  try {
+    await ctx.editMessageText(text, extra);
+  } catch (e) {
+    // tapping "Сегодня" on today's page leaves the message as it is
+    if (!String(e.description || e.message).includes('message is not modified')) throw e;
+  }
+}
+
+bot.action('schedule_day', async ctx => {
+  if (!can(ctx, 'view')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await renderCalendar(ctx, 'd', utils.isoDateParts(utils.getZonedParts(new Date())), false);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('schedule_day error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^cal_(d|w)_(\d{4}-\d{2}-\d{2})$/, async ctx => {
+  if (!can(ctx, 'view')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await renderCalendar(ctx, ctx.match[1], ctx.match[2], true);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('calendar error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Request entry: the same card and actions as in the status queues
+bot.action(/^cal_r_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'view')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const r = await db.getRequestCard(pool, ctx.match[1]);
+    const own = ownSpecialistId(ctx);
+    if (!r || (own && r.specialist_id !== own)) return ctx.answerCbQuery('Заявка не найдена');
+    await ctx.replyWithHTML(requestCardText(r, '🗓 Заявка'), requestCardKeyboard(ctx, r));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('cal_r error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^cal_s_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'view')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const slot = await db.getSlotById(pool, ctx.match[1]);
+    const own = ownSpecialistId(ctx);
+    if (!slot || (own && slot.specialist_id !== own)) return ctx.answerCbQuery('Слот не найден');
+    const buttons = [];
+    if (can(ctx, 'schedule') && ['free', 'blocked'].includes(slot.status)) buttons.push([Markup.button.callback('🗑 Удалить слот', `delslot_${slot.id}`)]);
+    await ctx.reply(`🗓 Слот ${slotLabel(slot)}\nСтатус: ${SLOT_STATUS_LABELS[slot.status] || slot.status}`, Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('cal_s error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// --- end calendar ---
+
+// Card text for a request (HTML); used by the status queues and the calendar
+function requestCardText(r, label) {
+  const userLink = utils.makeUserLink(r.user_id, r.username, r.name);
+  const timeLine = r.status === 'reserved_later'
+    ? `Резерв: ${utils.escapeHtml(r.original_slot_time || r.time)}`
+    : `Время: ${utils.escapeHtml(r.time)}`;
+  let text = `${label}\nКлиент: ${userLink}\n${timeLine}\nПроцедура: ${utils.escapeHtml(r.procedure || '-')}\nСтатус: ${utils.escapeHtml(r.status)}`;
+  if (r.specialist_name) text += `\nСпециалист: ${utils.escapeHtml(r.specialist_name)}`;
+  if (r.price !== null && r.price !== undefined) text += `\nСтоимость: ${utils.formatPrice(r.price)}`;
+  if (r.client_unreachable) text += '\n⚠️ Клиент заблокировал бота, уведомления не доставляются';
+  if (r.status === 'approved') text += `\nПодтверждение клиента: ${notifications.CONFIRMATION_LABELS[r.client_confirmation] || '— нет ответа'}`;
+  if (r.status === 'move_pending' && r.pending_move_time) text += `\nПеренос на: ${utils.escapeHtml(r.pending_move_time)} (${r.move_initiator === 'client' ? 'просит клиент' : 'предложен клиенту'})`;
+  return text;
+}
+
+// Actions available for a request in its current status
+function requestCardActions(ctx, r) {
+  if (!can(ctx, 'requests')) return [];
+  const status = r.status;
+  if (status === 'pending') {
+    return [
+      [Markup.button.callback('✔ Подтвердить', `approve_${r.id}`), Markup.button.callback('❌ Отклонить', `reject_${r.id}`)],
+      [Markup.button.callback('🔁 Перенести', `move_${r.id}`)]
+    ];
+  }
+  if (status === 'approved') {
+    return [
+      [Markup.button.callback('✅ Выполнено', `complete_${r.id}`), Markup.button.callback('🚫 Неявка', `no_show_${r.id}`)],
+      [Markup.button.callback('🔁 Перенести', `move_${r.id}`), Markup.button.callback('❌ Отклонить', `reject_${r.id}`)]
+    ];
+  }
+  if (status === 'reserved_later') {
+    return [
+      [Markup.button.callback('✔ Подтвердить (сделать заявкой)', `confirm_reserved_${r.id}`)],
+      [Markup.button.callback('❌ Отменить', `reject_${r.id}`)]
+    ];
+  }
+  if (status === 'move_pending' && r.move_initiator === 'client') {
+    return [
+      [Markup.button.callback('✔ Подтвердить перенос', `amoveYes_${r.id}`), Markup.button.callback('✖ Отказать в переносе', `amoveNo_${r.id}`)],
+      [Markup.button.callback('❌ Отменить заявку', `reject_${r.id}`)]
+    ];
+  }
+  if (status === 'move_pending') {
+    return [
+      [Markup.button.callback('❌ Отменить заявку', `reject_${r.id}`), Markup.button.callback('🚫 Неявка', `no_show_${r.id}`)]
+    ];
+  }
+  if (status === 'cancel_pending') {
+    return [
+      [Markup.button.callback('✔ Разрешить отмену', `cancelOk_${r.id}`), Markup.button.callback('✖ Оставить запись', `cancelNo_${r.id}`)]
+    ];
+  }
+  if (status === 'rejected' || status === 'cancelled' || status === 'completed' || status === 'no_show') {
+    return [[Markup.button.callback('🗑 Удалить', `delete_${r.id}`)]];
+  }
+  return [];
+}
+
+function requestCardKeyboard(ctx, r, extraRows = []) {
+  return Markup.inlineKeyboard([...requestCardActions(ctx, r), ...extraRows]);
+}
+
+// Admin request queues; callbacks carry the queue index to stay within Telegram's 64 bytes
+const REQUEST_QUEUES = [
+  { action: 'req_pending', status: 'pending', label: '🟡 Ожидающие' },
+  { action: 'req_approved', status: 'approved', label: '🟢 Подтверждённые' },
+  { action: 'req_rejected', status: 'rejected', label: '🔴 Отклонённые' },
+  { action: 'req_move_pending', status: 'move_pending', label: '🔵 Ожидающие переноса' },
+  { action: 'req_reserved', status: 'reserved_later', label: '🔷 Зарезервированные' },
+  { action: 'req_cancel_pending', status: 'cancel_pending', label: '🟠 Запросы отмены' },
+  { action: 'req_cancelled', status: 'cancelled', label: '⚪ Отменённые клиентом' },
+  { action: 'req_completed', status: 'completed', label: '✅ Выполненные' },
+  { action: 'req_no_show', status: 'no_show', label: '🚫 Неявки' }
+];
+
+async function loadRequestQueue(ctx, queue) {
+  // a specialist admin only sees requests for their own slots
+  const specialistId = ownSpecialistId(ctx);
+  if (queue.status === 'reserved_later') return db.getReservedRequests(pool, { specialistId });
+  return db.getRequestsByStatus(pool, queue.status, { specialistId });
+}
+
+async function showRequestQueue(ctx, qi, page) {
+  const queue = REQUEST_QUEUES[qi];
+  const list = await loadRequestQueue(ctx, queue);
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: queue.label,
+    items: list,
+    page,
+    emptyText: `${queue.label}: нет заявок.`,
+    line: (r, n) => `${n}. ${utils.escapeHtml(r.status === 'reserved_later' ? (r.original_slot_time || r.time) : r.time)} — ${utils.makeUserLink(r.user_id, r.username, r.name)}, ${utils.escapeHtml(r.procedure || '-')}`,
+    buttons: (r, n, current) => Markup.button.callback(String(n), `rqc_${r.id}_${qi}_${current}`),
+    columns: 4,
+    pageCallback: p => `rql_${qi}_${p}`,
+    footer: [[Markup.button.callback('⬅️ Панель', 'admin_panel')]]
+  }));
+}
+
+REQUEST_QUEUES.forEach((queue, qi) => {
+  bot.action(queue.action, async ctx => {
+    if (!can(ctx, 'view')) return ctx.answerCbQuery('Нет доступа');
+    try {
+      await showRequestQueue(ctx, qi, 0);
+      await ctx.answerCbQuery();
+    } catch (e) { console.error('request queue error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+  });
+});
+
+bot.action(/^rql_(\d)_(\d+)$/, async ctx => {
+  if (!can(ctx, 'view')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const qi = Number(ctx.match[1]);
+    if (!REQUEST_QUEUES[qi]) return ctx.answerCbQuery();
+    await showRequestQueue(ctx, qi, Number(ctx.match[2]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('rql error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// A request opened from a queue replaces the list; "back" returns to the same page
+bot.action(/^rqc_([0-9a-fA-F\-]{36})_(\d)_(\d+)$/, async ctx => {
+  if (!can(ctx, 'view')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const r = await db.getRequestCard(pool, ctx.match[1]);
+    const own = ownSpecialistId(ctx);
+    if (!r || (own && r.specialist_id !== own)) return ctx.answerCbQuery('Заявка не найдена');
+    const queue = REQUEST_QUEUES[Number(ctx.match[2])];
+    const back = [[Markup.button.callback('⬅️ К списку', `rql_${ctx.match[2]}_${ctx.match[3]}`)]];
+    await ctx.editMessageText(requestCardText(r, queue ? queue.label : '🗓 Заявка'), { parse_mode: 'HTML', disable_web_page_preview: true, ...requestCardKeyboard(ctx, r, back) });
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('rqc error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Only the sections the admin's role gives access to
+function adminPanelKeyboard(ctx) {
+  const rows = [];
+  if (can(ctx, 'view')) {
+    rows.push(
+      [Markup.button.callback('🟡 Ожидающие', 'req_pending')],
+      [Markup.button.callback('🟢 Подтверждённые', 'req_approved')],
+      [Markup.button.callback('🔴 Отклонённые', 'req_rejected')],
+      [Markup.button.callback('🔵 Ожидающие переноса', 'req_move_pending')],
+      [Markup.button.callback('🔷 Зарезервированные', 'req_reserved')],
+      [Markup.button.callback('🟠 Запросы отмены', 'req_cancel_pending'), Markup.button.callback('⚪ Отменённые', 'req_cancelled')],
+      [Markup.button.callback('✅ Выполненные', 'req_completed'), Markup.button.callback('🚫 Неявки', 'req_no_show')]
+    );
+  }
+  if (can(ctx, 'procedures')) rows.push([Markup.button.callback('🛠 Управлять процедурами', 'manage_procedures')]);
+  if (can(ctx, 'specialists')) rows.push([Markup.button.callback('👩‍⚕️ Специалисты', 'manage_specialists')]);
+  if (can(ctx, 'blacklist')) rows.push([Markup.button.callback('⚠️ Черный список', 'manage_blacklist')]);
+  if (can(ctx, 'schedule')) rows.push([Markup.button.callback('📅 Шаблоны', 'manage_patterns')]);
+  if (can(ctx, 'view')) rows.push([Markup.button.callback('🗓 Календарь', 'schedule_day')]);
+  if (can(ctx, 'procedures')) rows.push([Markup.button.callback('⏰ Напоминания', 'manage_reminders')]);
+  if (can(ctx, 'schedule')) {
+    rows.push(
+      [Markup.button.callback('➕ Добавить слот', 'admin_addslot'), Markup.button.callback('🪟 Добавить окно', 'admin_addwindow')],
+      [Markup.button.callback('❌ Удалить слот', 'admin_delslot'), Markup.button.callback('🧹 Закрыть период', 'bulk_start')]
+    );
+  }
+  if (can(ctx, 'admins')) rows.push([Markup.button.callback('👤 Администраторы', 'manage_admins')]);
+  if (can(ctx, 'stats')) rows.push([Markup.button.callback('📊 Статистика', 'stats_w_0')]);
+  if (can(ctx, 'export')) rows.push([Markup.button.callback('📤 Экспорт', 'export_menu')]);
+  if (can(ctx, 'audit')) rows.push([Markup.button.callback('📜 Журнал', 'audit_menu')]);
+  return Markup.inlineKeyboard(rows);
+}
+
+async function openAdminPanel(ctx) {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  await ctx.reply('Админ-панель:', adminPanelKeyboard(ctx));
+  try { await ctx.answerCbQuery(); } catch (_) {}
+}
+
+// "Back" from a paginated list: the panel replaces the list in the same message
+bot.action('admin_panel', async ctx => {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await pagination.showListPage(ctx, { text: 'Админ-панель:', kb: adminPanelKeyboard(ctx) });
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('admin_panel error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Page counter button between the arrows
+bot.action('pg_noop', ctx => ctx.answerCbQuery());
+
+bot.action(/^(approve|reject|delete)_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
+    const cmd = ctx.match[1];
+    const reqId = ctx.match[2];
+    const req = await loadOwnRequest(ctx, reqId);
+    if (!req) return ctx.answerCbQuery('Заявка не найдена');
+
+    if (cmd === 'approve') {
+      if (!await actions.approveRequest(pool, ctx.from.id, req)) return ctx.answerCbQuery('Заявка уже обработана', { show_alert: true });
+      try { await ctx.editMessageText('✔ Заявка подтверждена'); } catch (_) {}
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (cmd === 'reject') {
+      if (!await actions.rejectRequest(pool, ctx.from.id, req)) return ctx.answerCbQuery('Заявка уже закрыта', { show_alert: true });
+      try { await ctx.editMessageText('❌ Заявка отклонена'); } catch (_) {}
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (cmd === 'delete') {
+      if (!await db.deleteRequestById(pool, reqId, actions.CLOSED_STATUSES)) return ctx.answerCbQuery('Удалить можно только закрытую заявку', { show_alert: true });
+      await audit(ctx, 'request_delete', { request: req, before: { status: req.status, procedure: req.procedure } });
+      try { await ctx.editMessageText('🗑 Заявка удалена.'); } catch (_) {}
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('approve/reject/delete handler error', e);
+    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
+  }
+});
+
+bot.action(/confirm_reserved_([0-9a-fA-F\-]{36})/, async ctx => {
+  try {
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
+    const id = ctx.match[1];
+    const req = await loadOwnRequest(ctx, id);
+    if (!req) return ctx.answerCbQuery('Заявка не найдена');
+    if (!await db.confirmReserve(pool, id)) return ctx.answerCbQuery('Резерв уже обработан', { show_alert: true });
+    await audit(ctx, 'reserve_confirm', { request: req, target: req.original_slot_time || req.time, before: { status: req.status }, after: { status: 'pending' } });
+    try { await ctx.editMessageText('✔ Резерв переведён в заявку'); } catch (_) {}
+    try { await db.enqueueMessage(pool, req.user_id, `Ваша резервная заявка на ${req.original_slot_time || req.time} переведена в заявку и ожидает подтверждения администратора.`); } catch (e) { console.error('enqueue client message failed', e); }
+    try { await db.sendToAdmins(pool, 'new_request', `📩 Резерв переведён в заявку вручную\nКлиент: ${req.username ? '@'+req.username : req.name}\nВремя: ${req.original_slot_time || req.time}\nПроцедура: ${req.procedure || '-'}`); } catch (e) {}
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('confirm_reserved error', e);
+    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
+  }
+});
+
+async function showProcedureList(ctx, page) {
+  const procs = await db.getProcedures(pool);
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: 'Список процедур',
+    items: procs,
+    page,
+    emptyText: 'Список процедур пуст.',
+    line: p => `• ${utils.escapeHtml(utils.describeProcedure(p))}`,
+    // button text plain (no HTML entities), safe callback key
+    buttons: p => [Markup.button.callback(`✏️ ${p.name}`, makeCallbackKey('editproc_', p.key)), Markup.button.callback(`Удалить ${p.name}`, makeCallbackKey('delproc_', p.key))],
+    pageCallback: p => `prl_${p}`,
+    footer: [
+      [Markup.button.callback('➕ Добавить процедуру', 'addproc')],
+      [Markup.button.callback('⬅️ Панель', 'admin_panel')]
+    ]
+  }));
+}
+
+bot.action('manage_procedures', async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showProcedureList(ctx, 0);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('manage_procedures error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^prl_(\d+)$/, async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showProcedureList(ctx, Number(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('prl error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action('addproc', async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  await setState(ctx.from.id, { mode: 'addproc' });
   await ctx.reply('Отправьте название процедуры (например: Ботулинотерапия). Ключ будет сгенерирован автоматически (proc_<8hex>).');
   await ctx.answerCbQuery();
 });
 
+bot.action(/^editproc_(.+)$/, async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const key = await resolveProcedureKeyMaybeHashed(pool, ctx.match[1]);
+    const proc = key ? await db.getProcedureByKey(pool, key) : null;
+    if (!proc) return ctx.answerCbQuery('Процедура не найдена', { show_alert: true });
+    await setState(ctx.from.id, { mode: 'editproc', procKey: proc.key });
+    await ctx.reply(`${utils.describeProcedure(proc)}\n\nОтправьте длительность в минутах, цену и перерыв после процедуры в минутах через пробел, например: 90 5000 15\nЦену и перерыв можно не указывать, «-» оставляет значение пустым.`);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('editproc error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
 bot.action(/delproc_(.+)/, async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
   try {
     let key = ctx.match[1];
     if (key && key.startsWith('hash_')) {
@@ -559,54 +1554,535 @@ bot.action(/delproc_(.+)/, async ctx => {
       }
       key = resolved;
     }
+    const proc = await db.getProcedureByKey(pool, key);
     await db.deleteProcedureDb(pool, key);
+    if (proc) await audit(ctx, 'procedure_delete', { target: proc.name, before: { key: proc.key, duration_minutes: proc.duration_minutes, price: proc.price } });
     await ctx.reply('Процедура удалена.');
     await ctx.answerCbQuery();
   } catch (e) { console.error('delproc error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
-bot.action('manage_patterns', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+// --- SPECIALISTS ---
+bot.action('manage_specialists', async ctx => {
+  if (!can(ctx, 'specialists')) return ctx.answerCbQuery('Нет доступа');
   try {
-    const patterns = await db.getPatternsDb(pool);
-    const buttons = (patterns || []).map(p => [Markup.button.callback(`Удалить ${p.name}`, `delpattern_${p.id}`)]);
-    buttons.push([Markup.button.callback('➕ Добавить шаблон', 'addpattern')]);
-    buttons.push([Markup.button.callback('🗓 Применить шаблон на дату', 'applypattern_start')]);
-    await ctx.reply('Шаблоны расписания:', Markup.inlineKeyboard(buttons));
+    const specialists = await db.getSpecialists(pool);
+    const buttons = specialists.map(sp => [
+      Markup.button.callback(`🛠 ${sp.name}`, `specprocs_${sp.id}`),
+      Markup.button.callback(`Удалить ${sp.name}`, `delspec_${sp.id}`)
+    ]);
+    buttons.push([Markup.button.callback('➕ Добавить специалиста', 'addspec')]);
+    const lines = specialists.map(sp => `• ${utils.escapeHtml(sp.name)}${sp.telegram_id ? ` (Telegram ID ${sp.telegram_id})` : ''}`);
+    await ctx.reply(`Специалисты:${lines.length ? '\n' + lines.join('\n') : ' пока нет'}`, { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) });
     await ctx.answerCbQuery();
-  } catch (e) { console.error('manage_patterns error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+  } catch (e) { console.error('manage_specialists error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
-bot.action('addpattern', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-  adminStates[ctx.from.id] = { mode: 'addpattern_wait_name' };
-  await ctx.reply('Отправьте название шаблона:');
+bot.action('addspec', async ctx => {
+  if (!can(ctx, 'specialists')) return ctx.answerCbQuery('Нет доступа');
+  await setState(ctx.from.id, { mode: 'addspec_wait_name' });
+  await ctx.reply('Отправьте имя специалиста или название ресурса (например: Анна Петрова или Кабинет 2):');
   await ctx.answerCbQuery();
 });
 
-// --- NEW: present 7 nearest dates as buttons for applying pattern ---
-function formatDateLabel(d) {
-  return `${String(d.getDate()).padStart(2,'0')}.${String(d.getMonth()+1).padStart(2,'0')}.${d.getFullYear()}`;
+async function specialistProceduresKeyboard(specialistId) {
+  const procs = await db.getProcedures(pool);
+  const mapped = new Set(await db.getSpecialistProcedureKeys(pool, specialistId));
+  return Markup.inlineKeyboard(procs.map(p => [
+    Markup.button.callback(`${mapped.has(p.key) ? '✅' : '▫️'} ${p.name}`, makeCallbackKey(`spt_${specialistId}_`, p.key))
+  ]));
+}
+
+bot.action(/^specprocs_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'specialists')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const sp = await db.getSpecialistById(pool, ctx.match[1]);
+    if (!sp) return ctx.answerCbQuery('Специалист не найден');
+    await ctx.reply(`Процедуры, которые выполняет ${sp.name}.\nПроцедуру без отметок у всех специалистов выполняют все.`, await specialistProceduresKeyboard(sp.id));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('specprocs error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^spt_([0-9a-fA-F\-]{36})_(.+)$/, async ctx => {
+  if (!can(ctx, 'specialists')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const sp = await db.getSpecialistById(pool, ctx.match[1]);
+    const key = await resolveProcedureKeyMaybeHashed(pool, ctx.match[2]);
+    const proc = key ? await db.getProcedureByKey(pool, key) : null;
+    if (!sp || !proc) return ctx.answerCbQuery('Не найдено', { show_alert: true });
+    const added = await db.toggleProcedureSpecialist(pool, proc.key, sp.id);
+    await audit(ctx, added ? 'specialist_procedure_add' : 'specialist_procedure_remove', { target: `${sp.name}: ${proc.name}` });
+    try { await ctx.editMessageReplyMarkup((await specialistProceduresKeyboard(sp.id)).reply_markup); } catch (_) {}
+    await ctx.answerCbQuery(added ? 'Добавлено' : 'Убрано');
+  } catch (e) { console.error('spt error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^delspec_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'specialists')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const sp = await db.getSpecialistById(pool, ctx.match[1]);
+    if (!sp) return ctx.answerCbQuery('Специалист не найден');
+    const res = await db.deleteSpecialist(pool, sp.id);
+    if (!res.ok && res.reason === 'busy') {
+      const lines = res.requests.slice(0, 40).map(r => `• ${utils.escapeHtml(r.time)} — ${utils.makeUserLink(r.user_id, r.username, r.name)}`);
+      if (res.requests.length > 40) lines.push(`…и ещё ${res.requests.length - 40}`);
+      await ctx.replyWithHTML(`Нельзя удалить специалиста "${utils.escapeHtml(sp.name)}": у него есть активные записи. Перенесите или отклоните их:\n${lines.join('\n')}`);
+      return ctx.answerCbQuery('У специалиста есть активные записи', { show_alert: true });
+    }
+    if (!res.ok) return ctx.answerCbQuery('Нельзя удалить: прошедшие записи специалиста пересекаются со слотами клиники', { show_alert: true });
+    await audit(ctx, 'specialist_delete', { target: sp.name, before: { telegram_id: sp.telegram_id } });
+    await loadAdmins();
+    try { await ctx.editMessageText(`Специалист "${sp.name}" удалён вместе со свободными слотами. Слоты прошедших визитов остались без специалиста.`); } catch (_) {}
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('delspec error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// ----------------------------------------
+
+// --- ADMINS ---
+function adminRoleKeyboard(telegramId) {
+  return Markup.inlineKeyboard(roles.ASSIGNABLE_ROLES.map(role => [Markup.button.callback(roles.roleLabel(role), `admset_${telegramId}_${role}`)]));
 }
-function isoDateYMD(d) {
-  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+
+bot.action('manage_admins', async ctx => {
+  if (!can(ctx, 'admins')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const admins = await db.getAdmins(pool);
+    const lines = admins.map(a => `• ${utils.makeUserLink(a.telegram_id, null, a.telegram_id)} — ${utils.escapeHtml(roles.roleLabel(a.role))}`);
+    const buttons = admins.map(a => [
+      Markup.button.callback(`✏️ ${a.telegram_id}`, `admrole_${a.telegram_id}`),
+      Markup.button.callback('Удалить', `admdel_${a.telegram_id}`)
+    ]);
+    buttons.push([Markup.button.callback('➕ Добавить администратора', 'addadmin')]);
+    await ctx.replyWithHTML(`Администраторы:\n${lines.join('\n')}`, Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('manage_admins error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action('addadmin', async ctx => {
+  if (!can(ctx, 'admins')) return ctx.answerCbQuery('Нет доступа');
+  await setState(ctx.from.id, { mode: 'addadmin_wait_id' });
+  await ctx.reply('Отправьте Telegram ID нового администратора:');
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^admrole_(\d+)$/, async ctx => {
+  if (!can(ctx, 'admins')) return ctx.answerCbQuery('Нет доступа');
+  await ctx.reply(`Новая роль для ${ctx.match[1]}:`, adminRoleKeyboard(ctx.match[1]));
+  await ctx.answerCbQuery();
+});
+
+// The clinic must always keep at least one owner who can manage admins
+async function isLastOwner(telegramId) {
+  return adminRoles.get(Number(telegramId)) === 'owner' && (await db.countOwners(pool)) <= 1;
+}
+
+bot.action(/^admset_(\d+)_(owner|scheduler|viewer)$/, async ctx => {
+  if (!can(ctx, 'admins')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const telegramId = Number(ctx.match[1]);
+    const role = ctx.match[2];
+    if (role !== 'owner' && await isLastOwner(telegramId)) return ctx.answerCbQuery('Нельзя снять роль с последнего владельца', { show_alert: true });
+    await db.setAdminRole(pool, telegramId, role, ctx.from.id);
+    await audit(ctx, 'admin_role', { target: String(telegramId), before: { role: adminRoles.get(telegramId) || null }, after: { role } });
+    await loadAdmins();
+    try { await ctx.editMessageText(`${telegramId}: роль «${roles.roleLabel(role)}».`); } catch (_) {}
+    try { await db.enqueueMessage(pool, telegramId, `Вам выдана роль «${roles.roleLabel(role)}». Отправьте /start, чтобы открыть админ-панель.`); } catch (e) { console.error('enqueue admin message failed', e); }
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('admset error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^admdel_(\d+)$/, async ctx => {
+  if (!can(ctx, 'admins')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const telegramId = Number(ctx.match[1]);
+    if (await isLastOwner(telegramId)) return ctx.answerCbQuery('Нельзя удалить последнего владельца', { show_alert: true });
+    await db.deleteAdmin(pool, telegramId);
+    await audit(ctx, 'admin_delete', { target: String(telegramId), before: { role: adminRoles.get(telegramId) || null } });
+    await loadAdmins();
+    try { await ctx.editMessageText(`Администратор ${telegramId} удалён.`); } catch (_) {}
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('admdel error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// ----------------------------------------
+
+// --- STATISTICS ---
+// A week (Monday to Sunday) or a calendar month in clinic time, compared with the one before it.
+// offset 0 is the current period, 1 the previous one, and so on.
+const MONTH_NAMES = ['Январь', 'Февраль', 'Март', 'Апрель', 'Май', 'Июнь', 'Июль', 'Август', 'Сентябрь', 'Октябрь', 'Ноябрь', 'Декабрь'];
+const STATS_MAX_OFFSET = 104;
+
+function statsPeriod(kind, offset) {
+  const today = utils.getZonedParts(new Date());
+  let from, to, label;
+  if (kind === 'w') {
+    from = utils.addDays(today, -((weekdayOf(today) + 6) % 7) - 7 * offset);
+    to = utils.addDays(from, 7);
+    label = `неделя ${utils.formatDateParts(from)}–${utils.formatDateParts(utils.addDays(to, -1))}`;
+  } else {
+    const monthIndex = today.year * 12 + today.month - 1 - offset;
+    from = { year: Math.floor(monthIndex / 12), month: monthIndex % 12 + 1, day: 1 };
+    to = { year: Math.floor((monthIndex + 1) / 12), month: (monthIndex + 1) % 12 + 1, day: 1 };
+    label = `${MONTH_NAMES[from.month - 1]} ${from.year}`;
+  }
+  return {
+    label,
+    fromIso: utils.zonedDayRange(utils.isoDateParts(from)).start.toISOString(),
+    toIso: utils.zonedDayRange(utils.isoDateParts(to)).start.toISOString()
+  };
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part * 100) / whole) : null;
 }
 
+function signed(n) {
+  return n > 0 ? `+${n}` : n < 0 ? `−${-n}` : '±0';
+}
+
+// "42 (было 37, +14%)"
+function compareCount(cur, prev) {
+  if (!prev) return `${cur} (было ${prev})`;
+  return `${cur} (было ${prev}, ${signed(Math.round(((cur - prev) * 100) / prev))}%)`;
+}
+
+// "8% (было 10%, −2 п.п.)"; null means there was nothing to compute the rate from
+function compareRate(cur, prev) {
+  const text = cur === null ? '—' : `${cur}%`;
+  if (prev === null) return `${text} (было —)`;
+  if (cur === null) return `${text} (было ${prev}%)`;
+  return `${text} (было ${prev}%, ${signed(cur - prev)} п.п.)`;
+}
+
+function formatStats(kind, period, cur, prev) {
+  const hours = m => utils.formatDuration(m);
+  const attended = cur.visits + cur.no_shows;
+  const decided = s => s.approved + s.rejected;
+  const lines = [
+    `📊 Статистика: ${period.label}`,
+    `Сравнение с ${kind === 'w' ? 'предыдущей неделей' : 'предыдущим месяцем'}`,
+    '',
+    `Визиты: ${compareCount(cur.visits, prev.visits)}`,
+    `Неявки: ${compareRate(percent(cur.no_shows, attended), percent(prev.no_shows, prev.visits + prev.no_shows))}${attended ? `, ${cur.no_shows} из ${attended}` : ''}`,
+    `Новые заявки: ${compareCount(cur.created, prev.created)}`,
+    `  подтверждено: ${compareRate(percent(cur.approved, decided(cur)), percent(prev.approved, decided(prev)))}`,
+    `  отклонено: ${compareRate(percent(cur.rejected, decided(cur)), percent(prev.rejected, decided(prev)))}`,
+    `  отменено клиентами: ${compareCount(cur.cancelled, prev.cancelled)}`,
+    `Загрузка слотов: ${compareRate(percent(cur.booked_minutes, cur.offered_minutes), percent(prev.booked_minutes, prev.offered_minutes))}${cur.offered_minutes ? `, занято ${hours(cur.booked_minutes)} из ${hours(cur.offered_minutes)}` : ''}`,
+    `Резерв → запись: ${compareRate(percent(cur.reserved_converted, cur.reserved), percent(prev.reserved_converted, prev.reserved))}${cur.reserved ? `, ${cur.reserved_converted} из ${cur.reserved} (потеряно ${cur.reserved_lost})` : ''}`
+  ];
+  if (cur.topProcedures.length > 0) {
+    const prevCounts = new Map(prev.topProcedures.map(p => [p.procedure, p.count]));
+    lines.push('', 'Популярные процедуры:');
+    cur.topProcedures.forEach((p, i) => {
+      const was = prevCounts.has(p.procedure) ? ` (было ${prevCounts.get(p.procedure)})` : '';
+      lines.push(`${i + 1}. ${utils.escapeHtml(p.procedure)} — ${p.count}${was}`);
+    });
+  }
+  return lines.join('\n');
+}
+
+bot.action(/^stats_(w|m)_(\d+)$/, async ctx => {
+  if (!can(ctx, 'stats')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const kind = ctx.match[1];
+    const offset = Math.min(Number(ctx.match[2]), STATS_MAX_OFFSET);
+    const period = statsPeriod(kind, offset);
+    const before = statsPeriod(kind, offset + 1);
+    const cur = await db.getPeriodStats(pool, period.fromIso, period.toIso);
+    const prev = await db.getPeriodStats(pool, before.fromIso, before.toIso);
+    const nav = [Markup.button.callback('◀️', `stats_${kind}_${Math.min(offset + 1, STATS_MAX_OFFSET)}`)];
+    if (offset > 0) nav.push(Markup.button.callback('Текущий', `stats_${kind}_0`), Markup.button.callback('▶️', `stats_${kind}_${offset - 1}`));
+    const kb = Markup.inlineKeyboard([
+      nav,
+      [kind === 'w' ? Markup.button.callback('📅 По месяцам', 'stats_m_0') : Markup.button.callback('📅 По неделям', 'stats_w_0')],
+      [Markup.button.callback('⬅️ Панель', 'admin_panel')]
+    ]);
+    await pagination.showListPage(ctx, { text: formatStats(kind, period, cur, prev), kb });
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('stats error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// --- end statistics ---
+
+// --- EXPORT ---
+// CSV of requests or visit history and an .ics of approved bookings for a period, sent as documents
+const EXPORT_KINDS = {
+  req: { label: '📄 Заявки (CSV)' },
+  hist: { label: '📚 История посещений (CSV)' },
+  ics: { label: '📅 Подтверждённые записи (.ics)' }
+};
+const HISTORY_STATUSES = ['Выполнено', 'Неявка'];
+const EXPORT_MAX_DAYS = 366;
+
+const REQUEST_CSV_COLUMNS = [
+  { title: 'id', value: r => r.id },
+  { title: 'Время', value: r => r.time },
+  { title: 'Начало', value: r => (r.visit_start ? utils.formatDateTime(r.visit_start) : '') },
+  { title: 'Статус', value: r => r.status },
+  { title: 'Процедура', value: r => r.procedure },
+  { title: 'Стоимость', value: r => r.price },
+  { title: 'Специалист', value: r => r.specialist_name },
+  { title: 'Клиент (id)', value: r => r.user_id },
+  { title: 'Username', value: r => r.username },
+  { title: 'Имя', value: r => r.name },
+  { title: 'Подтверждение клиента', value: r => r.client_confirmation },
+  { title: 'Создана', value: r => (r.created_at ? utils.formatDateTime(r.created_at) : '') }
+];
+
+const HISTORY_CSV_COLUMNS = [
+  { title: 'id', value: h => h.id },
+  { title: 'Клиент (id)', value: h => h.user_id },
+  { title: 'Дата', value: h => h.date },
+  { title: 'Процедура', value: h => h.procedure },
+  { title: 'Статус', value: h => h.status }
+];
+
+bot.action('export_menu', async ctx => {
+  if (!can(ctx, 'export')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const buttons = Object.entries(EXPORT_KINDS).map(([kind, k]) => [Markup.button.callback(k.label, `exp_${kind}`)]);
+    buttons.push([Markup.button.callback('⬅️ Панель', 'admin_panel')]);
+    await pagination.showListPage(ctx, { text: '📤 Экспорт: что выгрузить?', kb: Markup.inlineKeyboard(buttons) });
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('export_menu error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^exp_(req|hist|ics)$/, async ctx => {
+  if (!can(ctx, 'export')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await setState(ctx.from.id, { mode: 'export_dates', kind: ctx.match[1] });
+    await ctx.reply(`${EXPORT_KINDS[ctx.match[1]].label}\nОтправьте дату DD.MM.YYYY или период DD.MM.YYYY-DD.MM.YYYY:`);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('exp error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Statuses offered after the period: request statuses for requests, history outcomes for history
+function exportStatuses(kind) {
+  return kind === 'req' ? REQUEST_QUEUES.map(q => ({ value: q.status, label: q.label })) : HISTORY_STATUSES.map(h => ({ value: h, label: h }));
+}
+
+async function sendExport(ctx, st, status) {
+  const fromIso = utils.zonedDayRange(st.from).start.toISOString();
+  const toIso = utils.zonedDayRange(st.to).end.toISOString();
+  const period = `${compactDate(st.from)}-${compactDate(st.to)}`;
+  let rows, file, filename;
+  if (st.kind === 'hist') {
+    rows = await db.getHistoryForExport(pool, { fromIso, toIso, status });
+    file = exporter.toCsv(rows, HISTORY_CSV_COLUMNS);
+    filename = `history_${period}.csv`;
+  } else if (st.kind === 'ics') {
+    rows = await db.getRequestsForExport(pool, { fromIso, toIso, status: 'approved' });
+    file = exporter.buildIcs(rows.map(r => exporter.bookingEvent(r, { forAdmin: true, location: CLINIC_ADDRESS })));
+    filename = `bookings_${period}.ics`;
+  } else {
+    rows = await db.getRequestsForExport(pool, { fromIso, toIso, status });
+    file = exporter.toCsv(rows, REQUEST_CSV_COLUMNS);
+    filename = `requests_${period}.csv`;
+  }
+  await clearState(ctx.from.id);
+  if (rows.length === 0) return ctx.reply('За этот период ничего не найдено.');
+  await ctx.replyWithDocument({ source: file, filename }, { caption: `${EXPORT_KINDS[st.kind].label}: ${bulkPeriodLabel(st)}, записей: ${rows.length}` });
+}
+
+bot.action(/^expst_(all|\d+)$/, async ctx => {
+  if (!can(ctx, 'export')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || st.mode !== 'export_status') return ctx.answerCbQuery('Сначала выберите, что выгрузить', { show_alert: true });
+    const option = ctx.match[1] === 'all' ? null : exportStatuses(st.kind)[Number(ctx.match[1])];
+    if (ctx.match[1] !== 'all' && !option) return ctx.answerCbQuery();
+    await ctx.answerCbQuery('Готовлю файл…');
+    await sendExport(ctx, st, option ? option.value : null);
+  } catch (e) { console.error('expst error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// --- end export ---
+
+// --- AUDIT LOG ---
+const AUDIT_LABELS = {
+  request_approve: 'подтвердил заявку',
+  request_reject: 'отклонил заявку',
+  request_delete: 'удалил заявку',
+  request_complete: 'отметил выполнение',
+  request_no_show: 'отметил неявку',
+  reserve_confirm: 'перевёл резерв в заявку',
+  reserve_to_pending: 'резерв автоматически стал заявкой',
+  move_offer: 'предложил перенос',
+  client_move_approve: 'подтвердил перенос',
+  client_move_decline: 'отказал в переносе',
+  cancel_approve: 'разрешил отмену',
+  cancel_decline: 'отказал в отмене',
+  blacklist_add: 'добавил в ЧС',
+  blacklist_remove: 'убрал из ЧС',
+  blacklist_auto: 'отметил неявку — клиент заблокирован автоматически',
+  slot_add: 'добавил слот',
+  slot_delete: 'удалил слот',
+  slots_bulk_delete: 'удалил свободные слоты за период',
+  slots_bulk_block: 'заблокировал свободные слоты за период',
+  slots_bulk_vacation: 'закрыл период на отпуск',
+  pattern_add: 'добавил шаблон',
+  pattern_delete: 'удалил шаблон',
+  pattern_apply: 'применил шаблон',
+  pattern_apply_range: 'применил шаблон к периоду',
+  schedule_rule_add: 'добавил день в недельное расписание',
+  schedule_rule_remove: 'убрал день из недельного расписания',
+  schedule_exception_add: 'добавил исключение в расписание',
+  schedule_exception_delete: 'удалил исключение из расписания',
+  schedule_generate: 'создал слоты по недельному расписанию',
+  procedure_add: 'добавил процедуру',
+  procedure_edit: 'изменил процедуру',
+  procedure_delete: 'удалил процедуру',
+  reminder_add: 'добавил напоминание',
+  reminder_delete: 'удалил напоминание',
+  specialist_add: 'добавил специалиста',
+  specialist_delete: 'удалил специалиста',
+  specialist_procedure_add: 'назначил процедуру специалисту',
+  specialist_procedure_remove: 'снял процедуру со специалиста',
+  admin_role: 'назначил роль',
+  admin_delete: 'удалил администратора'
+};
+
+function formatAuditValues(values) {
+  if (!values) return '—';
+  return Object.entries(values).map(([k, v]) => `${k}: ${v === null || v === undefined ? '—' : v}`).join(', ');
+}
+
+function formatAuditEntry(e, withDate) {
+  const when = utils.formatDateTime(new Date(e.created_at));
+  const actor = e.actor_id ? utils.makeUserLink(e.actor_id, null, String(e.actor_id)) : '🤖 бот';
+  let line = `${withDate ? when : when.slice(11)} ${actor} ${utils.escapeHtml(AUDIT_LABELS[e.action] || e.action)}`;
+  if (e.target) line += `: ${utils.escapeHtml(e.target)}`;
+  if (e.user_id) line += `\n    клиент: ${utils.makeUserLink(e.user_id, e.username, String(e.user_id))}`;
+  else if (e.username) line += `\n    клиент: @${utils.escapeHtml(e.username)}`;
+  if (e.before || e.after) line += `\n    ${utils.escapeHtml(formatAuditValues(e.before))} → ${utils.escapeHtml(formatAuditValues(e.after))}`;
+  return line;
+}
+
+// Splits long logs into several messages to stay under Telegram's message size limit
+async function replyAuditEntries(ctx, title, entries, withDate) {
+  if (entries.length === 0) return ctx.reply(`${title}: записей нет.`);
+  let chunk = `${title}:`;
+  for (const e of entries) {
+    const line = formatAuditEntry(e, withDate);
+    if (chunk.length + line.length > 3500) {
+      await ctx.replyWithHTML(chunk);
+      chunk = '';
+    }
+    chunk += `\n${line}`;
+  }
+  await ctx.replyWithHTML(chunk);
+}
+
+bot.action('audit_menu', async ctx => {
+  if (!can(ctx, 'audit')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const buttons = [];
+    const today = utils.getZonedParts(new Date());
+    for (let i = 0; i < 7; i++) {
+      const dt = utils.addDays(today, -i);
+      buttons.push([Markup.button.callback(utils.formatDateParts(dt), `audit_day_${utils.isoDateParts(dt)}`)]);
+    }
+    buttons.push([Markup.button.callback('🔎 По клиенту', 'audit_client')]);
+    await ctx.reply('📜 Журнал действий. Выберите день или клиента:', Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('audit_menu error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^audit_day_(\d{4}-\d{2}-\d{2})$/, async ctx => {
+  if (!can(ctx, 'audit')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const dateISO = ctx.match[1];
+    const day = utils.zonedDayRange(dateISO);
+    const entries = await db.getAuditLog(pool, { fromIso: day.start.toISOString(), toIso: day.end.toISOString(), limit: 100 });
+    const [y, m, d] = dateISO.split('-');
+    await replyAuditEntries(ctx, `📜 Журнал за ${d}.${m}.${y}`, entries, false);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('audit_day error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action('audit_client', async ctx => {
+  if (!can(ctx, 'audit')) return ctx.answerCbQuery('Нет доступа');
+  await setState(ctx.from.id, { mode: 'audit_client' });
+  await ctx.reply('Отправьте @username или Telegram ID клиента:');
+  await ctx.answerCbQuery();
+});
+// ----------------------------------------
+
+async function showPatternList(ctx, page) {
+  const patterns = await db.getPatternsDb(pool);
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: 'Шаблоны расписания',
+    items: patterns || [],
+    page,
+    emptyText: 'Шаблонов расписания пока нет.',
+    buttons: p => [Markup.button.callback(`Удалить ${p.kind === 'window' ? '🪟 ' : ''}${p.name}`, `delpattern_${p.id}`)],
+    pageCallback: p => `ptl_${p}`,
+    footer: [
+      [Markup.button.callback('➕ Добавить шаблон', 'addpattern'), Markup.button.callback('🪟 Шаблон окон', 'addpattern_window')],
+      [Markup.button.callback('🗓 Применить шаблон на дату', 'applypattern_start')],
+      [Markup.button.callback('📆 Применить к периоду', 'applyrange_start')],
+      [Markup.button.callback('🔁 Недельное расписание', 'sched_rules')],
+      [Markup.button.callback('⬅️ Панель', 'admin_panel')]
+    ]
+  }));
+}
+
+bot.action('manage_patterns', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showPatternList(ctx, 0);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('manage_patterns error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^ptl_(\d+)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showPatternList(ctx, Number(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('ptl error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+async function beginAddPattern(ctx, kind, specialistId) {
+  await setState(ctx.from.id, { mode: 'addpattern_wait_name', kind, specialistId });
+  await ctx.reply(kind === 'window' ? 'Отправьте название шаблона окон:' : 'Отправьте название шаблона:');
+}
+
+// addpattern_window: same as a regular pattern, but the intervals become open windows
+bot.action(/^addpattern(_window)?$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const kind = ctx.match[1] ? 'window' : 'fixed';
+    const owner = await pickScheduleOwner(ctx, 'patfor', kind);
+    if (owner.ready) await beginAddPattern(ctx, kind, owner.specialistId);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('addpattern error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^patfor_(none|[0-9a-fA-F\-]{36})_(fixed|window)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await beginAddPattern(ctx, ctx.match[2], ctx.match[1] === 'none' ? null : ctx.match[1]);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('patfor error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// --- NEW: present 7 nearest dates as buttons for applying pattern ---
+
 bot.action('applypattern_start', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
-    // Generate 7 dates starting from today
+    // Generate 7 dates starting from today (clinic calendar)
     const buttons = [];
-    const today = new Date();
+    const today = utils.getZonedParts(new Date());
     for (let i = 0; i < 7; i++) {
-      const dt = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i);
-      const label = formatDateLabel(dt);
-      const iso = isoDateYMD(dt);
+      const dt = utils.addDays(today, i);
+      const label = utils.formatDateParts(dt);
+      const iso = utils.isoDateParts(dt);
       buttons.push([Markup.button.callback(label, `applypattern_pick_${iso}`)]);
     }
     // allow manual input as fallback
     buttons.push([Markup.button.callback('Другие...', 'applypattern_manual')]);
-    adminStates[ctx.from.id] = { mode: 'applypattern_choosing' };
+    await setState(ctx.from.id, { mode: 'applypattern_choosing' });
     await ctx.reply('Выберите дату для применения шаблона:', Markup.inlineKeyboard(buttons));
     await ctx.answerCbQuery();
   } catch (e) {
@@ -616,21 +2092,21 @@ bot.action('applypattern_start', async ctx => {
 });
 
 bot.action('applypattern_manual', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-  adminStates[ctx.from.id] = { mode: 'applypattern_wait_date' };
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  await setState(ctx.from.id, { mode: 'applypattern_wait_date' });
   await ctx.reply('Отправьте дату в формате DD.MM.YYYY для применения шаблона:');
   await ctx.answerCbQuery();
 });
 
 bot.action(/^applypattern_pick_(\d{4}-\d{2}-\d{2})$/, async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
     const dateISO = ctx.match[1];
-    adminStates[ctx.from.id] = { mode: 'applypattern_choose', apply_date: dateISO };
+    await setState(ctx.from.id, { mode: 'applypattern_choose', apply_date: dateISO });
 
     const pats = await db.getPatternsDb(pool);
     if (!pats || pats.length === 0) {
-      delete adminStates[ctx.from.id];
+      await clearState(ctx.from.id);
       await ctx.reply('Шаблонов нет. Сначала добавьте шаблон.');
       await ctx.answerCbQuery();
       return;
@@ -647,18 +2123,22 @@ bot.action(/^applypattern_pick_(\d{4}-\d{2}-\d{2})$/, async ctx => {
 // --- end new date buttons flow ---
 
 bot.action(/^applypattern_date_(.+)$/, async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   try {
     const patternId = ctx.match[1];
-    const st = adminStates[ctx.from.id];
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
     const dateISO = st && st.apply_date;
     if (!dateISO) {
       await ctx.answerCbQuery('Сначала укажите дату для применения шаблона (кнопка "Применить шаблон на дату").', { show_alert: true });
       return;
     }
+    const pattern = await db.getPatternById(pool, patternId);
     const res = await db.applyPatternToDate(pool, patternId, dateISO);
-    delete adminStates[ctx.from.id];
+    await audit(ctx, 'pattern_apply', { target: pattern ? pattern.name : patternId, after: { date: dateISO, created: res.created } });
+    await clearState(ctx.from.id);
     try { await ctx.editMessageText(`Генерация слотов завершена. Создано: ${res.created}`); } catch (_) {}
+    if (res.created > 0) await offerFreedSlots();
     await ctx.answerCbQuery();
   } catch (e) {
     console.error('applypattern_date handler error', e);
@@ -667,10 +2147,10 @@ bot.action(/^applypattern_date_(.+)$/, async ctx => {
 });
 
 bot.action(/delpattern_(.+)/, async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
   const id = ctx.match[1];
   try {
-    await db.deletePatternDb(pool, id);
+    await actions.deletePattern(pool, ctx.from.id, id);
     await ctx.reply('Шаблон удалён.');
     await ctx.answerCbQuery();
   } catch (e) {
@@ -679,13 +2159,380 @@ bot.action(/delpattern_(.+)/, async ctx => {
   }
 });
 
+// --- WEEKLY SCHEDULE ---
+// Weekly rules ("this pattern on Mon/Wed/Fri") are turned into slots by utils/scheduler.js;
+// exception dates close days for the whole clinic or one specialist.
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+// Longest period a pattern can be bulk-applied to in one go
+const APPLY_RANGE_MAX_DAYS = 92;
+
+function describeScheduleException(exc) {
+  const dates = exc.date_from_label === exc.date_to_label ? exc.date_from_label : `${exc.date_from_label}–${exc.date_to_label}`;
+  let text = dates;
+  if (exc.specialist_name) text += ` (${exc.specialist_name})`;
+  if (exc.reason) text += ` — ${exc.reason}`;
+  return text;
+}
+
+async function showScheduleRules(ctx, page) {
+  const patterns = await db.getPatternsDb(pool);
+  const days = new Map();
+  for (const rule of await db.getScheduleRules(pool)) {
+    if (!days.has(rule.pattern_id)) days.set(rule.pattern_id, []);
+    days.get(rule.pattern_id).push(rule.weekday);
+  }
+  const daysLabel = p => {
+    const wd = days.get(p.id);
+    return wd ? WEEKDAY_ORDER.filter(d => wd.includes(d)).map(d => WEEKDAY_SHORT[d]).join(', ') : 'не используется';
+  };
+  const horizon = scheduler.SCHEDULE_WEEKS_AHEAD > 0
+    ? `Слоты создаются автоматически на ${scheduler.SCHEDULE_WEEKS_AHEAD} нед. вперёд, пересечения с существующими пропускаются.`
+    : 'Автоматическое создание слотов выключено (SCHEDULE_WEEKS_AHEAD=0).';
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: '🔁 Недельное расписание',
+    note: `${horizon}\nВыберите шаблон, чтобы отметить дни недели:`,
+    items: patterns,
+    page,
+    emptyText: 'Шаблонов нет. Сначала добавьте шаблон.',
+    buttons: p => [Markup.button.callback(`${p.kind === 'window' ? '🪟 ' : ''}${p.name} — ${daysLabel(p)}`, `srp_${p.id}`)],
+    pageCallback: p => `srl_${p}`,
+    footer: [
+      [Markup.button.callback('🚫 Исключения', 'sched_exc'), Markup.button.callback('▶️ Создать сейчас', 'sched_gen')],
+      [Markup.button.callback('⬅️ Шаблоны', 'manage_patterns')]
+    ]
+  }));
+}
+
+bot.action('sched_rules', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showScheduleRules(ctx, 0);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('sched_rules error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^srl_(\d+)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showScheduleRules(ctx, Number(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('srl error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+async function patternWeekdaysKeyboard(patternId) {
+  const on = new Set(await db.getPatternWeekdays(pool, patternId));
+  const buttons = WEEKDAY_ORDER.map(d => Markup.button.callback(`${on.has(d) ? '✅' : '▫️'} ${WEEKDAY_SHORT[d]}`, `srt_${patternId}_${d}`));
+  return Markup.inlineKeyboard([buttons.slice(0, 4), buttons.slice(4), [Markup.button.callback('⬅️ К расписанию', 'sched_rules')]]);
+}
+
+bot.action(/^srp_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const pattern = await db.getPatternById(pool, ctx.match[1]);
+    if (!pattern) return ctx.answerCbQuery('Шаблон не найден');
+    await ctx.editMessageText(`Дни недели для шаблона «${pattern.name}» (${pattern.intervals || '-'}):`, await patternWeekdaysKeyboard(pattern.id));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('srp error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^srt_([0-9a-fA-F\-]{36})_([0-6])$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const pattern = await db.getPatternById(pool, ctx.match[1]);
+    if (!pattern) return ctx.answerCbQuery('Шаблон не найден');
+    const weekday = Number(ctx.match[2]);
+    const added = await db.toggleScheduleRule(pool, pattern.id, weekday, ctx.from.id);
+    await audit(ctx, added ? 'schedule_rule_add' : 'schedule_rule_remove', { target: `${pattern.name}: ${WEEKDAY_SHORT[weekday]}` });
+    try { await ctx.editMessageReplyMarkup((await patternWeekdaysKeyboard(pattern.id)).reply_markup); } catch (_) {}
+    await ctx.answerCbQuery(added ? 'Добавлено' : 'Убрано');
+  } catch (e) { console.error('srt error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action('sched_gen', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    if (scheduler.SCHEDULE_WEEKS_AHEAD <= 0) return ctx.answerCbQuery('Автоматическое создание слотов выключено', { show_alert: true });
+    await ctx.answerCbQuery('Создаю слоты…');
+    const report = await scheduler.generateNow(pool, ctx.from.id);
+    // subscribed admins get the report from the scheduler; the others are told here
+    if (report.length === 0) await ctx.reply('Новых слотов нет: все дни по расписанию уже заполнены.');
+    else if (!roles.subscribes(adminRole(ctx), 'schedule')) await ctx.replyWithHTML(scheduler.formatReport(report));
+  } catch (e) { console.error('sched_gen error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+async function showScheduleExceptions(ctx, page) {
+  const list = await db.getScheduleExceptions(pool);
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: '🚫 Исключения в расписании',
+    items: list,
+    page,
+    emptyText: '🚫 Исключений в расписании нет.',
+    line: exc => `• ${utils.escapeHtml(describeScheduleException(exc))}`,
+    buttons: exc => [Markup.button.callback(`Удалить ${exc.date_from_label}`, `sexc_del_${exc.id}`)],
+    pageCallback: p => `sexl_${p}`,
+    footer: [
+      [Markup.button.callback('➕ Добавить исключение', 'sexc_add')],
+      [Markup.button.callback('⬅️ К расписанию', 'sched_rules')]
+    ]
+  }));
+}
+
+bot.action('sched_exc', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showScheduleExceptions(ctx, 0);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('sched_exc error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^sexl_(\d+)$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showScheduleExceptions(ctx, Number(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('sexl error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+async function beginAddScheduleException(ctx, specialistId) {
+  await setState(ctx.from.id, { mode: 'schedexc_dates', specialistId });
+  await ctx.reply('Отправьте дату DD.MM.YYYY или период DD.MM.YYYY-DD.MM.YYYY, когда приёма нет:');
+}
+
+bot.action('sexc_add', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const owner = await pickScheduleOwner(ctx, 'sexcfor', 'exc');
+    if (owner.ready) await beginAddScheduleException(ctx, owner.specialistId);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('sexc_add error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// "Без специалиста" here means the whole clinic is closed
+bot.action(/^sexcfor_(none|[0-9a-fA-F\-]{36})_exc$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await beginAddScheduleException(ctx, ctx.match[1] === 'none' ? null : ctx.match[1]);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('sexcfor error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^sexc_del_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const exc = await db.deleteScheduleException(pool, ctx.match[1]);
+    if (!exc) return ctx.answerCbQuery('Исключение уже удалено');
+    await audit(ctx, 'schedule_exception_delete', { target: describeScheduleException(exc) });
+    await showScheduleExceptions(ctx, 0);
+    await ctx.answerCbQuery('Удалено');
+  } catch (e) { console.error('sexc_del error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+// Bulk apply: period -> pattern -> preview (dry run) -> apply
+bot.action('applyrange_start', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await setState(ctx.from.id, { mode: 'applyrange_dates' });
+    await ctx.reply('Отправьте период в формате DD.MM.YYYY-DD.MM.YYYY:');
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('applyrange_start error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+function applyRangeSummary(pattern, st, res) {
+  let text = `Шаблон «${pattern.name}» на период ${utils.formatIsoDate(st.from)}–${utils.formatIsoDate(st.to)}`;
+  text += `\nДней: ${res.days}, слотов: ${res.created}`;
+  if (res.skipped > 0) text += `\nПропущено (пересекаются с существующими или уже прошли): ${res.skipped}`;
+  if (res.exceptionDates.length > 0) {
+    text += `\nИсключения, не заполняются: ${res.exceptionDates.map(utils.formatIsoDate).join(', ')}`;
+  }
+  return text;
+}
+
+bot.action(/^arp_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || !['applyrange_pattern', 'applyrange_confirm'].includes(st.mode)) return ctx.answerCbQuery('Сначала укажите период', { show_alert: true });
+    const pattern = await db.getPatternById(pool, ctx.match[1]);
+    if (!pattern) return ctx.answerCbQuery('Шаблон не найден');
+    const preview = await db.applyPatternToRange(pool, pattern.id, st.from, st.to, { dryRun: true });
+    await setState(ctx.from.id, { mode: 'applyrange_confirm', from: st.from, to: st.to, patternId: pattern.id });
+    const kb = Markup.inlineKeyboard([
+      [Markup.button.callback(`✔ Создать ${preview.created}`, 'arp_go'), Markup.button.callback('✖ Отмена', 'arp_cancel')]
+    ]);
+    await ctx.editMessageText(`Предпросмотр.\n${applyRangeSummary(pattern, st, preview)}`, preview.created > 0 ? kb : Markup.inlineKeyboard([[Markup.button.callback('✖ Закрыть', 'arp_cancel')]]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('arp error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action('arp_go', async ctx => {
+  if (!can(ctx, 'schedule')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || st.mode !== 'applyrange_confirm') return ctx.answerCbQuery('Нечего применять', { show_alert: true });
+    const pattern = await db.getPatternById(pool, st.patternId);
+    if (!pattern) return ctx.answerCbQuery('Шаблон не найден');
+    await clearState(ctx.from.id);
+    const res = await db.applyPatternToRange(pool, pattern.id, st.from, st.to);
+    await audit(ctx, 'pattern_apply_range', { target: pattern.name, after: { from: st.from, to: st.to, created: res.created, skipped: res.skipped } });
+    try { await ctx.editMessageText(`Готово.\n${applyRangeSummary(pattern, st, res)}`); } catch (_) {}
+    if (res.created > 0) await offerFreedSlots();
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('arp_go error', e); try { await ctx.answerCbQuery('Ошибка при применении шаблона'); } catch (_) {} }
+});
+
+bot.action('arp_cancel', async ctx => {
+  try {
+    await clearState(ctx.from.id);
+    try { await ctx.editMessageText('Отменено.'); } catch (_) {}
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('arp_cancel error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+// --- end weekly schedule ---
+
+// --- REMINDER RULES ---
+bot.action('manage_reminders', async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const rules = await db.getReminderRules(pool);
+    const scope = r => r.procedure_key ? (r.procedure_name || r.procedure_key) : 'все процедуры';
+    const lines = rules.map(r => `• ${utils.describeReminderRule(r)} — ${scope(r)}${r.message ? ' (свой текст)' : ''}`);
+    const buttons = rules.map(r => [Markup.button.callback(`Удалить: ${utils.describeReminderRule(r)}, ${scope(r)}`, `delrule_${r.id}`)]);
+    buttons.push([Markup.button.callback('➕ Добавить напоминание', 'addrule')]);
+    const text = `⏰ Напоминания:\n${lines.length ? lines.join('\n') : 'правил нет'}\n\nЕсли для процедуры заданы свои правила, общие правила для неё не применяются.`;
+    await ctx.reply(text, Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('manage_reminders error', e);
+    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
+  }
+});
+
+bot.action('addrule', async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const procs = await db.getProcedures(pool);
+    const buttons = [[Markup.button.callback('Для всех процедур', 'addrule_all')]];
+    for (const p of procs) buttons.push([Markup.button.callback(p.name, makeCallbackKey('addrule_proc_', p.key))]);
+    await ctx.reply('Для каких процедур будет напоминание?', Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('addrule error', e);
+    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
+  }
+});
+
+const REMINDER_OFFSET_PROMPT = 'Когда отправлять напоминание?\n• 60m — за 60 минут\n• 48h — за 48 часов\n• 1d 20:00 — за день до записи в 20:00\nИли /cancel чтобы отменить.';
+
+bot.action('addrule_all', async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  await setState(ctx.from.id, { mode: 'addrule_wait_offset', procedure_key: null });
+  await ctx.reply(REMINDER_OFFSET_PROMPT);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^addrule_proc_(.+)$/, async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const key = await resolveProcedureKeyMaybeHashed(pool, ctx.match[1]);
+    const proc = key && await db.getProcedureByKey(pool, key);
+    if (!proc) return ctx.answerCbQuery('Процедура не найдена', { show_alert: true });
+    await setState(ctx.from.id, { mode: 'addrule_wait_offset', procedure_key: proc.key });
+    await ctx.reply(`Процедура: ${proc.name}\n${REMINDER_OFFSET_PROMPT}`);
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('addrule_proc error', e);
+    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
+  }
+});
+
+bot.action(/^delrule_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'procedures')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    const rule = (await db.getReminderRules(pool)).find(r => r.id === ctx.match[1]);
+    await db.deleteReminderRule(pool, ctx.match[1]);
+    if (rule) await audit(ctx, 'reminder_delete', { target: utils.describeReminderRule(rule), before: { procedure_key: rule.procedure_key || null, message: rule.message } });
+    await ctx.reply('Напоминание удалено.');
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('delrule error', e);
+    try { await ctx.answerCbQuery('Ошибка при удалении напоминания'); } catch (_) {}
+  }
+});
+
+// --- BLACKLIST ---
+function describeBlacklistTarget(t) {
+  if (t.username && t.userId) return `@${t.username} (ID ${t.userId})`;
+  if (t.username) return `@${t.username}`;
+  return `ID ${t.userId}`;
+}
+
+// "Name — reason, до 01.02.2027 00:00 (авто)", HTML
+function describeBlacklistEntry(e) {
+  const who = e.user_id
+    ? utils.makeUserLink(e.user_id, e.username, String(e.user_id))
+    : `@${utils.escapeHtml(e.username)} (ID пока неизвестен)`;
+  let text = `${who} — ${utils.escapeHtml(e.reason || 'без причины')}`;
+  if (e.expires_at) text += `, до ${utils.formatDateTime(new Date(e.expires_at))}`;
+  if (!e.added_by) text += ' (авто)';
+  return text;
+}
+
+// @username, a numeric id or a forwarded message -> { userId, username }
+async function blacklistTargetFromMessage(message) {
+  const origin = message.forward_origin;
+  const fwd = (origin && origin.type === 'user' && origin.sender_user) || message.forward_from;
+  if (fwd) return { userId: fwd.id, username: fwd.username ? fwd.username.toLowerCase() : null };
+  if (origin || message.forward_sender_name) return null;
+  const text = message.text.trim();
+  if (/^\d+$/.test(text)) return { userId: Number(text), username: null };
+  const username = text.replace(/^@/, '').toLowerCase();
+  if (!/^[a-z0-9_]{3,32}$/.test(username)) return null;
+  return { userId: await db.findUserIdByUsername(pool, username), username };
+}
+
+// Called after a no-show is recorded in history
+async function applyNoShowPolicy(ctx, req) {
+  if (!NO_SHOW_BAN_THRESHOLD) return;
+  try {
+    const count = await db.countNoShows(pool, req.user_id);
+    if (count === 0 || count % NO_SHOW_BAN_THRESHOLD !== 0) return;
+    if (await db.isUserBlacklisted(pool, { id: req.user_id, username: req.username })) return;
+    const expiresAt = NO_SHOW_BAN_DAYS ? new Date(Date.now() + NO_SHOW_BAN_DAYS * 24 * 60 * 60 * 1000) : null;
+    const entry = await db.addToBlacklist(pool, {
+      userId: req.user_id,
+      username: req.username,
+      reason: `Автоматически: ${count} неявок`,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null
+    });
+    await audit(ctx, 'blacklist_auto', { request: req, target: describeBlacklistTarget({ userId: req.user_id, username: req.username }), after: { no_shows: count } });
+    const kb = Markup.inlineKeyboard([[Markup.button.callback('↩️ Снять блокировку', `delblack_${entry.id}`)]]);
+    await db.sendToAdmins(pool, 'attendance', `⛔ Клиент автоматически добавлен в черный список\n${describeBlacklistEntry(entry)}`, { parse_mode: 'HTML', ...kb });
+  } catch (e) { console.error('no-show ban error', e); }
+}
+
+async function showBlacklist(ctx, page) {
+  const list = await db.getBlacklist(pool);
+  await pagination.showListPage(ctx, pagination.buildListPage({
+    title: 'Черный список',
+    items: list,
+    page,
+    emptyText: 'Черный список пуст.',
+    line: e => `• ${describeBlacklistEntry(e)}`,
+    buttons: e => [Markup.button.callback(`Удалить ${e.username ? '@' + e.username : e.user_id}`, `delblack_${e.id}`)],
+    pageCallback: p => `bll_${p}`,
+    footer: [
+      [Markup.button.callback('➕ Добавить в ЧС', 'addblack')],
+      [Markup.button.callback('⬅️ Панель', 'admin_panel')]
+    ]
+  }));
+}
+
 bot.action('manage_blacklist', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+  if (!can(ctx, 'blacklist')) return ctx.answerCbQuery('Нет доступа');
   try {
-    const list = await db.getBlacklist(pool);
-    const buttons = list.map(u => [Markup.button.callback(`Удалить @${u}`, `delblack_${u}`)]);
-    buttons.push([Markup.button.callback('➕ Добавить в ЧС', 'addblack')]);
-    await ctx.reply('Черный список:', Markup.inlineKeyboard(buttons));
+    await showBlacklist(ctx, 0);
     await ctx.answerCbQuery();
   } catch (e) {
     console.error('manage_blacklist error', e);
@@ -693,39 +2540,54 @@ bot.action('manage_blacklist', async ctx => {
   }
 });
 
+bot.action(/^bll_(\d+)$/, async ctx => {
+  if (!can(ctx, 'blacklist')) return ctx.answerCbQuery('Нет доступа');
+  try {
+    await showBlacklist(ctx, Number(ctx.match[1]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('bll error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
 bot.action('addblack', async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-  adminStates[ctx.from.id] = { mode: 'addblack' };
-  await ctx.reply('Отправьте @username для добавления в черный список (пример: @ivan).');
+  if (!can(ctx, 'blacklist')) return ctx.answerCbQuery('Нет доступа');
+  await setState(ctx.from.id, { mode: 'addblack' });
+  await ctx.reply('Отправьте @username, числовой Telegram ID или перешлите сюда любое сообщение клиента.');
   await ctx.answerCbQuery();
 });
 
-bot.action(/delblack_(.+)/, async ctx => {
-  if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
-  const uname = String(ctx.match[1] || '').replace(/^@/, '').toLowerCase();
+bot.action(/^delblack_([0-9a-fA-F\-]{36})$/, async ctx => {
+  if (!can(ctx, 'blacklist')) return ctx.answerCbQuery('Нет доступа');
   try {
-    await db.removeFromBlacklist(pool, uname);
-    await ctx.reply(`Пользователь @${uname} удалён из ЧС.`);
+    const entry = await db.removeFromBlacklist(pool, ctx.match[1]);
+    if (!entry) return ctx.answerCbQuery('Запись уже удалена');
+    const target = describeBlacklistTarget({ userId: entry.user_id, username: entry.username });
+    await audit(ctx, 'blacklist_remove', { userId: entry.user_id, username: entry.username, target, before: { reason: entry.reason } });
+    await ctx.reply(`${target} удалён из ЧС.`);
     await ctx.answerCbQuery();
   } catch (e) {
     console.error('delblack error', e);
     try { await ctx.answerCbQuery('Ошибка при удалении из ЧС'); } catch (_) {}
   }
 });
+// --- end blacklist ---
+
+// Visit outcome (completed / no-show) can only be marked on a booked visit
+const ATTENDANCE_STATUSES = ['approved', 'move_pending'];
 
 bot.action(/complete_([0-9a-fA-F\-]{36})/, async ctx => {
   try {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
     const reqId = ctx.match[1];
-    const req = await db.getRequestById(pool, reqId);
+    const req = await loadOwnRequest(ctx, reqId);
     if (!req) return ctx.answerCbQuery('Заявка не найдена');
 
-    await db.updateRequest(pool, reqId, { status: 'completed' });
+    if (!await db.updateRequestIfStatus(pool, reqId, ATTENDANCE_STATUSES, { status: 'completed' })) return ctx.answerCbQuery('Заявка уже обработана', { show_alert: true });
+    await audit(ctx, 'request_complete', { request: req, before: { status: req.status }, after: { status: 'completed' } });
     await db.addHistoryItem(pool, req.user_id, req.time, req.procedure || 'Процедура', 'Выполнено');
 
     try { await ctx.editMessageText('✅ Отмечено как выполнено'); } catch (_) {}
-    try { await bot.telegram.sendMessage(req.user_id, `✅ Ваша запись на ${req.time} помечена как выполненная.`); } catch (e) {}
-    try { await db.sendToAdmins(pool, bot, `✅ Клиент ${utils.makeUserLink(req.user_id, req.username, req.name)} — выполнено.\nВремя: ${utils.escapeHtml(req.time)}\nПроцедура: ${utils.escapeHtml(req.procedure || '-')}`, { parse_mode: 'HTML' }); } catch (e) {}
+    try { await db.enqueueMessage(pool, req.user_id, `✅ Ваша запись на ${req.time} помечена как выполненная.`); } catch (e) { console.error('enqueue client message failed', e); }
+    try { await db.sendToAdmins(pool, 'attendance', `✅ Клиент ${utils.makeUserLink(req.user_id, req.username, req.name)} — выполнено.\nВремя: ${utils.escapeHtml(req.time)}\nПроцедура: ${utils.escapeHtml(req.procedure || '-')}`, { parse_mode: 'HTML' }); } catch (e) {}
 
     await ctx.answerCbQuery();
   } catch (e) { console.error('complete error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
@@ -733,16 +2595,19 @@ bot.action(/complete_([0-9a-fA-F\-]{36})/, async ctx => {
 
 bot.action(/no_show_([0-9a-fA-F\-]{36})/, async ctx => {
   try {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
     const reqId = ctx.match[1];
-    const req = await db.getRequestById(pool, reqId);
+    const req = await loadOwnRequest(ctx, reqId);
     if (!req) return ctx.answerCbQuery('Заявка не найдена');
 
-    await db.updateRequest(pool, reqId, { status: 'no_show' });
+    // A repeated tap must not record a second no-show towards the ban threshold
+    if (!await db.updateRequestIfStatus(pool, reqId, ATTENDANCE_STATUSES, { status: 'no_show' })) return ctx.answerCbQuery('Заявка уже обработана', { show_alert: true });
+    await audit(ctx, 'request_no_show', { request: req, before: { status: req.status }, after: { status: 'no_show' } });
     await db.addHistoryItem(pool, req.user_id, req.time, req.procedure || 'Процедура', 'Неявка');
+    await applyNoShowPolicy(ctx, req);
 
     try { await ctx.editMessageText('🚫 Отмечено как неявка'); } catch (_) {}
-    try { await db.sendToAdmins(pool, bot, `🚫 Клиент ${utils.makeUserLink(req.user_id, req.username, req.name)} — не явился.\nВремя: ${utils.escapeHtml(req.time)}\nПроцедура: ${utils.escapeHtml(req.procedure || '-')}`, { parse_mode: 'HTML' }); } catch (e) {}
+    try { await db.sendToAdmins(pool, 'attendance', `🚫 Клиент ${utils.makeUserLink(req.user_id, req.username, req.name)} — не явился.\nВремя: ${utils.escapeHtml(req.time)}\nПроцедура: ${utils.escapeHtml(req.procedure || '-')}`, { parse_mode: 'HTML' }); } catch (e) {}
 
     await ctx.answerCbQuery();
   } catch (e) { console.error('no_show error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
@@ -750,38 +2615,64 @@ bot.action(/no_show_([0-9a-fA-F\-]{36})/, async ctx => {
 
 bot.action(/move_([0-9a-fA-F\-]{36})/, async ctx => {
   try {
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
     const reqId = ctx.match[1];
-    const slots = await db.getAllSlots(pool);
+    const req = await loadOwnRequest(ctx, reqId);
+    if (!req) return ctx.answerCbQuery('Заявка не найдена');
+    const slots = await db.getAllSlots(pool, { ...await requestSlotNeeds(req), specialistId: ownSpecialistId(ctx) });
     if (!slots || slots.length === 0) return ctx.answerCbQuery('Нет свободных интервалов');
-    adminStates[ctx.from.id] = { moveReqId: reqId };
-    const buttons = slots.map(s => [Markup.button.callback(s.time, `moveTo_${s.id}`)]);
-    await ctx.reply('Выберите новое время:', Markup.inlineKeyboard(buttons));
+    const holder = await db.findDialogStateHolder(pool, 'moveReqId', reqId, ctx.from.id);
+    if (holder) return ctx.answerCbQuery('Эту заявку уже переносит другой администратор', { show_alert: true });
+    await setState(ctx.from.id, { mode: 'move', moveReqId: reqId });
+    await pagination.showListPage(ctx, moveSlotsPage(slots, 0));
     await ctx.answerCbQuery();
   } catch (e) { console.error('move_ error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
+function moveSlotsPage(slots, page) {
+  return pagination.buildListPage({
+    title: 'Свободные интервалы',
+    note: 'Выберите новое время:',
+    items: slots,
+    page,
+    buttons: s => [Markup.button.callback(s.time, `moveTo_${s.id}`)],
+    pageCallback: p => `mvp_${p}`
+  });
+}
+
+// Pages of the admin move picker; the request being moved is kept in the dialog state
+bot.action(/^mvp_(\d+)$/, async ctx => {
+  try {
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || st.mode !== 'move' || !st.moveReqId) return ctx.answerCbQuery('Не найден запрос для переноса', { show_alert: true });
+    const slots = await db.getAllSlots(pool, { ...await requestSlotNeeds(await db.getRequestById(pool, st.moveReqId)), specialistId: ownSpecialistId(ctx) });
+    if (slots.length === 0) return ctx.answerCbQuery('Нет свободных интервалов');
+    await pagination.showListPage(ctx, moveSlotsPage(slots, Number(ctx.match[1])));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('mvp error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
 bot.action(/moveTo_([0-9a-fA-F\-]{36})/, async ctx => {
   try {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery('Нет доступа');
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
     const slotId = ctx.match[1];
-    const slot = await db.getSlotById(pool, slotId);
-    if (!slot) return ctx.answerCbQuery('Слот недоступен', { show_alert: true });
-    const st = adminStates[ctx.from.id];
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
     const reqId = st && st.moveReqId;
     if (!reqId) return ctx.answerCbQuery('Не найден запрос для переноса', { show_alert: true });
-    const req = await db.getRequestById(pool, reqId);
-    if (!req) return ctx.answerCbQuery('Заявка не найдена', { show_alert: true });
-
-    try { await db.deleteSlotById(pool, slot.id); } catch (e) {}
-
-    await db.updateRequest(pool, reqId, { pending_move_slot_id: slot.id, pending_move_time: slot.time, prev_status: req.status, status: 'move_pending' });
+    const slot = await db.getSlotById(pool, slotId);
+    if (!await loadOwnRequest(ctx, reqId) || !slot || !ownsSlot(ctx, slot)) return ctx.answerCbQuery('Заявка или слот не найдены', { show_alert: true });
 
-    delete adminStates[ctx.from.id];
+    const claim = await actions.offerMove(pool, ctx.from.id, reqId, slotId);
+    if (!claim.ok) {
+      if (claim.reason === 'taken') return ctx.answerCbQuery('Этот слот только что заняли. Выберите другой интервал.', { show_alert: true });
+      if (claim.reason === 'request') return ctx.answerCbQuery('Заявку нельзя перенести', { show_alert: true });
+      return ctx.answerCbQuery('Ошибка при предложении переноса');
+    }
 
-    const kb = Markup.inlineKeyboard([
-      [Markup.button.callback('Принять', `clientMoveYes_${reqId}`), Markup.button.callback('Отклонить', `clientMoveNo_${reqId}`)]
-    ]);
-    try { await bot.telegram.sendMessage(req.user_id, `Предложен перенос вашей записи на: ${slot.time}\nПринять?`, kb); } catch (e) {}
+    await clearState(ctx.from.id);
 
     try { await ctx.reply('Предложение на перенос отправлено клиенту.'); } catch (_) {}
     try { await ctx.answerCbQuery(); } catch (_) {}
@@ -794,10 +2685,12 @@ bot.action(/moveTo_([0-9a-fA-F\-]{36})/, async ctx => {
 bot.action(/clientMoveYes_([0-9a-fA-F\-]{36})/, async ctx => {
   const reqId = ctx.match[1];
   try {
+    if (!await getOwnRequest(ctx, reqId)) return ctx.answerCbQuery('Нет запроса на перенос');
     const res = await db.applyClientMove(pool, reqId);
     if (!res.ok) return ctx.answerCbQuery(res.message || 'Ошибка при применении переноса');
     try { await ctx.editMessageText('✔ Перенос подтверждён!'); } catch (_) {}
-    try { await db.sendToAdmins(pool, bot, `✔ Клиент подтвердил перенос. Новое время: ${utils.escapeHtml(res.new_time)}`); } catch (e) {}
+    try { await db.sendToAdmins(pool, 'move', `✔ Клиент подтвердил перенос. Новое время: ${utils.escapeHtml(res.new_time)}`); } catch (e) {}
+    await offerFreedSlots();
     await ctx.answerCbQuery();
   } catch (err) {
     console.error('clientMoveYes transaction error:', err);
@@ -808,21 +2701,389 @@ bot.action(/clientMoveYes_([0-9a-fA-F\-]{36})/, async ctx => {
 bot.action(/clientMoveNo_([0-9a-fA-F\-]{36})/, async ctx => {
   try {
     const reqId = ctx.match[1];
-    const req = await db.getRequestById(pool, reqId);
+    const req = await getOwnRequest(ctx, reqId);
     if (!req || !req.pending_move_slot_id) return ctx.answerCbQuery('Нет запроса на перенос');
-    await db.updateRequest(pool, reqId, { pending_move_slot_id: null, pending_move_time: null, status: req.prev_status || req.status, prev_status: null });
+    const restored = await db.updateRequestIfStatus(pool, reqId, ['move_pending'], { pending_move_slot_id: null, pending_move_time: null, status: req.prev_status || 'approved', prev_status: null, move_initiator: null });
+    if (!restored) return ctx.answerCbQuery('Предложение переноса уже неактуально', { show_alert: true });
+    try { await db.releasePendingMoveSlot(pool, req); } catch (e) { console.error('Failed to release offered slot:', e); }
     try { await ctx.editMessageText('❌ Вы отклонили перенос.'); } catch (_) {}
-    try { await db.sendToAdmins(pool, bot, `❌ Клиент ${utils.makeUserLink(req.user_id, req.username, req.name)} отклонил перенос.`); } catch (e) {}
+    try { await db.sendToAdmins(pool, 'move', `❌ Клиент ${utils.makeUserLink(req.user_id, req.username, req.name)} отклонил перенос.`); } catch (e) {}
+    await offerFreedSlots();
     await ctx.answerCbQuery();
   } catch (e) { console.error('clientMoveNo error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
 });
 
+// --- CLIENT SELF-SERVICE CANCEL / RESCHEDULE ---
+async function getOwnRequest(ctx, reqId) {
+  const req = await db.getRequestById(pool, reqId);
+  if (!req || Number(req.user_id) !== ctx.from.id) return null;
+  return req;
+}
+
+function hoursUntilVisit(req) {
+  if (!req.original_slot_start) return null;
+  return (new Date(req.original_slot_start).getTime() - Date.now()) / (60 * 60 * 1000);
+}
+
+async function editOrReply(ctx, text, extra) {
+  try { await ctx.editMessageText(text, extra); } catch (_) { await ctx.reply(text, extra); }
+}
+
+// False (nothing changed) if an admin closed or changed the request since the client opened it
+async function startClientCancel(ctx, req) {
+  const client = req.username ? '@' + req.username : req.name;
+  const hoursLeft = hoursUntilVisit(req);
+  if (req.status !== 'reserved_later' && hoursLeft !== null && hoursLeft < CLIENT_CANCEL_CUTOFF_HOURS) {
+    if (!await db.updateRequestIfStatus(pool, req.id, [req.status], { status: 'cancel_pending', prev_status: req.status })) return false;
+    await editOrReply(ctx, `До записи осталось меньше ${CLIENT_CANCEL_CUTOFF_HOURS} ч., поэтому отмену должен подтвердить администратор. Мы сообщим вам о решении.`);
+    const kb = Markup.inlineKeyboard([
+      [Markup.button.callback('✔ Разрешить отмену', `cancelOk_${req.id}`), Markup.button.callback('✖ Оставить запись', `cancelNo_${req.id}`)]
+    ]);
+    const adminText = `🟠 Поздняя отмена\nКлиент: ${client}\nВремя: ${req.time}\nПроцедура: ${req.procedure || '-'}`;
+    try { await db.sendToAdmins(pool, 'cancel', adminText, kb); } catch (e) { console.error('notify admin failed', e); }
+    await notifySlotSpecialist(req.slot_id, adminText, kb);
+    return true;
+  }
+
+  // Look the specialist up before the slot is released: a freed window fragment may be merged away
+  const slot = req.slot_id ? await db.getSlotById(pool, req.slot_id) : null;
+  if (!await db.updateRequestIfStatus(pool, req.id, [req.status], { status: 'cancelled' })) return false;
+  try { await db.releaseRequestSlots(pool, req); } catch (e) { console.error('Failed to release slot on cancel:', e); }
+  await editOrReply(ctx, `Запись на ${req.time} отменена.`);
+  const adminText = `⚪ Клиент отменил запись\nКлиент: ${client}\nВремя: ${req.time}\nПроцедура: ${req.procedure || '-'}`;
+  try { await db.sendToAdmins(pool, 'cancel', adminText); } catch (e) { console.error('notify admin failed', e); }
+  await notifySlotSpecialist(slot, adminText);
+  await offerFreedSlots();
+  return true;
+}
+
+async function startClientReschedule(ctx, req) {
+  const slots = await db.getAllSlots(pool, await requestSlotNeeds(req));
+  if (!slots || slots.length === 0) return ctx.answerCbQuery('Свободных интервалов пока нет', { show_alert: true });
+  await setState(ctx.from.id, { mode: 'client_move', reqId: req.id });
+  await pagination.showListPage(ctx, clientRescheduleSlotsPage(slots, 0));
+  await ctx.answerCbQuery();
+}
+
+function clientRescheduleSlotsPage(slots, page) {
+  return pagination.buildListPage({
+    title: 'Свободные интервалы',
+    note: 'Выберите новое время. Перенос вступит в силу после подтверждения администратора.',
+    items: slots,
+    page,
+    buttons: s => [Markup.button.callback(s.time, `cslot_${s.id}`)],
+    pageCallback: p => `csp_${p}`
+  });
+}
+
+bot.action(/^csp_(\d+)$/, async ctx => {
+  try {
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || st.mode !== 'client_move' || !st.reqId) return ctx.answerCbQuery('Не найдена заявка для переноса', { show_alert: true });
+    const req = await getOwnRequest(ctx, st.reqId);
+    if (!req) return ctx.answerCbQuery('Не найдена заявка для переноса', { show_alert: true });
+    const slots = await db.getAllSlots(pool, await requestSlotNeeds(req));
+    if (slots.length === 0) return ctx.answerCbQuery('Свободных интервалов пока нет', { show_alert: true });
+    await pagination.showListPage(ctx, clientRescheduleSlotsPage(slots, Number(ctx.match[1])));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('csp error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^ccancel_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const req = await getOwnRequest(ctx, ctx.match[1]);
+    if (!req || !['pending', 'approved', 'reserved_later'].includes(req.status)) return ctx.answerCbQuery('Эту заявку нельзя отменить', { show_alert: true });
+    const kb = Markup.inlineKeyboard([
+      [Markup.button.callback('Да, отменить', `ccancelYes_${req.id}`), Markup.button.callback('Нет', 'ccancelNo')]
+    ]);
+    await ctx.reply(`Отменить запись на ${req.status === 'reserved_later' ? (req.original_slot_time || req.time) : req.time}?`, kb);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('ccancel error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^ccancelYes_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const req = await getOwnRequest(ctx, ctx.match[1]);
+    if (!req || !['pending', 'approved', 'reserved_later'].includes(req.status)) return ctx.answerCbQuery('Эту заявку нельзя отменить', { show_alert: true });
+    if (!await startClientCancel(ctx, req)) return ctx.answerCbQuery('Эту заявку нельзя отменить', { show_alert: true });
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('ccancelYes error', e); try { await ctx.answerCbQuery('Ошибка при отмене'); } catch (_) {} }
+});
+
+bot.action('ccancelNo', async ctx => {
+  try { await ctx.editMessageText('Запись сохранена.'); } catch (_) {}
+  try { await ctx.answerCbQuery(); } catch (_) {}
+});
+
+// Answers to the day-before reminder buttons
+bot.action(/^attend_(yes|resched|cancel)_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const req = await getOwnRequest(ctx, ctx.match[2]);
+    if (!req || req.status !== 'approved') return ctx.answerCbQuery('Эта запись уже неактуальна', { show_alert: true });
+    const answer = { yes: 'confirmed', resched: 'reschedule', cancel: 'cancel' }[ctx.match[1]];
+    await db.updateRequest(pool, req.id, { client_confirmation: answer, client_confirmed_at: new Date().toISOString() });
+
+    if (answer === 'confirmed') {
+      try { await ctx.editMessageText(`${ctx.callbackQuery.message.text}\n\n✅ Спасибо, ждём вас!`); } catch (_) {}
+      return ctx.answerCbQuery();
+    }
+    if (answer === 'reschedule') return startClientReschedule(ctx, req);
+
+    const kb = Markup.inlineKeyboard([
+      [Markup.button.callback('Да, отменить', `ccancelYes_${req.id}`), Markup.button.callback('Нет', 'ccancelNo')]
+    ]);
+    await ctx.reply(`Отменить запись на ${req.time}?`, kb);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('attend error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^cancel(Ok|No)_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
+    const reqId = ctx.match[2];
+    const req = await loadOwnRequest(ctx, reqId);
+    if (!req || req.status !== 'cancel_pending') return ctx.answerCbQuery('Запрос на отмену не найден');
+
+    if (ctx.match[1] === 'Ok') {
+      if (!await db.updateRequestIfStatus(pool, reqId, ['cancel_pending'], { status: 'cancelled', prev_status: null })) return ctx.answerCbQuery('Запрос на отмену уже обработан', { show_alert: true });
+      try { await db.releaseRequestSlots(pool, req); } catch (e) { console.error('Failed to release slot on cancel:', e); }
+      await audit(ctx, 'cancel_approve', { request: req, before: { status: req.status }, after: { status: 'cancelled' } });
+      try { await ctx.editMessageText('✔ Отмена подтверждена'); } catch (_) {}
+      try { await db.enqueueMessage(pool, req.user_id, `Ваша запись на ${req.time} отменена.`); } catch (e) { console.error('enqueue client message failed', e); }
+      await offerFreedSlots();
+    } else {
+      if (!await db.updateRequestIfStatus(pool, reqId, ['cancel_pending'], { status: req.prev_status || 'approved', prev_status: null })) return ctx.answerCbQuery('Запрос на отмену уже обработан', { show_alert: true });
+      await audit(ctx, 'cancel_decline', { request: req, before: { status: req.status }, after: { status: req.prev_status || 'approved' } });
+      try { await ctx.editMessageText('✖ Отмена отклонена, запись сохранена'); } catch (_) {}
+      try { await db.enqueueMessage(pool, req.user_id, `Администратор не подтвердил отмену. Ваша запись на ${req.time} сохранена.`); } catch (e) { console.error('enqueue client message failed', e); }
+    }
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('cancel decision error', e);
+    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
+  }
+});
+
+bot.action(/^cresched_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const req = await getOwnRequest(ctx, ctx.match[1]);
+    if (!req || !['pending', 'approved'].includes(req.status)) return ctx.answerCbQuery('Эту заявку нельзя перенести', { show_alert: true });
+    await startClientReschedule(ctx, req);
+  } catch (e) { console.error('cresched error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^cslot_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || st.mode !== 'client_move') return ctx.answerCbQuery('Сначала выберите запись для переноса', { show_alert: true });
+    const req = await getOwnRequest(ctx, st.reqId);
+    if (!req || !['pending', 'approved'].includes(req.status)) {
+      await clearState(ctx.from.id);
+      return ctx.answerCbQuery('Эту заявку нельзя перенести', { show_alert: true });
+    }
+    const claim = await db.claimSlotForMove(pool, req.id, ctx.match[1], 'client', await requestSlotNeeds(req));
+    if (!claim.ok) {
+      if (claim.reason === 'taken') return ctx.answerCbQuery('Этот слот только что заняли. Выберите другой интервал.', { show_alert: true });
+      if (claim.reason === 'request') return ctx.answerCbQuery('Эту заявку нельзя перенести', { show_alert: true });
+      return ctx.answerCbQuery('Ошибка при переносе');
+    }
+    const { slot } = claim;
+    await clearState(ctx.from.id);
+
+    try { await ctx.editMessageText(`Запрос на перенос на ${slot.time} отправлен администратору.`); } catch (_) {}
+    const kb = Markup.inlineKeyboard([
+      [Markup.button.callback('✔ Подтвердить перенос', `amoveYes_${req.id}`), Markup.button.callback('✖ Отказать', `amoveNo_${req.id}`)]
+    ]);
+    const adminText = `🔁 Клиент просит перенос\nКлиент: ${req.username ? '@' + req.username : req.name}\nБыло: ${req.time}\nСтало: ${slot.time}\nПроцедура: ${req.procedure || '-'}`;
+    try { await db.sendToAdmins(pool, 'move', adminText, kb); } catch (e) { console.error('notify admin failed', e); }
+    await notifySlotSpecialist(slot, adminText, kb);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('cslot error', e); try { await ctx.answerCbQuery('Ошибка при переносе'); } catch (_) {} }
+});
+
+bot.action(/^amove(Yes|No)_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    if (!can(ctx, 'requests')) return ctx.answerCbQuery('Нет доступа');
+    const reqId = ctx.match[2];
+    const req = await loadOwnRequest(ctx, reqId);
+    if (!req || req.status !== 'move_pending' || req.move_initiator !== 'client') return ctx.answerCbQuery('Нет запроса на перенос');
+
+    if (ctx.match[1] === 'Yes') {
+      const res = await db.applyClientMove(pool, reqId);
+      if (!res.ok) return ctx.answerCbQuery(res.message || 'Ошибка при применении переноса');
+      await audit(ctx, 'client_move_approve', { request: req, before: { time: req.time }, after: { time: res.new_time } });
+      try { await ctx.editMessageText(`✔ Перенос подтверждён. Новое время: ${res.new_time}`); } catch (_) {}
+      try { await db.enqueueMessage(pool, req.user_id, `✔ Ваша запись перенесена на ${res.new_time}.`); } catch (e) { console.error('enqueue client message failed', e); }
+    } else {
+      try { await db.releasePendingMoveSlot(pool, req); } catch (e) { console.error('Failed to release requested slot:', e); }
+      await db.updateRequest(pool, reqId, { pending_move_slot_id: null, pending_move_time: null, status: req.prev_status || 'approved', prev_status: null, move_initiator: null });
+      await audit(ctx, 'client_move_decline', { request: req, before: { status: req.status, pending_move_time: req.pending_move_time }, after: { status: req.prev_status || 'approved' } });
+      try { await ctx.editMessageText('✖ Перенос отклонён'); } catch (_) {}
+      try { await db.enqueueMessage(pool, req.user_id, `Администратор не подтвердил перенос. Ваша запись остаётся на ${req.time}.`); } catch (e) { console.error('enqueue client message failed', e); }
+    }
+    await offerFreedSlots();
+    await ctx.answerCbQuery();
+  } catch (e) {
+    console.error('amove decision error', e);
+    try { await ctx.answerCbQuery('Ошибка'); } catch (_) {}
+  }
+});
+// --- end client self-service ---
+
+// --- WAITLIST ---
+// Offer freed or newly created slots to waitlisted clients right away instead of waiting for the worker tick
+async function offerFreedSlots() {
+  await actions.offerFreedSlots(pool);
+}
+
+function describeWaitlistEntry(w) {
+  const proc = w.procedure_name || 'любая';
+  const dates = w.date_from_label ? `${w.date_from_label}–${w.date_to_label}` : 'любые';
+  return `Процедура: ${proc}\nДаты: ${dates}`;
+}
+
+async function joinWaitlist(ctx, st, range) {
+  await clearState(ctx.from.id);
+  if (await db.getActiveWaitlistEntry(pool, ctx.from.id)) return ctx.reply('Вы уже в листе ожидания.');
+  await db.addWaitlistEntry(pool, {
+    id: randomUUID(),
+    userId: ctx.from.id,
+    username: ctx.from.username || null,
+    name: ctx.from.first_name || '',
+    procedureKey: st.procedure_key || null,
+    dateFrom: range ? utils.isoDateParts(range.from) : null,
+    dateTo: range ? utils.isoDateParts(range.to) : null
+  });
+  await ctx.reply('Вы в листе ожидания. Как только освободится подходящее время, мы предложим его вам — на ответ будет ограниченное время.');
+  await offerFreedSlots();
+}
+
+bot.action('wl_join', async ctx => {
+  try {
+    if (await db.isUserBlacklisted(pool, ctx.from)) return ctx.answerCbQuery('Нет доступа', { show_alert: true });
+    const existing = await db.getActiveWaitlistEntry(pool, ctx.from.id);
+    if (existing) {
+      await ctx.reply(`Вы уже в листе ожидания.\n${describeWaitlistEntry(existing)}`, Markup.inlineKeyboard([[Markup.button.callback('Покинуть лист ожидания', `wl_leave_${existing.id}`)]]));
+      return ctx.answerCbQuery();
+    }
+    const procs = await db.getProcedures(pool);
+    const buttons = [[Markup.button.callback('Любая процедура', 'wl_jp_any')]];
+    for (const p of procs) buttons.push([Markup.button.callback(p.name, makeCallbackKey('wl_jp_', p.key))]);
+    await ctx.reply('На какую процедуру вы хотите записаться?', Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('wl_join error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^wl_jp_(.+)$/, async ctx => {
+  try {
+    let procedureKey = null;
+    if (ctx.match[1] !== 'any') {
+      procedureKey = await resolveProcedureKeyMaybeHashed(pool, ctx.match[1]);
+      if (!procedureKey || !(await db.getProcedureByKey(pool, procedureKey))) return ctx.answerCbQuery('Процедура недоступна', { show_alert: true });
+    }
+    await setState(ctx.from.id, { mode: 'waitlist_dates', procedure_key: procedureKey });
+    await ctx.reply('Отправьте желаемые даты в формате DD.MM.YYYY или DD.MM.YYYY-DD.MM.YYYY, либо нажмите «Любые даты».', Markup.inlineKeyboard([[Markup.button.callback('Любые даты', 'wl_jd_any')]]));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('wl_jp error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action('wl_jd_any', async ctx => {
+  try {
+    const { st, expired } = await loadState(ctx.from.id);
+    if (expired) return ctx.answerCbQuery(DIALOG_EXPIRED_TEXT, { show_alert: true });
+    if (!st || st.mode !== 'waitlist_dates') return ctx.answerCbQuery('Сначала нажмите «Встать в лист ожидания»', { show_alert: true });
+    await joinWaitlist(ctx, st, null);
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('wl_jd_any error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^wl_leave_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const entry = await db.getActiveWaitlistEntry(pool, ctx.from.id);
+    if (!entry || entry.id !== ctx.match[1]) return ctx.answerCbQuery('Вы не в листе ожидания', { show_alert: true });
+    const releasedOffer = await db.leaveWaitlist(pool, entry.id);
+    try { await ctx.editMessageText('Вы покинули лист ожидания.'); } catch (_) {}
+    if (releasedOffer) await offerFreedSlots();
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('wl_leave error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^wl_dec_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const offer = await db.getWaitlistOffer(pool, ctx.match[1]);
+    if (!offer || Number(offer.user_id) !== ctx.from.id) return ctx.answerCbQuery('Предложение не найдено', { show_alert: true });
+    if (!(await db.declineWaitlistOffer(pool, offer.id))) return ctx.answerCbQuery('Предложение уже неактуально', { show_alert: true });
+    try { await ctx.editMessageText(`Вы отказались от интервала ${offer.slot_time}. Вы остаётесь в листе ожидания.`, Markup.inlineKeyboard([[Markup.button.callback('Покинуть лист ожидания', `wl_leave_${offer.waitlist_id}`)]])); } catch (_) {}
+    await offerFreedSlots();
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('wl_dec error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+async function acceptOffer(ctx, offer, proc) {
+  const res = await db.acceptWaitlistOffer(pool, offer.id, {
+    id: randomUUID(),
+    userId: ctx.from.id,
+    username: ctx.from.username || null,
+    name: ctx.from.first_name || '',
+    procedure: proc.name,
+    procedureKey: proc.key,
+    price: proc.price,
+    createdAt: new Date().toISOString()
+  }, actions.slotNeeds(proc));
+  if (!res.ok) {
+    if (res.reason === 'offer') return ctx.answerCbQuery('Время на ответ истекло или предложение уже неактуально', { show_alert: true });
+    return ctx.answerCbQuery('Ошибка при создании заявки');
+  }
+  const priceNote = utils.formatPrice(proc.price) ? `\nСтоимость: ${utils.formatPrice(proc.price)}` : '';
+  try { await ctx.editMessageText(`Заявка на ${res.slot.time} отправлена! Ожидайте подтверждения от администратора.\nПроцедура: ${proc.name}${priceNote}`); } catch (_) {}
+  const adminText = `📩 Новая заявка (лист ожидания)\nКлиент: ${ctx.from.username ? '@'+ctx.from.username : ctx.from.first_name}\nВремя: ${res.slot.time}\nПроцедура: ${proc.name}${priceNote}`;
+  try { await db.sendToAdmins(pool, 'new_request', adminText); } catch (notifyErr) { console.error('notify admin failed', notifyErr); }
+  await notifySlotSpecialist(res.slot, adminText);
+  await ctx.answerCbQuery();
+}
+
+bot.action(/^wl_acc_([0-9a-fA-F\-]{36})$/, async ctx => {
+  try {
+    const offer = await db.getWaitlistOffer(pool, ctx.match[1]);
+    if (!offer || Number(offer.user_id) !== ctx.from.id) return ctx.answerCbQuery('Предложение не найдено', { show_alert: true });
+    if (offer.status !== 'offered' || new Date(offer.expires_at) <= new Date()) return ctx.answerCbQuery('Время на ответ истекло или предложение уже неактуально', { show_alert: true });
+
+    const proc = offer.procedure_key ? await db.getProcedureByKey(pool, offer.procedure_key) : null;
+    if (proc) return acceptOffer(ctx, offer, proc);
+
+    const slot = await db.getSlotById(pool, offer.slot_id);
+    const procs = (await db.getProceduresForSpecialist(pool, slot.specialist_id)).filter(p => utils.procedureFitsSlot(p, slot));
+    if (procs.length === 0) return ctx.answerCbQuery('Ни одна процедура не помещается в этот интервал', { show_alert: true });
+    const buttons = procs.map(p => [Markup.button.callback(utils.describeProcedure(p), makeCallbackKey(`wl_proc_${offer.id}_`, p.key))]);
+    await ctx.reply('Выберите процедуру:', Markup.inlineKeyboard(buttons));
+    await ctx.answerCbQuery();
+  } catch (e) { console.error('wl_acc error', e); try { await ctx.answerCbQuery('Ошибка'); } catch (_) {} }
+});
+
+bot.action(/^wl_proc_([0-9a-fA-F\-]{36})_(.+)$/, async ctx => {
+  try {
+    const offer = await db.getWaitlistOffer(pool, ctx.match[1]);
+    if (!offer || Number(offer.user_id) !== ctx.from.id) return ctx.answerCbQuery('Предложение не найдено', { show_alert: true });
+    const procKey = await resolveProcedureKeyMaybeHashed(pool, ctx.match[2]);
+    const proc = procKey ? await db.getProcedureByKey(pool, procKey) : null;
+    if (!proc) return ctx.answerCbQuery('Процедура недоступна', { show_alert: true });
+    const slot = await db.getSlotById(pool, offer.slot_id);
+    if (!(await slotAcceptsProcedure(slot, proc))) return ctx.answerCbQuery('Эта процедура недоступна в предложенном интервале', { show_alert: true });
+    await acceptOffer(ctx, offer, proc);
+  } catch (e) { console.error('wl_proc error', e); try { await ctx.answerCbQuery('Ошибка при создании заявки'); } catch (_) {} }
+});
+// --- end waitlist ---
+
 bot.catch((err, ctx) => {
   console.error(`Bot error for update ${ctx.update?.update_id}:`, err);
 });
 
 async function shutdown() {
   try { await notifications.shutdown(bot); } catch (e) {}
+  try { await outbox.shutdown(); } catch (e) {}
+  try { await scheduler.shutdown(); } catch (e) {}
   try { await pool.end(); } catch (e) {}
   process.exit(0);
 }
@@ -830,19 +3091,33 @@ process.once('SIGINT', shutdown);
 process.once('SIGTERM', shutdown);
 
 notifications.start(pool, bot);
+outbox.start(pool, bot);
+scheduler.start(pool);
 
 (async () => {
+  // Express runs in both modes: it carries the webhook (if any), the HTTP API and the /admin dashboard
+  const app = express();
+  app.get('/', (req, res) => res.send('OK'));
+  const apiRouter = api.createApiRouter(pool, { apiToken: API_TOKEN, calendarToken: CALENDAR_TOKEN, clinicAddress: CLINIC_ADDRESS });
+  if (apiRouter) app.use(apiRouter);
+  else console.log('API_TOKEN is not set, HTTP API disabled');
+  app.use(web.createDashboardRouter(pool, {
+    botToken: BOT_TOKEN,
+    getBotUsername: async () => (bot.botInfo || (bot.botInfo = await bot.telegram.getMe())).username,
+    roleOf: adminRole,
+    specialistOf: ownSpecialistId
+  }));
+
   if (WEBHOOK_URL) {
-    const app = express();
     const hookPath = `/bot${BOT_TOKEN}`;
     app.use(bot.webhookCallback(hookPath));
     try {
       const setRes = await bot.telegram.setWebhook(`${WEBHOOK_URL}${hookPath}`);
       console.log('Webhook set result:', setRes);
     } catch (e) {}
-    app.get('/', (req, res) => res.send('OK'));
     app.listen(PORT, () => console.log(`Express server listening on ${PORT}, webhook path ${hookPath}`));
   } else {
+    app.listen(PORT, () => console.log(`Express server listening on ${PORT}`));
     await bot.launch();
   }
 })().catch(err => {
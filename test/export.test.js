@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const exporter = require('../utils/export');
+
+function dataLine(value) {
+  return exporter.toCsv([{ v: value }], [{ title: 'v', value: row => row.v }]).toString('utf8').split('\r\n')[1];
+}
+
+test('CSV cells that start like a formula are neutralized', () => {
+  assert.strictEqual(dataLine('=HYPERLINK("http://x")'), `"'=HYPERLINK(""http://x"")"`);
+  assert.strictEqual(dataLine('+7 999'), "'+7 999");
+  assert.strictEqual(dataLine('-1+1'), "'-1+1");
+  assert.strictEqual(dataLine('@SUM(A1)'), "'@SUM(A1)");
+});
+
+test('plain text and numbers are written as is', () => {
+  assert.strictEqual(dataLine('Анна'), 'Анна');
+  assert.strictEqual(dataLine(-5), '-5');
+  assert.strictEqual(dataLine('a,b'), '"a,b"');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const utils = require('../utils/utils');
+
+test('parseProcedureParams reads duration, price and buffer', () => {
+  assert.deepStrictEqual(utils.parseProcedureParams('90 5000 15'), { duration_minutes: 90, price: 5000, buffer_minutes: 15 });
+  assert.deepStrictEqual(utils.parseProcedureParams('60'), { duration_minutes: 60, price: null, buffer_minutes: 0 });
+  assert.deepStrictEqual(utils.parseProcedureParams('  45   1500,50 '), { duration_minutes: 45, price: 1500.5, buffer_minutes: 0 });
+  assert.deepStrictEqual(utils.parseProcedureParams('- - -'), { duration_minutes: null, price: null, buffer_minutes: 0 });
+});
+
+test('parseProcedureParams rejects malformed input', () => {
+  assert.strictEqual(utils.parseProcedureParams('0 1000'), null);
+  assert.strictEqual(utils.parseProcedureParams('1.5 1000'), null);
+  assert.strictEqual(utils.parseProcedureParams('60 abc'), null);
+  assert.strictEqual(utils.parseProcedureParams('60 1000 -5'), null);
+  assert.strictEqual(utils.parseProcedureParams('60 1000 10 extra'), null);
+});
+
+test('procedureFitsSlot counts the duration plus the buffer', () => {
+  const slot = { start: '2026-07-15T10:00:00Z', end: '2026-07-15T11:00:00Z' };
+  assert.strictEqual(utils.procedureFitsSlot({ duration_minutes: 45, buffer_minutes: 15 }, slot), true);
+  assert.strictEqual(utils.procedureFitsSlot({ duration_minutes: 50, buffer_minutes: 15 }, slot), false);
+  assert.strictEqual(utils.procedureFitsSlot({ duration_minutes: null, buffer_minutes: null }, slot), true);
+  assert.strictEqual(utils.procedureFitsSlot(null, slot), true);
+});
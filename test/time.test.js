@@ -0,0 +1,103 @@
+// Clinic time must not depend on the server zone: npm test runs this file under several TZ values.
+const test = require('node:test');
+const assert = require('node:assert');
+const utils = require('../utils/utils');
+const notifications = require('../utils/notifications');
+
+function withClinicZone(timeZone, fn) {
+  const saved = process.env.CLINIC_TZ;
+  process.env.CLINIC_TZ = timeZone;
+  try {
+    fn();
+  } finally {
+    if (saved === undefined) delete process.env.CLINIC_TZ;
+    else process.env.CLINIC_TZ = saved;
+  }
+}
+
+function iso(date) {
+  return date.toISOString();
+}
+
+test('slot intervals are read as clinic wall-clock time', () => {
+  const winter = utils.parseSlotDateTimeInterval('15.01.2026 10:00-11:00', 'Europe/Berlin');
+  assert.strictEqual(iso(winter.start), '2026-01-15T09:00:00.000Z');
+  assert.strictEqual(iso(winter.end), '2026-01-15T10:00:00.000Z');
+  const summer = utils.parseSlotDateTimeInterval('15.07.2026 10:00-11:00', 'Europe/Berlin');
+  assert.strictEqual(iso(summer.start), '2026-07-15T08:00:00.000Z');
+  const tokyo = utils.parseSlotDateTimeInterval('16.07.2026 00:30-01:30', 'Asia/Tokyo');
+  assert.strictEqual(iso(tokyo.start), '2026-07-15T15:30:00.000Z');
+  withClinicZone('America/New_York', () => {
+    const ny = utils.parseSlotDateTimeInterval('15.01.2026 23:00-23:30');
+    assert.strictEqual(iso(ny.start), '2026-01-16T04:00:00.000Z');
+  });
+});
+
+test('malformed or reversed intervals are rejected', () => {
+  assert.strictEqual(utils.parseSlotDateTimeInterval('15.13.2026 10:00-11:00', 'UTC'), null);
+  assert.strictEqual(utils.parseSlotDateTimeInterval('15.01.2026 11:00-10:00', 'UTC'), null);
+  assert.strictEqual(utils.parseSlotDateTimeInterval('15.01.2026 10:00', 'UTC'), null);
+});
+
+test('wall times skipped by the spring DST switch move forward', () => {
+  // Berlin: 29.03.2026 02:00 CET -> 03:00 CEST
+  const gap = utils.parseSlotDateTimeInterval('29.03.2026 02:30-04:00', 'Europe/Berlin');
+  assert.strictEqual(iso(gap.start), '2026-03-29T01:30:00.000Z');
+  assert.strictEqual(iso(gap.end), '2026-03-29T02:00:00.000Z');
+  const across = utils.parseSlotDateTimeInterval('29.03.2026 01:30-03:30', 'Europe/Berlin');
+  assert.strictEqual(across.end - across.start, 60 * 60 * 1000);
+  // New York: 08.03.2026 02:00 EST -> 03:00 EDT
+  assert.strictEqual(iso(utils.zonedTimeToUtc(2026, 3, 8, 2, 30, 'America/New_York')), '2026-03-08T07:30:00.000Z');
+});
+
+test('wall times repeated by the autumn DST switch take the first occurrence', () => {
+  // Berlin: 25.10.2026 03:00 CEST -> 02:00 CET
+  assert.strictEqual(iso(utils.zonedTimeToUtc(2026, 10, 25, 2, 30, 'Europe/Berlin')), '2026-10-25T00:30:00.000Z');
+  const across = utils.parseSlotDateTimeInterval('25.10.2026 01:30-03:30', 'Europe/Berlin');
+  assert.strictEqual(across.end - across.start, 3 * 60 * 60 * 1000);
+  // New York: 01.11.2026 02:00 EDT -> 01:00 EST
+  assert.strictEqual(iso(utils.zonedTimeToUtc(2026, 11, 1, 1, 30, 'America/New_York')), '2026-11-01T05:30:00.000Z');
+});
+
+test('clinic days around DST switches are 23 and 25 hours long', () => {
+  const spring = utils.zonedDayRange('2026-03-29', 'Europe/Berlin');
+  assert.strictEqual(iso(spring.start), '2026-03-28T23:00:00.000Z');
+  assert.strictEqual(iso(spring.end), '2026-03-29T22:00:00.000Z');
+  const autumn = utils.zonedDayRange('2026-10-25', 'Europe/Berlin');
+  assert.strictEqual((autumn.end - autumn.start) / (60 * 60 * 1000), 25);
+  const plain = utils.zonedDayRange('2026-07-15', 'Asia/Tokyo');
+  assert.strictEqual(iso(plain.start), '2026-07-14T15:00:00.000Z');
+});
+
+test('getZonedParts reports the clinic calendar day and weekday', () => {
+  const p = utils.getZonedParts(new Date('2026-07-15T15:30:00Z'), 'Asia/Tokyo');
+  assert.deepStrictEqual(p, { year: 2026, month: 7, day: 16, hour: 0, minute: 30, second: 0, weekday: 4 });
+});
+
+test('formatSlotTimeDisplay shows clinic time', () => {
+  withClinicZone('Europe/Berlin', () => {
+    assert.strictEqual(notifications.formatSlotTimeDisplay('2026-07-15T08:00:00Z'), '15.07.2026 10:00');
+    assert.strictEqual(notifications.formatSlotTimeDisplay('2026-10-25T00:30:00Z'), '25.10.2026 02:30');
+    assert.strictEqual(notifications.formatSlotTimeDisplay('2026-10-25T01:30:00Z'), '25.10.2026 02:30');
+  });
+  withClinicZone('Asia/Tokyo', () => {
+    assert.strictEqual(notifications.formatSlotTimeDisplay('2026-07-15T15:30:00Z'), '16.07.2026 00:30');
+  });
+});
+
+test('day-before reminder is due at 20:00 clinic time on the previous clinic day', () => {
+  const rule = { kind: 'day_before', days_before: 1, at_time: '20:00' };
+  withClinicZone('Asia/Tokyo', () => {
+    // 16.07 00:30 in Tokyo is still 15.07 in UTC
+    assert.strictEqual(iso(notifications.reminderDueAt(rule, new Date('2026-07-15T15:30:00Z'))), '2026-07-15T11:00:00.000Z');
+  });
+  withClinicZone('Europe/Berlin', () => {
+    // Visit on the first CEST day, reminder still in CET
+    assert.strictEqual(iso(notifications.reminderDueAt(rule, new Date('2026-03-29T08:00:00Z'))), '2026-03-28T19:00:00.000Z');
+    // Reminder on the 25-hour day itself, after the switch
+    assert.strictEqual(iso(notifications.reminderDueAt(rule, new Date('2026-10-26T09:00:00Z'))), '2026-10-25T19:00:00.000Z');
+  });
+  withClinicZone('America/New_York', () => {
+    assert.strictEqual(iso(notifications.reminderDueAt({ kind: 'day_before', days_before: 2 }, new Date('2026-03-09T14:00:00Z'))), '2026-03-08T01:00:00.000Z');
+  });
+});
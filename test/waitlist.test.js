@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../utils/db');
+const waitlist = require('../utils/waitlist');
+
+test('a dispatch asked for during a running pass runs right after it instead of being dropped', async t => {
+  let passes = 0;
+  let finishFirst;
+  t.mock.method(db, 'createWaitlistOffers', async () => []);
+  t.mock.method(db, 'expireWaitlistOffers', async () => {
+    passes += 1;
+    if (passes === 1) await new Promise(resolve => { finishFirst = resolve; });
+    return [];
+  });
+
+  const running = waitlist.processOffers(null);
+  await new Promise(setImmediate);
+  // Both calls come in while the first pass waits; they are served by one more pass
+  await waitlist.processOffers(null);
+  await waitlist.processOffers(null);
+  assert.strictEqual(passes, 1);
+  finishFirst();
+  await running;
+  assert.strictEqual(passes, 2);
+
+  await waitlist.processOffers(null);
+  assert.strictEqual(passes, 3);
+});
@@ -0,0 +1,68 @@
+// Dashboard authentication: Telegram login data and the signed session cookie
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHash, createHmac } = require('crypto');
+const web = require('../utils/web');
+
+const BOT_TOKEN = '123456:test-token';
+
+// Signed the way the Telegram Login Widget signs its redirect
+function telegramLogin(fields, botToken = BOT_TOKEN) {
+  const checkString = Object.keys(fields).sort().map(k => `${k}=${fields[k]}`).join('\n');
+  const secret = createHash('sha256').update(botToken).digest();
+  return { ...fields, hash: createHmac('sha256', secret).update(checkString).digest('hex') };
+}
+
+function nowSeconds() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+test('Telegram login with a valid hash is accepted', () => {
+  const query = telegramLogin({ id: '42', first_name: 'Анна', username: 'anna', auth_date: nowSeconds() });
+  assert.strictEqual(web.verifyTelegramLogin(query, BOT_TOKEN), true);
+});
+
+test('Telegram login with a changed field or another bot token is rejected', () => {
+  const query = telegramLogin({ id: '42', username: 'anna', auth_date: nowSeconds() });
+  assert.strictEqual(web.verifyTelegramLogin({ ...query, id: '43' }, BOT_TOKEN), false);
+  assert.strictEqual(web.verifyTelegramLogin({ ...query, first_name: 'Added' }, BOT_TOKEN), false);
+  assert.strictEqual(web.verifyTelegramLogin(query, '123456:other-token'), false);
+});
+
+test('Telegram login older than a day is rejected', () => {
+  const stale = String(Math.floor(Date.now() / 1000) - 25 * 60 * 60);
+  assert.strictEqual(web.verifyTelegramLogin(telegramLogin({ id: '42', auth_date: stale }), BOT_TOKEN), false);
+});
+
+test('Telegram login without a hash, id or auth_date is rejected', () => {
+  const unsigned = telegramLogin({ id: '42', auth_date: nowSeconds() });
+  delete unsigned.hash;
+  assert.strictEqual(web.verifyTelegramLogin(unsigned, BOT_TOKEN), false);
+  assert.strictEqual(web.verifyTelegramLogin({ ...unsigned, hash: '' }, BOT_TOKEN), false);
+  assert.strictEqual(web.verifyTelegramLogin(telegramLogin({ auth_date: nowSeconds() }), BOT_TOKEN), false);
+  assert.strictEqual(web.verifyTelegramLogin(telegramLogin({ id: '42' }), BOT_TOKEN), false);
+});
+
+test('a signed session cookie reads back', () => {
+  const secret = Buffer.from('session-secret');
+  const session = { id: 42, name: '@anna', exp: Date.now() + 60000 };
+  assert.deepStrictEqual(web.decodeSession(secret, web.encodeSession(secret, session)), session);
+});
+
+test('a session cookie with a forged payload or signature is rejected', () => {
+  const secret = Buffer.from('session-secret');
+  const raw = web.encodeSession(secret, { id: 42, name: '@anna', exp: Date.now() + 60000 });
+  const [payload, mac] = raw.split('.');
+  const forged = Buffer.from(JSON.stringify({ id: 1, name: '@owner', exp: Date.now() + 60000 })).toString('base64url');
+  assert.strictEqual(web.decodeSession(secret, `${forged}.${mac}`), null);
+  assert.strictEqual(web.decodeSession(secret, `${payload}.${mac.slice(1)}x`), null);
+  assert.strictEqual(web.decodeSession(secret, payload), null);
+  assert.strictEqual(web.decodeSession(Buffer.from('other-secret'), raw), null);
+  assert.strictEqual(web.decodeSession(secret, ''), null);
+  assert.strictEqual(web.decodeSession(secret, null), null);
+});
+
+test('an expired session cookie is rejected', () => {
+  const secret = Buffer.from('session-secret');
+  assert.strictEqual(web.decodeSession(secret, web.encodeSession(secret, { id: 42, name: '@anna', exp: Date.now() - 1000 })), null);
+});
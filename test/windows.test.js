@@ -0,0 +1,90 @@
+// Window booking arithmetic (db.splitWindow / db.mergeWindowFragments) against a client that records its queries
+process.env.CLINIC_TZ = 'UTC';
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../utils/db');
+
+// neighbours: what the free-fragment lookup of mergeWindowFragments finds
+function recordingClient(neighbours = []) {
+  const calls = [];
+  return {
+    calls,
+    inserts: () => calls.filter(c => c.verb === 'INSERT').map(c => [c.params[2], c.params[3]]),
+    async query(sql, params = []) {
+      const verb = sql.trim().split(/\s+/)[0];
+      calls.push({ verb, params });
+      if (verb === 'SELECT') return { rowCount: neighbours.length, rows: neighbours };
+      if (/RETURNING/.test(sql)) return { rowCount: 1, rows: [{ id: params[0], start: params[1], end: params[2], time: params[3] }] };
+      return { rowCount: 0, rows: [] };
+    }
+  };
+}
+
+function at(hhmm) {
+  return new Date(`2026-07-15T${hhmm}:00.000Z`);
+}
+
+function iso(hhmm) {
+  return at(hhmm).toISOString();
+}
+
+const WINDOW = { id: 'w', kind: 'window', start: at('10:00'), end: at('14:00'), specialist_id: null };
+
+test('a booking at the start of a window leaves the rest as one free fragment', async () => {
+  const client = recordingClient();
+  const part = await db.splitWindow(client, WINDOW, { minutes: 60, visitMinutes: 45 });
+  assert.deepStrictEqual(client.inserts(), [[iso('11:00'), iso('14:00')]]);
+  assert.deepStrictEqual([part.start, part.end], [iso('10:00'), iso('11:00')]);
+  // The client sees the visit without the cleanup buffer
+  assert.strictEqual(part.time, '15.07.2026 10:00-10:45');
+});
+
+test('a booking at an offset leaves free fragments on both sides', async () => {
+  const client = recordingClient();
+  const part = await db.splitWindow(client, WINDOW, { offsetMinutes: 90, minutes: 60 });
+  assert.deepStrictEqual(client.inserts(), [[iso('10:00'), iso('11:30')], [iso('12:30'), iso('14:00')]]);
+  assert.deepStrictEqual([part.start, part.end], [iso('11:30'), iso('12:30')]);
+  assert.strictEqual(part.time, '15.07.2026 11:30-12:30');
+});
+
+test('a leftover shorter than WINDOW_MIN_MINUTES stays with the booking', async () => {
+  const client = recordingClient();
+  const minutes = 240 - db.WINDOW_MIN_MINUTES + 5;
+  const part = await db.splitWindow(client, WINDOW, { minutes, visitMinutes: 60 });
+  assert.deepStrictEqual(client.inserts(), []);
+  assert.deepStrictEqual([part.start, part.end], [iso('10:00'), iso('14:00')]);
+  assert.strictEqual(part.time, '15.07.2026 10:00-11:00');
+});
+
+test('a booking that does not fit the window changes nothing', async () => {
+  const client = recordingClient();
+  assert.strictEqual(await db.splitWindow(client, WINDOW, { offsetMinutes: 200, minutes: 60 }), null);
+  assert.strictEqual(await db.splitWindow(client, WINDOW, { offsetMinutes: -15, minutes: 60 }), null);
+  assert.deepStrictEqual(client.calls, []);
+});
+
+test('fixed slots and bookings without a duration are taken whole', async () => {
+  const client = recordingClient();
+  const fixed = { ...WINDOW, kind: 'fixed' };
+  assert.strictEqual(await db.splitWindow(client, fixed, { minutes: 60 }), fixed);
+  assert.strictEqual(await db.splitWindow(client, WINDOW, { minutes: 0 }), WINDOW);
+  assert.deepStrictEqual(client.calls, []);
+});
+
+test('a freed fragment is merged with the free fragments touching it', async () => {
+  const client = recordingClient([
+    { id: 'a', start: at('10:00'), end: at('11:00') },
+    { id: 'c', start: at('12:00'), end: at('13:30') }
+  ]);
+  await db.mergeWindowFragments(client, { id: 'b', kind: 'window', start: at('11:00'), end: at('12:00'), specialist_id: 'sp' });
+  const [lookup, del, update] = client.calls;
+  assert.deepStrictEqual(lookup.params, ['b', at('11:00'), at('12:00'), 'sp']);
+  assert.deepStrictEqual(del.params, [['a', 'c']]);
+  assert.deepStrictEqual(update.params, ['b', iso('10:00'), iso('13:30'), '15.07.2026 10:00-13:30']);
+});
+
+test('a freed fragment without free neighbours stays as it is', async () => {
+  const client = recordingClient();
+  await db.mergeWindowFragments(client, { id: 'b', kind: 'window', start: at('11:00'), end: at('12:00'), specialist_id: null });
+  assert.deepStrictEqual(client.calls.map(c => c.verb), ['SELECT']);
+});
@@ -0,0 +1,148 @@
+// --- ADMIN ACTIONS ---
+// Request and schedule changes shared by the bot handlers and the web dashboard (utils/web.js):
+// each one makes the database change, writes the audit entry and notifies the client,
+// so both interfaces behave the same. Callers only check permissions and render the result.
+const { Markup } = require('telegraf');
+const { randomUUID } = require('crypto');
+const db = require('./db');
+const utils = require('./utils');
+const waitlist = require('./waitlist');
+
+// Statuses each request action applies to; anything else means the card was stale
+const APPROVABLE_STATUSES = ['pending'];
+const REJECTABLE_STATUSES = ['pending', 'approved', 'move_pending', 'reserved_later'];
+const CLOSED_STATUSES = ['rejected', 'cancelled', 'completed', 'no_show'];
+
+// Record an admin action in the audit log; a failed write is logged and never breaks the action itself
+async function audit(pool, actorId, action, { request = null, slotId = null, userId = null, username = null, target = null, before = null, after = null } = {}) {
+  try {
+    await db.addAuditEntry(pool, {
+      actorId,
+      action,
+      requestId: request ? request.id : null,
+      slotId: slotId || (request ? request.slot_id : null),
+      userId: userId || (request ? request.user_id : null),
+      username: username || (request ? request.username : null),
+      target: target || (request ? request.time : null),
+      before,
+      after
+    });
+  } catch (e) { console.error('audit error', e); }
+}
+
+// Freed or new slots go to the waitlist first
+async function offerFreedSlots(pool) {
+  try { await waitlist.processOffers(pool); } catch (e) { console.error('waitlist dispatch error', e); }
+}
+
+// What a booking takes from a slot: duration plus buffer, and the visit itself for the label
+function slotNeeds(proc) {
+  return { minMinutes: utils.procedureMinutes(proc), visitMinutes: proc ? Number(proc.duration_minutes) || 0 : 0 };
+}
+
+// Also limits moves to specialists who perform the request's procedure
+async function requestSlotNeeds(pool, req) {
+  if (!req || !req.procedure_key) return slotNeeds(null);
+  return { ...slotNeeds(await db.getProcedureByKey(pool, req.procedure_key)), procedureKey: req.procedure_key };
+}
+
+// False (nothing changed) if the request is no longer pending
+async function approveRequest(pool, actorId, req) {
+  const updated = await db.updateRequestIfStatus(pool, req.id, APPROVABLE_STATUSES, { status: 'approved', client_confirmation: null, client_confirmed_at: null, unconfirmed_alert_sent_at: null });
+  if (!updated) return false;
+  await db.resetRemindersForRequest(pool, req.id);
+  await audit(pool, actorId, 'request_approve', { request: req, before: { status: req.status }, after: { status: 'approved' } });
+  const priceNote = req.price !== null && req.price !== undefined ? `\nСтоимость: ${utils.formatPrice(req.price)}` : '';
+  try { await db.enqueueMessage(pool, req.user_id, `✔ Ваша запись на ${req.time} подтверждена!${priceNote}`); } catch (e) { console.error('enqueue client message failed', e); }
+  return true;
+}
+
+// False (nothing changed) if the request is already closed.
+// closeSlot ('delete' | 'block') is for a closed period: the slot leaves the schedule instead of going back
+// to the free list, and a visit the client asked to cancel is ended too; message replaces the usual notice.
+async function rejectRequest(pool, actorId, req, { closeSlot = null, reason = null, message = null } = {}) {
+  const updated = closeSlot
+    ? await db.rejectRequestClosingSlot(pool, req.id, [...REJECTABLE_STATUSES, 'cancel_pending'], closeSlot)
+    : await db.updateRequestIfStatus(pool, req.id, REJECTABLE_STATUSES, { status: 'rejected' });
+  if (!updated) return false;
+  if (!closeSlot) {
+    try { await db.releaseRequestSlots(pool, req); } catch (e) { console.error('Failed to release slot on reject:', e); }
+  }
+  await audit(pool, actorId, 'request_reject', { request: req, before: { status: req.status }, after: reason ? { status: 'rejected', reason } : { status: 'rejected' } });
+  try { await db.enqueueMessage(pool, req.user_id, message || `❌ Ваша заявка на ${req.time} была отклонена.`); } catch (e) { console.error('enqueue client message failed', e); }
+  await offerFreedSlots(pool);
+  return true;
+}
+
+// Holds the slot and asks the client to accept the new time; returns db.claimSlotForMove's result
+async function offerMove(pool, actorId, reqId, slotId) {
+  const claim = await db.claimSlotForMove(pool, reqId, slotId, 'admin', await requestSlotNeeds(pool, await db.getRequestById(pool, reqId)));
+  if (!claim.ok) return claim;
+  const { slot, request: req } = claim;
+  await audit(pool, actorId, 'move_offer', { request: req, before: { time: req.time }, after: { status: 'move_pending', pending_move_time: slot.time } });
+  const kb = Markup.inlineKeyboard([
+    [Markup.button.callback('Принять', `clientMoveYes_${reqId}`), Markup.button.callback('Отклонить', `clientMoveNo_${reqId}`)]
+  ]);
+  try { await db.enqueueMessage(pool, req.user_id, `Предложен перенос вашей записи на: ${slot.time}\nПринять?`, kb); } catch (e) { console.error('enqueue client message failed', e); }
+  return claim;
+}
+
+// label is "DD.MM.YYYY HH:MM-HH:MM"; returns { ok, reason: 'format' | 'past' | 'overlap', conflict }
+async function addSlot(pool, actorId, { label, kind = 'fixed', specialistId = null }) {
+  const parsed = utils.parseSlotDateTimeInterval(label);
+  if (!parsed) return { ok: false, reason: 'format' };
+  if (utils.isInPast(parsed.start)) return { ok: false, reason: 'past' };
+  const conflict = await db.findOverlappingSlot(pool, parsed.start.toISOString(), parsed.end.toISOString(), specialistId);
+  if (conflict) return { ok: false, reason: 'overlap', conflict };
+  const id = randomUUID();
+  const slotKind = kind === 'window' ? 'window' : 'fixed';
+  try {
+    await db.addSlotToDb(pool, id, label, parsed.start.toISOString(), parsed.end.toISOString(), slotKind, specialistId);
+  } catch (e) {
+    // slots_no_overlap: another slot was added in between the check and the insert
+    if (e.code !== '23P01') throw e;
+    return { ok: false, reason: 'overlap', conflict: await db.findOverlappingSlot(pool, parsed.start.toISOString(), parsed.end.toISOString(), specialistId) };
+  }
+  await audit(pool, actorId, 'slot_add', { slotId: id, target: label, after: { kind: slotKind, specialist_id: specialistId } });
+  await offerFreedSlots(pool);
+  return { ok: true, id, kind: slotKind };
+}
+
+// False if the slot is taken by a request or already gone
+async function deleteSlot(pool, actorId, id) {
+  const slot = await db.getSlotById(pool, id);
+  const deleted = await db.deleteSlotById(pool, id);
+  if (deleted && slot) await audit(pool, actorId, 'slot_delete', { slotId: id, target: slot.time, before: { status: slot.status, kind: slot.kind, specialist_id: slot.specialist_id } });
+  return deleted;
+}
+
+async function addPattern(pool, actorId, { name, intervals, kind = 'fixed', specialistId = null }) {
+  const pat = { id: randomUUID(), name, intervals, kind: kind === 'window' ? 'window' : 'fixed', specialist_id: specialistId };
+  await db.addPatternDb(pool, pat);
+  await audit(pool, actorId, 'pattern_add', { target: name, after: { intervals, kind: pat.kind, specialist_id: pat.specialist_id } });
+  return pat;
+}
+
+async function deletePattern(pool, actorId, id) {
+  const pattern = await db.getPatternById(pool, id);
+  await db.deletePatternDb(pool, id);
+  if (pattern) await audit(pool, actorId, 'pattern_delete', { target: pattern.name, before: { intervals: pattern.intervals, kind: pattern.kind } });
+  return pattern;
+}
+
+module.exports = {
+  APPROVABLE_STATUSES,
+  REJECTABLE_STATUSES,
+  CLOSED_STATUSES,
+  audit,
+  offerFreedSlots,
+  slotNeeds,
+  requestSlotNeeds,
+  approveRequest,
+  rejectRequest,
+  offerMove,
+  addSlot,
+  deleteSlot,
+  addPattern,
+  deletePattern
+};
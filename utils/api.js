@@ -0,0 +1,128 @@
+// --- READ-ONLY HTTP API ---
+// JSON endpoints for slots, requests, procedures and history plus a /calendar.ics feed of approved
+// bookings. Every route needs a token: "Authorization: Bearer <token>" or ?token=<token>
+// (calendar apps can only subscribe to a plain URL).
+const express = require('express');
+const { timingSafeEqual } = require('crypto');
+const db = require('./db');
+const utils = require('./utils');
+const exporter = require('./export');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'move_pending', 'reserved_later', 'cancel_pending', 'cancelled', 'completed', 'no_show'];
+const MAX_RANGE_DAYS = 92;
+// The calendar feed covers bookings from this many days back up to this many days ahead
+const CALENDAR_DAYS_BACK = 30;
+const CALENDAR_DAYS_AHEAD = 180;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function tokenMatches(given, expected) {
+  if (!given || !expected) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function requireToken(expected) {
+  return (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7).trim() : req.query.token;
+    if (!tokenMatches(given, expected)) return res.status(401).json({ error: 'unauthorized' });
+    next();
+  };
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (clinic days, both inclusive) -> UTC bounds
+function parseRange(query, { required = false } = {}) {
+  if (!query.from && !query.to) {
+    if (required) throw new ApiError(400, 'from and to are required');
+    return null;
+  }
+  const re = /^\d{4}-\d{2}-\d{2}$/;
+  const from = query.from || query.to;
+  const to = query.to || query.from;
+  if (!re.test(from) || !re.test(to) || from > to) throw new ApiError(400, 'from and to must be YYYY-MM-DD, from <= to');
+  if (utils.isoDateParts(utils.addDays(utils.parseIsoDate(from), MAX_RANGE_DAYS - 1)) < to) throw new ApiError(400, `range is limited to ${MAX_RANGE_DAYS} days`);
+  return { fromIso: utils.zonedDayRange(from).start.toISOString(), toIso: utils.zonedDayRange(to).end.toISOString() };
+}
+
+function specialistParam(query) {
+  if (!query.specialist_id) return null;
+  if (!/^[0-9a-fA-F-]{36}$/.test(query.specialist_id)) throw new ApiError(400, 'specialist_id must be a uuid');
+  return query.specialist_id;
+}
+
+function route(handler) {
+  return async (req, res) => {
+    try {
+      res.json({ data: await handler(req) });
+    } catch (e) {
+      if (e instanceof ApiError) return res.status(e.status).json({ error: e.message });
+      console.error('api error', req.path, e);
+      res.status(500).json({ error: 'internal error' });
+    }
+  };
+}
+
+// Mounted on the bot's Express app; returns null (nothing mounted) without API_TOKEN
+function createApiRouter(pool, { apiToken, calendarToken = apiToken, clinicAddress = '' }) {
+  if (!apiToken) return null;
+  const router = express.Router();
+
+  router.get('/calendar.ics', requireToken(calendarToken), async (req, res) => {
+    try {
+      const today = utils.getZonedParts(new Date());
+      const rows = await db.getRequestsForExport(pool, {
+        fromIso: utils.zonedDayRange(utils.isoDateParts(utils.addDays(today, -CALENDAR_DAYS_BACK))).start.toISOString(),
+        toIso: utils.zonedDayRange(utils.isoDateParts(utils.addDays(today, CALENDAR_DAYS_AHEAD))).end.toISOString(),
+        status: 'approved'
+      });
+      const file = exporter.buildIcs(rows.map(r => exporter.bookingEvent(r, { forAdmin: true, location: clinicAddress })));
+      res.type('text/calendar; charset=utf-8').send(file);
+    } catch (e) {
+      console.error('calendar feed error', e);
+      res.status(500).send('internal error');
+    }
+  });
+
+  const api = express.Router();
+  api.use(requireToken(apiToken));
+
+  // Free slots by default; with from/to every slot in the range together with the request occupying it
+  api.get('/slots', route(async req => {
+    const range = parseRange(req.query);
+    const specialistId = specialistParam(req.query);
+    if (range) return db.getSlotsWithRequests(pool, range.fromIso, range.toIso, { specialistId });
+    return db.getAllSlots(pool, { specialistId, procedureKey: req.query.procedure || null });
+  }));
+
+  api.get('/requests', route(async req => {
+    const status = req.query.status;
+    if (!REQUEST_STATUSES.includes(status)) throw new ApiError(400, `status must be one of: ${REQUEST_STATUSES.join(', ')}`);
+    return db.getRequestsByStatus(pool, status, { specialistId: specialistParam(req.query) });
+  }));
+
+  api.get('/procedures', route(() => db.getProcedures(pool)));
+
+  // One client's history (?user_id=, newest first, paged) or everyone's visits in a period (?from=&to=)
+  api.get('/history', route(async req => {
+    if (req.query.user_id) {
+      if (!/^\d+$/.test(req.query.user_id)) throw new ApiError(400, 'user_id must be a number');
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+      return db.getHistoryForUser(pool, req.query.user_id, { limit, offset });
+    }
+    const range = parseRange(req.query, { required: true });
+    return db.getHistoryForExport(pool, { ...range, status: req.query.status || null });
+  }));
+
+  router.use('/api', api);
+  return router;
+}
+
+module.exports = { createApiRouter };
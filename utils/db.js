@@ -1,99 +1,128 @@
 const { randomUUID } = require('crypto');
+const utils = require('./utils');
+const roles = require('./roles');
 
-async function initDb(pool) {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS slots (
-      id uuid PRIMARY KEY,
-      time text NOT NULL,
-      start timestamptz NOT NULL,
-      "end" timestamptz NOT NULL
-    );
-  `);
+// free: bookable; held: reserved for a late reserve, an open move offer or a waitlist offer; booked: taken by a request; blocked: closed by an admin
+const SLOT_STATUSES = ['free', 'held', 'booked', 'blocked'];
+// Request statuses that keep their slot (and pending move slot) occupied
+const SLOT_HOLDING_STATUSES = ['pending', 'approved', 'reserved_later', 'move_pending', 'cancel_pending', 'completed', 'no_show'];
+// An open window is cut into a booked part and free leftovers; leftovers shorter than this stay with the booking
+const WINDOW_MIN_MINUTES = process.env.WINDOW_MIN_MINUTES !== undefined ? Number(process.env.WINDOW_MIN_MINUTES) : 15;
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS procedures (
-      key text PRIMARY KEY,
-      name text NOT NULL
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS requests (
-      id uuid PRIMARY KEY,
-      user_id bigint NOT NULL,
-      username text,
-      name text,
-      slot_id uuid,
-      time text,
-      procedure text,
-      status text,
-      created_at timestamptz,
-      pending_move_slot_id uuid,
-      pending_move_time text,
-      original_slot_id uuid,
-      original_slot_time text,
-      original_slot_start timestamptz,
-      original_slot_end timestamptz,
-      prev_status text,
-      notification_20_sent boolean DEFAULT false,
-      notification_1h_sent boolean DEFAULT false
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS history (
-      id serial PRIMARY KEY,
-      user_id bigint NOT NULL,
-      date text,
-      procedure text,
-      status text
-    );
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS patterns (
-      id uuid PRIMARY KEY,
-      name text,
-      intervals text,
-      created_at timestamptz DEFAULT now()
-    );
-  `);
+// Free slots, optionally only those at least minMinutes long (a procedure's duration plus buffer),
+// belonging to one specialist, or belonging to someone who performs procedureKey
+const FREE_SLOTS_SQL = `
+  SELECT s.*, sp.name AS specialist_name
+  FROM slots s
+  LEFT JOIN specialists sp ON sp.id = s.specialist_id
+  WHERE s.status='free'
+    AND s."end" - s.start >= make_interval(mins => $1)
+    AND ($2::uuid IS NULL OR s.specialist_id = $2)
+    AND ($3::text IS NULL OR s.specialist_id IS NULL
+      OR NOT EXISTS (SELECT 1 FROM procedure_specialists ps WHERE ps.procedure_key = $3)
+      OR EXISTS (SELECT 1 FROM procedure_specialists ps WHERE ps.procedure_key = $3 AND ps.specialist_id = s.specialist_id))
+  ORDER BY s.start`;
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS blacklist (
-      username text PRIMARY KEY
-    );
-  `);
-
-  const res = await pool.query('SELECT COUNT(*) FROM procedures');
-  if (res.rows[0].count === '0') {
-    const defaults = [
-      { key: 'botulinotherapy', name: 'Ботулинотерапия' },
-      { key: 'mesoniti', name: 'Мезонити' },
-    ];
-    for (const p of defaults) {
-      await pool.query('INSERT INTO procedures(key, name) VALUES ($1, $2) ON CONFLICT DO NOTHING', [p.key, p.name]);
-    }
-  }
-}
-
-async function getAllSlots(pool) {
-  const res = await pool.query('SELECT * FROM slots ORDER BY start');
+async function getAllSlots(pool, { minMinutes = 0, specialistId = null, procedureKey = null } = {}) {
+  const res = await pool.query(FREE_SLOTS_SQL, [minMinutes, specialistId, procedureKey]);
   return res.rows;
 }
-async function getEarliestSlot(pool) {
-  const res = await pool.query('SELECT * FROM slots ORDER BY start LIMIT 1');
+async function getEarliestSlot(pool, { minMinutes = 0, specialistId = null, procedureKey = null } = {}) {
+  const res = await pool.query(`${FREE_SLOTS_SQL} LIMIT 1`, [minMinutes, specialistId, procedureKey]);
   return res.rows[0] || null;
 }
 async function getSlotById(pool, id) {
-  const res = await pool.query('SELECT * FROM slots WHERE id=$1', [id]);
+  const res = await pool.query('SELECT s.*, sp.name AS specialist_name FROM slots s LEFT JOIN specialists sp ON sp.id = s.specialist_id WHERE s.id=$1', [id]);
   return res.rows[0] || null;
 }
-async function addSlotToDb(pool, id, time, startIso, endIso) {
-  await pool.query('INSERT INTO slots(id, time, start, "end") VALUES ($1,$2,$3,$4)', [id, time, startIso, endIso]);
+async function addSlotToDb(pool, id, time, startIso, endIso, kind = 'fixed', specialistId = null) {
+  await pool.query('INSERT INTO slots(id, time, start, "end", kind, specialist_id) VALUES ($1,$2,$3,$4,$5,$6)', [id, time, startIso, endIso, kind, specialistId]);
 }
+// Only free or blocked slots no request still points at can be deleted; returns false if the slot is taken or already gone
 async function deleteSlotById(pool, id) {
-  await pool.query('DELETE FROM slots WHERE id=$1', [id]);
+  const res = await pool.query(
+    `DELETE FROM slots s WHERE s.id=$1 AND s.status IN ('free','blocked')
+       AND NOT EXISTS (SELECT 1 FROM requests r WHERE r.status = ANY($2) AND (r.slot_id = s.id OR r.pending_move_slot_id = s.id))`,
+    [id, SLOT_HOLDING_STATUSES]
+  );
+  return res.rowCount > 0;
+}
+async function setSlotStatus(pool, id, status) {
+  if (!SLOT_STATUSES.includes(status)) throw new Error(`Unknown slot status: ${status}`);
+  await pool.query('UPDATE slots SET status=$2 WHERE id=$1', [id, status]);
+}
+
+// Free a slot; a window fragment is glued back to the free window fragments right next to it.
+// A slot another active request (anyone but requestId) has since taken again is left alone.
+async function releaseSlot(poolOrClient, slotId, fromStatuses = ['held', 'booked'], requestId = null) {
+  const res = await poolOrClient.query(
+    `UPDATE slots s SET status='free' WHERE s.id=$1 AND s.status = ANY($2)
+       AND NOT EXISTS (SELECT 1 FROM requests r WHERE (r.slot_id = s.id OR r.pending_move_slot_id = s.id)
+                         AND r.id IS DISTINCT FROM $3 AND r.status = ANY($4))
+     RETURNING *`,
+    [slotId, fromStatuses, requestId, SLOT_HOLDING_STATUSES]
+  );
+  const slot = res.rows[0];
+  if (slot && slot.kind === 'window') await mergeWindowFragments(poolOrClient, slot);
+  return !!slot;
+}
+
+async function mergeWindowFragments(poolOrClient, slot) {
+  const res = await poolOrClient.query(
+    `SELECT * FROM slots WHERE kind='window' AND status='free' AND id<>$1 AND ("end" = $2 OR start = $3) AND specialist_id IS NOT DISTINCT FROM $4`,
+    [slot.id, slot.start, slot.end, slot.specialist_id]
+  );
+  if (res.rowCount === 0) return;
+  const all = [slot, ...res.rows];
+  const start = new Date(Math.min(...all.map(s => new Date(s.start).getTime())));
+  const end = new Date(Math.max(...all.map(s => new Date(s.end).getTime())));
+  await poolOrClient.query('DELETE FROM slots WHERE id = ANY($1)', [res.rows.map(s => s.id)]);
+  await poolOrClient.query('UPDATE slots SET start=$2, "end"=$3, time=$4 WHERE id=$1', [slot.id, start.toISOString(), end.toISOString(), utils.formatSlotTime(start, end)]);
+}
+
+// Cut the part a booking needs out of a locked window row: the row itself shrinks to
+// [start + offsetMinutes, + minutes) and what is left on either side becomes new free window fragments.
+// visitMinutes (the procedure without its buffer) only shapes the label the client sees.
+async function splitWindow(client, slot, { offsetMinutes = 0, minutes = 0, visitMinutes = 0 } = {}) {
+  if (slot.kind !== 'window' || !minutes) return slot;
+  const winStart = new Date(slot.start).getTime();
+  const winEnd = new Date(slot.end).getTime();
+  const start = winStart + offsetMinutes * 60000;
+  let end = start + minutes * 60000;
+  if (start < winStart || end > winEnd) return null;
+  if (winEnd - end < WINDOW_MIN_MINUTES * 60000) end = winEnd;
+
+  if (start > winStart) {
+    await addSlotToDb(client, randomUUID(), utils.formatSlotTime(new Date(winStart), new Date(start)), new Date(winStart).toISOString(), new Date(start).toISOString(), 'window', slot.specialist_id);
+  }
+  if (end < winEnd) {
+    await addSlotToDb(client, randomUUID(), utils.formatSlotTime(new Date(end), new Date(winEnd)), new Date(end).toISOString(), new Date(winEnd).toISOString(), 'window', slot.specialist_id);
+  }
+  const visitEnd = visitMinutes ? Math.min(start + visitMinutes * 60000, end) : end;
+  const res = await client.query(
+    'UPDATE slots SET start=$2, "end"=$3, time=$4 WHERE id=$1 RETURNING *',
+    [slot.id, new Date(start).toISOString(), new Date(end).toISOString(), utils.formatSlotTime(new Date(start), new Date(visitEnd))]
+  );
+  return res.rows[0];
+}
+
+// Overlaps only matter within one specialist's schedule
+async function findOverlappingSlot(pool, startIso, endIso, specialistId = null) {
+  const res = await pool.query('SELECT * FROM slots WHERE start < $2 AND "end" > $1 AND specialist_id IS NOT DISTINCT FROM $3 ORDER BY start LIMIT 1', [startIso, endIso, specialistId]);
+  return res.rows[0] || null;
+}
+// All slots starting in [fromIso, toIso) with the request occupying each of them, if any
+async function getSlotsWithRequests(pool, fromIso, toIso, { specialistId = null } = {}) {
+  const res = await pool.query(
+    `SELECT s.*, sp.name AS specialist_name, r.id AS request_id, r.user_id, r.username, r.name, r.procedure, r.status AS request_status
+     FROM slots s
+     LEFT JOIN specialists sp ON sp.id = s.specialist_id
+     LEFT JOIN requests r ON r.status = ANY($3) AND (r.slot_id = s.id OR r.pending_move_slot_id = s.id)
+     WHERE s.start >= $1 AND s.start < $2 AND ($4::uuid IS NULL OR s.specialist_id = $4)
+     ORDER BY s.start`,
+    [fromIso, toIso, SLOT_HOLDING_STATUSES, specialistId]
+  );
+  return res.rows;
 }
 
 async function getProcedures(pool) {
@@ -103,6 +132,9 @@ async function getProcedures(pool) {
 async function addProcedureDb(pool, key, name) {
   await pool.query('INSERT INTO procedures(key, name) VALUES ($1,$2) ON CONFLICT DO NOTHING', [key, name]);
 }
+async function updateProcedureParams(pool, key, { duration_minutes, price, buffer_minutes }) {
+  await pool.query('UPDATE procedures SET duration_minutes=$2, price=$3, buffer_minutes=$4 WHERE key=$1', [key, duration_minutes, price, buffer_minutes]);
+}
 async function deleteProcedureDb(pool, key) {
   await pool.query('DELETE FROM procedures WHERE key=$1', [key]);
 }
@@ -111,19 +143,88 @@ async function getProcedureByKey(pool, key) {
   return res.rows[0] || null;
 }
 
+async function getSpecialists(pool) {
+  const res = await pool.query('SELECT * FROM specialists ORDER BY name');
+  return res.rows;
+}
+async function getSpecialistById(pool, id) {
+  const res = await pool.query('SELECT * FROM specialists WHERE id=$1', [id]);
+  return res.rows[0] || null;
+}
+async function addSpecialist(pool, specialist) {
+  await pool.query('INSERT INTO specialists(id, name, telegram_id) VALUES ($1,$2,$3)', [specialist.id, specialist.name, specialist.telegramId || null]);
+}
+// Free and blocked slots go with the specialist; slots of past visits stay (unassigned) for the history.
+// Refused with reason 'busy' and the active requests while the specialist still has visits to move or reject,
+// and with 'overlap' when an unassigned slot would collide with a clinic-wide one (slots_no_overlap).
+async function deleteSpecialist(pool, id) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM specialists WHERE id=$1 FOR UPDATE', [id]);
+    const active = await client.query(
+      `${REQUEST_CARDS_SQL}
+       WHERE r.status = ANY($2) AND EXISTS (SELECT 1 FROM slots ps WHERE ps.specialist_id = $1 AND (ps.id = r.slot_id OR ps.id = r.pending_move_slot_id))
+       ORDER BY r.original_slot_start`,
+      [id, ['pending', 'approved', 'reserved_later', 'move_pending', 'cancel_pending']]
+    );
+    if (active.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'busy', requests: active.rows };
+    }
+    await client.query(
+      `DELETE FROM slots s WHERE s.specialist_id=$1 AND s.status IN ('free','blocked')
+         AND NOT EXISTS (SELECT 1 FROM requests r WHERE r.status = ANY($2) AND (r.slot_id = s.id OR r.pending_move_slot_id = s.id))`,
+      [id, SLOT_HOLDING_STATUSES]
+    );
+    await client.query('DELETE FROM specialists WHERE id=$1', [id]);
+    await client.query('COMMIT');
+    return { ok: true };
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    if (e.code === '23P01') return { ok: false, reason: 'overlap' };
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+// Procedures the specialist performs: mapped to them, or mapped to nobody
+async function getProceduresForSpecialist(pool, specialistId) {
+  if (!specialistId) return getProcedures(pool);
+  const res = await pool.query(
+    `SELECT p.* FROM procedures p
+     WHERE NOT EXISTS (SELECT 1 FROM procedure_specialists ps WHERE ps.procedure_key = p.key)
+        OR EXISTS (SELECT 1 FROM procedure_specialists ps WHERE ps.procedure_key = p.key AND ps.specialist_id = $1)
+     ORDER BY p.name`,
+    [specialistId]
+  );
+  return res.rows;
+}
+async function getSpecialistProcedureKeys(pool, specialistId) {
+  const res = await pool.query('SELECT procedure_key FROM procedure_specialists WHERE specialist_id=$1', [specialistId]);
+  return res.rows.map(r => r.procedure_key);
+}
+// Returns true if the specialist now performs the procedure
+async function toggleProcedureSpecialist(pool, procedureKey, specialistId) {
+  const del = await pool.query('DELETE FROM procedure_specialists WHERE procedure_key=$1 AND specialist_id=$2', [procedureKey, specialistId]);
+  if (del.rowCount > 0) return false;
+  await pool.query('INSERT INTO procedure_specialists(procedure_key, specialist_id) VALUES ($1,$2) ON CONFLICT DO NOTHING', [procedureKey, specialistId]);
+  return true;
+}
+
 async function addRequestDb(pool, req) {
   await pool.query(
-    `INSERT INTO requests(id, user_id, username, name, slot_id, time, procedure, status, created_at, original_slot_id, original_slot_time, original_slot_start, original_slot_end, notification_20_sent, notification_1h_sent)
-     VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,false,false)`,
-    [req.id, req.userId, req.username, req.name, req.slotId, req.time, req.procedure, req.status, req.createdAt,
+    `INSERT INTO requests(id, user_id, username, name, slot_id, time, procedure, procedure_key, price, status, created_at, original_slot_id, original_slot_time, original_slot_start, original_slot_end, initial_status)
+     VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$10)`,
+    [req.id, req.userId, req.username, req.name, req.slotId, req.time, req.procedure, req.procedureKey || null, req.price != null ? req.price : null, req.status, req.createdAt,
       req.original_slot_id || null, req.original_slot_time || null, req.original_slot_start || null, req.original_slot_end || null]
   );
 }
 
 async function checkDuplicateRequest(pool, userId, slotId) {
   const res = await pool.query(
-    `SELECT 1 FROM requests WHERE user_id=$1 AND slot_id=$2 AND status NOT IN ($3,$4,$5) LIMIT 1`,
-    [userId, slotId, 'rejected', 'completed', 'no_show']
+    `SELECT 1 FROM requests WHERE user_id=$1 AND slot_id=$2 AND status NOT IN ($3,$4,$5,$6) LIMIT 1`,
+    [userId, slotId, 'rejected', 'cancelled', 'completed', 'no_show']
   );
   return res.rowCount > 0;
 }
@@ -133,6 +234,67 @@ async function getRequestById(pool, id) {
   return res.rows[0] || null;
 }
 
+// Changes the request only while its status is one of fromStatuses; returns the updated row or null,
+// so a stale card or a second admin tapping the same button does nothing
+async function updateRequestIfStatus(pool, id, fromStatuses, fields) {
+  const keys = Object.keys(fields);
+  const set = keys.map((k, i) => `"${k}" = $${i+3}`).join(', ');
+  const res = await pool.query(`UPDATE requests SET ${set} WHERE id = $1 AND status = ANY($2) RETURNING *`, [id, fromStatuses, ...keys.map(k => fields[k])]);
+  return res.rows[0] || null;
+}
+
+// Turns a late reserve into a normal pending request and its held slot into a booked one, in one
+// transaction; null if the reserve was cancelled or handled in the meantime
+async function confirmReserve(pool, id) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const res = await client.query(`UPDATE requests SET status='pending' WHERE id=$1 AND status='reserved_later' RETURNING *`, [id]);
+    const req = res.rows[0];
+    if (!req) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (req.slot_id) await client.query(`UPDATE slots SET status='booked' WHERE id=$1 AND status='held'`, [req.slot_id]);
+    await client.query('COMMIT');
+    return req;
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Rejects the request and takes its slot out of the schedule ('delete' or 'block') in one transaction.
+// The slot is never freed in between, so nobody can book it and a window fragment is not merged
+// with its free neighbours first. Returns the updated request, or null if it left fromStatuses.
+async function rejectRequestClosingSlot(pool, id, fromStatuses, action) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const res = await client.query(`UPDATE requests SET status='rejected' WHERE id=$1 AND status = ANY($2) RETURNING *`, [id, fromStatuses]);
+    const req = res.rows[0];
+    if (!req) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (req.slot_id) {
+      const taken = `s.id=$1 AND s.status IN ('held','booked')
+        AND NOT EXISTS (SELECT 1 FROM requests r WHERE r.status = ANY($2) AND (r.slot_id = s.id OR r.pending_move_slot_id = s.id))`;
+      await client.query(action === 'delete' ? `DELETE FROM slots s WHERE ${taken}` : `UPDATE slots s SET status='blocked' WHERE ${taken}`, [req.slot_id, SLOT_HOLDING_STATUSES]);
+    }
+    if (req.pending_move_slot_id) await releaseSlot(client, req.pending_move_slot_id, ['held'], req.id);
+    await client.query('COMMIT');
+    return req;
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 async function updateRequest(pool, id, fields) {
   const keys = Object.keys(fields);
   if (keys.length === 0) return;
@@ -142,25 +304,181 @@ async function updateRequest(pool, id, fields) {
   await pool.query(q, values);
 }
 
-async function getRequestsByStatus(pool, status) {
-  const res = await pool.query('SELECT * FROM requests WHERE status=$1 ORDER BY created_at', [status]);
+// Requests with what the admin cards show: the slot's specialist and whether the client can be reached
+const REQUEST_CARDS_SQL = `
+  SELECT r.*, s.specialist_id, sp.name AS specialist_name,
+    EXISTS (SELECT 1 FROM unreachable_users u WHERE u.user_id = r.user_id) AS client_unreachable
+  FROM requests r
+  LEFT JOIN slots s ON s.id = r.slot_id
+  LEFT JOIN specialists sp ON sp.id = s.specialist_id`;
+
+// specialistId limits the list to requests whose slot belongs to that specialist
+async function getRequestsByStatus(pool, status, { specialistId = null } = {}) {
+  const res = await pool.query(
+    `${REQUEST_CARDS_SQL}
+     WHERE r.status=$1 AND ($2::uuid IS NULL OR s.specialist_id = $2)
+     ORDER BY r.created_at`,
+    [status, specialistId]
+  );
+  return res.rows;
+}
+async function getRequestCard(pool, id) {
+  const res = await pool.query(`${REQUEST_CARDS_SQL} WHERE r.id=$1`, [id]);
+  return res.rows[0] || null;
+}
+
+// Business metrics for [fromIso, toIso). Visits and procedures count by visit time,
+// approval and reserve conversion by the time the request was made, utilization by slot start.
+async function getPeriodStats(pool, fromIso, toIso) {
+  const visitTime = 'COALESCE(s.start, r.original_slot_start)';
+  const visits = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE r.status='completed')::int AS visits,
+            COUNT(*) FILTER (WHERE r.status='no_show')::int AS no_shows
+       FROM requests r LEFT JOIN slots s ON s.id = r.slot_id
+      WHERE ${visitTime} >= $1 AND ${visitTime} < $2`,
+    [fromIso, toIso]
+  );
+  const requests = await pool.query(
+    `SELECT COUNT(*)::int AS created,
+            COUNT(*) FILTER (WHERE status IN ('approved','completed','no_show','cancel_pending'))::int AS approved,
+            COUNT(*) FILTER (WHERE status='rejected')::int AS rejected,
+            COUNT(*) FILTER (WHERE status='cancelled')::int AS cancelled,
+            COUNT(*) FILTER (WHERE initial_status='reserved_later')::int AS reserved,
+            COUNT(*) FILTER (WHERE initial_status='reserved_later' AND status NOT IN ('reserved_later','rejected','cancelled'))::int AS reserved_converted,
+            COUNT(*) FILTER (WHERE initial_status='reserved_later' AND status IN ('rejected','cancelled'))::int AS reserved_lost
+       FROM requests WHERE created_at >= $1 AND created_at < $2`,
+    [fromIso, toIso]
+  );
+  const slots = await pool.query(
+    `SELECT COALESCE(SUM(EXTRACT(EPOCH FROM ("end" - start)) / 60) FILTER (WHERE status <> 'blocked'), 0)::int AS offered_minutes,
+            COALESCE(SUM(EXTRACT(EPOCH FROM ("end" - start)) / 60) FILTER (WHERE status = 'booked'), 0)::int AS booked_minutes
+       FROM slots WHERE start >= $1 AND start < $2`,
+    [fromIso, toIso]
+  );
+  const procedures = await pool.query(
+    `SELECT COALESCE(r.procedure, '-') AS procedure, COUNT(*)::int AS count
+       FROM requests r LEFT JOIN slots s ON s.id = r.slot_id
+      WHERE ${visitTime} >= $1 AND ${visitTime} < $2 AND r.status NOT IN ('rejected','cancelled')
+      GROUP BY 1 ORDER BY count DESC, 1 LIMIT 5`,
+    [fromIso, toIso]
+  );
+  return { ...visits.rows[0], ...requests.rows[0], ...slots.rows[0], topProcedures: procedures.rows };
+}
+
+// Active requests whose slot starts in [fromIso, toIso)
+async function getActiveRequestsInRange(poolOrClient, fromIso, toIso, { specialistId = null } = {}) {
+  const res = await poolOrClient.query(
+    `${REQUEST_CARDS_SQL}
+     WHERE r.status = ANY($4) AND s.start >= $1 AND s.start < $2 AND ($3::uuid IS NULL OR s.specialist_id = $3)
+     ORDER BY s.start`,
+    [fromIso, toIso, specialistId, ['pending', 'approved', 'reserved_later', 'move_pending', 'cancel_pending']]
+  );
+  return res.rows;
+}
+
+// Deletes ('delete') or blocks ('block') the free slots starting in [fromIso, toIso); deleting also takes
+// blocked ones. Slots a request still holds are left alone: the active requests on them are returned
+// so the admin can move or reject each one. dryRun rolls the change back and only reports it.
+async function bulkCloseSlots(pool, { fromIso, toIso, specialistId = null, action, dryRun = false }) {
+  const statuses = action === 'delete' ? ['free', 'blocked'] : ['free'];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const res = await client.query(
+      `${action === 'delete' ? 'DELETE FROM slots s' : `UPDATE slots s SET status='blocked'`}
+       WHERE s.start >= $1 AND s.start < $2 AND ($3::uuid IS NULL OR s.specialist_id = $3) AND s.status = ANY($4)
+         AND NOT EXISTS (SELECT 1 FROM requests r WHERE r.status = ANY($5) AND (r.slot_id = s.id OR r.pending_move_slot_id = s.id))
+       RETURNING s.id`,
+      [fromIso, toIso, specialistId, statuses, SLOT_HOLDING_STATUSES]
+    );
+    const affected = await getActiveRequestsInRange(client, fromIso, toIso, { specialistId });
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return { count: res.rowCount, affected };
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function getActiveRequestsForUser(pool, userId) {
+  const res = await pool.query(
+    'SELECT * FROM requests WHERE user_id=$1 AND status IN ($2,$3,$4,$5,$6) ORDER BY COALESCE(original_slot_start, created_at)',
+    [userId, 'pending', 'approved', 'reserved_later', 'move_pending', 'cancel_pending']
+  );
   return res.rows;
 }
 
-async function deleteRequestById(pool, id) {
-  await pool.query('DELETE FROM requests WHERE id=$1', [id]);
+// Return the slots a request occupies (its own and an open move target) to the free list
+async function releaseRequestSlots(pool, req) {
+  const ids = [req.slot_id, req.pending_move_slot_id].filter(Boolean);
+  for (const id of ids) await releaseSlot(pool, id, undefined, req.id);
+}
+async function releasePendingMoveSlot(pool, req) {
+  if (!req.pending_move_slot_id) return;
+  await releaseSlot(pool, req.pending_move_slot_id, ['held'], req.id);
+}
+
+// Only in one of statuses (the closed ones), so an active request never leaves its slot booked
+async function deleteRequestById(pool, id, statuses) {
+  const res = await pool.query('DELETE FROM requests WHERE id=$1 AND status = ANY($2)', [id, statuses]);
+  return res.rowCount > 0;
 }
 
 async function addHistoryItem(pool, userId, date, procedure, status) {
   await pool.query('INSERT INTO history(user_id, date, procedure, status) VALUES($1,$2,$3,$4)', [userId, date, procedure, status]);
 }
-async function getHistoryForUser(pool, userId) {
-  const res = await pool.query('SELECT * FROM history WHERE user_id=$1 ORDER BY id DESC', [userId]);
+async function getHistoryForUser(pool, userId, { limit = null, offset = 0 } = {}) {
+  const res = await pool.query('SELECT * FROM history WHERE user_id=$1 ORDER BY id DESC LIMIT $2 OFFSET $3', [userId, limit, offset]);
+  return res.rows;
+}
+async function countHistoryForUser(pool, userId) {
+  const res = await pool.query('SELECT COUNT(*) FROM history WHERE user_id=$1', [userId]);
+  return Number(res.rows[0].count);
+}
+
+// Requests whose visit starts in [fromIso, toIso), with the slot bounds for calendar export
+async function getRequestsForExport(pool, { fromIso, toIso, status = null }) {
+  const res = await pool.query(
+    `SELECT r.*, COALESCE(s.start, r.original_slot_start) AS visit_start, COALESCE(s."end", r.original_slot_end) AS visit_end,
+            sp.name AS specialist_name
+       FROM requests r
+       LEFT JOIN slots s ON s.id = r.slot_id
+       LEFT JOIN specialists sp ON sp.id = s.specialist_id
+      WHERE COALESCE(s.start, r.original_slot_start) >= $1 AND COALESCE(s.start, r.original_slot_start) < $2
+        AND ($3::text IS NULL OR r.status = $3)
+      ORDER BY visit_start`,
+    [fromIso, toIso, status]
+  );
+  return res.rows;
+}
+async function getRequestForClient(pool, id, userId) {
+  const res = await pool.query(
+    `SELECT r.*, COALESCE(s.start, r.original_slot_start) AS visit_start, COALESCE(s."end", r.original_slot_end) AS visit_end,
+            sp.name AS specialist_name
+       FROM requests r
+       LEFT JOIN slots s ON s.id = r.slot_id
+       LEFT JOIN specialists sp ON sp.id = s.specialist_id
+      WHERE r.id=$1 AND r.user_id=$2`,
+    [id, userId]
+  );
+  return res.rows[0] || null;
+}
+// History rows by visit time: the "DD.MM.YYYY HH:MM" at the start of the label, or when the row was written
+async function getHistoryForExport(pool, { fromIso, toIso, status = null }) {
+  const visit = `COALESCE((to_timestamp(substring(date from '^\\d{2}\\.\\d{2}\\.\\d{4} \\d{2}:\\d{2}'), 'DD.MM.YYYY HH24:MI')::timestamp AT TIME ZONE $4), created_at)`;
+  const res = await pool.query(
+    `SELECT *, ${visit} AS visit_start FROM history
+      WHERE ${visit} >= $1 AND ${visit} < $2 AND ($3::text IS NULL OR status = $3)
+      ORDER BY visit_start, id`,
+    [fromIso, toIso, status, utils.getClinicTimeZone()]
+  );
   return res.rows;
 }
 
 async function addPatternDb(pool, pattern) {
-  await pool.query('INSERT INTO patterns(id, name, intervals) VALUES($1,$2,$3)', [pattern.id, pattern.name, pattern.intervals]);
+  await pool.query('INSERT INTO patterns(id, name, intervals, kind, specialist_id) VALUES($1,$2,$3,$4,$5)', [pattern.id, pattern.name, pattern.intervals, pattern.kind || 'fixed', pattern.specialist_id || null]);
 }
 async function getPatternsDb(pool) {
   const res = await pool.query('SELECT * FROM patterns ORDER BY name');
@@ -174,62 +492,357 @@ async function getPatternById(pool, id) {
   return res.rows[0] || null;
 }
 
-async function applyPatternToDate(pool, patternId, dateStr) {
-  const pat = await getPatternById(pool, patternId);
-  if (!pat || !pat.intervals) return { created: 0 };
+// Overlapping and already-started intervals are skipped; dryRun only counts what would be created
+async function applyPatternToDate(pool, patternId, dateStr, { dryRun = false, pattern = null } = {}) {
+  const pat = pattern || await getPatternById(pool, patternId);
+  if (!pat || !pat.intervals) return { created: 0, skipped: 0 };
   const intervals = pat.intervals.split(',').map(s => s.trim()).filter(Boolean);
   const parts = dateStr.split('-').map(Number);
-  if (parts.length !== 3) return { created: 0 };
+  if (parts.length !== 3) return { created: 0, skipped: 0 };
   const [year, month, day] = parts;
   let created = 0;
+  let skipped = 0;
 
   for (const intv of intervals) {
     const mm = intv.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
     if (!mm) continue;
     const sh = Number(mm[1]), sm = Number(mm[2]), eh = Number(mm[3]), em = Number(mm[4]);
-    const start = new Date(Date.UTC(year, month - 1, day, sh, sm, 0, 0));
-    const end = new Date(Date.UTC(year, month - 1, day, eh, em, 0, 0));
+    const start = utils.zonedTimeToUtc(year, month, day, sh, sm);
+    const end = utils.zonedTimeToUtc(year, month, day, eh, em);
     if (end.getTime() <= start.getTime()) continue;
+    if (utils.isInPast(start)) {
+      skipped++;
+      continue;
+    }
 
-    const overlapRes = await pool.query('SELECT 1 FROM slots WHERE NOT (start >= $1 OR "end" <= $2) LIMIT 1', [end.toISOString(), start.toISOString()]);
-    if (overlapRes.rowCount === 0) {
-      const timeStr = `${String(start.getUTCDate()).padStart(2,'0')}.${String(start.getUTCMonth()+1).padStart(2,'0')}.${start.getUTCFullYear()} ${String(start.getUTCHours()).padStart(2,'0')}:${String(start.getUTCMinutes()).padStart(2,'0')}-${String(end.getUTCHours()).padStart(2,'0')}:${String(end.getUTCMinutes()).padStart(2,'0')}`;
-      const id = randomUUID();
-      await addSlotToDb(pool, id, timeStr, start.toISOString(), end.toISOString());
-      created++;
+    const overlapRes = await pool.query('SELECT 1 FROM slots WHERE NOT (start >= $1 OR "end" <= $2) AND specialist_id IS NOT DISTINCT FROM $3 LIMIT 1', [end.toISOString(), start.toISOString(), pat.specialist_id]);
+    if (overlapRes.rowCount > 0) {
+      skipped++;
+      continue;
+    }
+    if (!dryRun) {
+      const timeStr = utils.formatSlotTime(start, end);
+      await addSlotToDb(pool, randomUUID(), timeStr, start.toISOString(), end.toISOString(), pat.kind || 'fixed', pat.specialist_id);
     }
+    created++;
   }
 
-  return { created };
+  return { created, skipped };
 }
 
-async function isUserBlacklisted(pool, username) {
-  if (!username) return false;
-  const uname = username.replace(/^@/, '').toLowerCase();
-  const res = await pool.query('SELECT 1 FROM blacklist WHERE username=$1', [uname]);
+// Exception dates (holidays, vacations) that cover the day for the pattern's owner
+async function isScheduleException(pool, dateStr, specialistId) {
+  const res = await pool.query(
+    `SELECT 1 FROM schedule_exceptions WHERE $1::date BETWEEN date_from AND date_to
+       AND (specialist_id IS NULL OR specialist_id IS NOT DISTINCT FROM $2) LIMIT 1`,
+    [dateStr, specialistId]
+  );
   return res.rowCount > 0;
 }
-async function addToBlacklist(pool, username) {
-  const uname = username.replace(/^@/, '').toLowerCase();
-  await pool.query('INSERT INTO blacklist(username) VALUES($1) ON CONFLICT DO NOTHING', [uname]);
+
+// Every day of the range; exception days are left out and listed in exceptionDates
+async function applyPatternToRange(pool, patternId, fromIso, toIso, { dryRun = false } = {}) {
+  const pat = await getPatternById(pool, patternId);
+  const result = { created: 0, skipped: 0, days: 0, exceptionDates: [] };
+  if (!pat) return result;
+  for (let d = utils.parseIsoDate(fromIso); utils.isoDateParts(d) <= toIso; d = utils.addDays(d, 1)) {
+    const dateStr = utils.isoDateParts(d);
+    if (await isScheduleException(pool, dateStr, pat.specialist_id)) {
+      result.exceptionDates.push(dateStr);
+      continue;
+    }
+    const res = await applyPatternToDate(pool, patternId, dateStr, { dryRun, pattern: pat });
+    result.created += res.created;
+    result.skipped += res.skipped;
+    result.days++;
+  }
+  return result;
+}
+
+// Weekly rules: one row per pattern and weekday (0 = Sunday, as in utils.getZonedParts)
+async function getScheduleRules(pool) {
+  const res = await pool.query(
+    `SELECT r.*, p.name AS pattern_name, p.kind AS pattern_kind, p.specialist_id
+       FROM schedule_rules r JOIN patterns p ON p.id = r.pattern_id
+      ORDER BY p.name, r.weekday`
+  );
+  return res.rows;
+}
+async function getPatternWeekdays(pool, patternId) {
+  const res = await pool.query('SELECT weekday FROM schedule_rules WHERE pattern_id=$1 ORDER BY weekday', [patternId]);
+  return res.rows.map(r => r.weekday);
+}
+// Returns true if the weekday is now on
+async function toggleScheduleRule(pool, patternId, weekday, createdBy = null) {
+  const del = await pool.query('DELETE FROM schedule_rules WHERE pattern_id=$1 AND weekday=$2', [patternId, weekday]);
+  if (del.rowCount > 0) return false;
+  await pool.query('INSERT INTO schedule_rules(id, pattern_id, weekday, created_by) VALUES($1,$2,$3,$4)', [randomUUID(), patternId, weekday, createdBy]);
+  return true;
+}
+
+async function getScheduleExceptions(pool) {
+  const res = await pool.query(
+    `SELECT e.*, to_char(e.date_from, 'DD.MM.YYYY') AS date_from_label, to_char(e.date_to, 'DD.MM.YYYY') AS date_to_label, sp.name AS specialist_name
+       FROM schedule_exceptions e LEFT JOIN specialists sp ON sp.id = e.specialist_id
+      WHERE e.date_to >= $1::date
+      ORDER BY e.date_from`,
+    [utils.isoDateParts(utils.getZonedParts(new Date()))]
+  );
+  return res.rows;
+}
+async function addScheduleException(pool, { dateFrom, dateTo, specialistId = null, reason = null, createdBy = null }) {
+  const res = await pool.query(
+    `INSERT INTO schedule_exceptions(id, date_from, date_to, specialist_id, reason, created_by) VALUES($1,$2,$3,$4,$5,$6)
+     RETURNING *, to_char(date_from, 'DD.MM.YYYY') AS date_from_label, to_char(date_to, 'DD.MM.YYYY') AS date_to_label`,
+    [randomUUID(), dateFrom, dateTo, specialistId, reason, createdBy]
+  );
+  return res.rows[0];
+}
+async function deleteScheduleException(pool, id) {
+  const res = await pool.query(
+    `DELETE FROM schedule_exceptions WHERE id=$1
+     RETURNING *, to_char(date_from, 'DD.MM.YYYY') AS date_from_label, to_char(date_to, 'DD.MM.YYYY') AS date_to_label`,
+    [id]
+  );
+  return res.rows[0] || null;
 }
-async function removeFromBlacklist(pool, username) {
-  const uname = username.replace(/^@/, '').toLowerCase();
-  await pool.query('DELETE FROM blacklist WHERE username=$1', [uname]);
+
+// Applies the weekly rules to every day from today up to `weeks` ahead. A pattern is applied to a day
+// only once (schedule_generated), so slots an admin deleted afterwards are not brought back.
+async function generateScheduledSlots(pool, weeks) {
+  const rules = await getScheduleRules(pool);
+  const report = [];
+  if (rules.length === 0 || weeks <= 0) return report;
+  const today = utils.getZonedParts(new Date());
+  for (let i = 0; i < weeks * 7; i++) {
+    const d = utils.addDays(today, i);
+    const dateStr = utils.isoDateParts(d);
+    const weekday = new Date(Date.UTC(d.year, d.month - 1, d.day)).getUTCDay();
+    for (const rule of rules.filter(r => r.weekday === weekday)) {
+      const done = await pool.query('SELECT 1 FROM schedule_generated WHERE pattern_id=$1 AND date=$2', [rule.pattern_id, dateStr]);
+      if (done.rowCount > 0) continue;
+      if (await isScheduleException(pool, dateStr, rule.specialist_id)) continue;
+      const res = await applyPatternToDate(pool, rule.pattern_id, dateStr);
+      await pool.query('INSERT INTO schedule_generated(pattern_id, date, created) VALUES($1,$2,$3) ON CONFLICT DO NOTHING', [rule.pattern_id, dateStr, res.created]);
+      if (res.created > 0) report.push({ date: dateStr, patternName: rule.pattern_name, created: res.created, skipped: res.skipped });
+    }
+  }
+  return report;
+}
+
+function normalizeUsername(username) {
+  return username ? String(username).replace(/^@/, '').toLowerCase() : null;
+}
+
+// Latest user_id seen with this username in requests or the waitlist
+async function findUserIdByUsername(pool, username) {
+  const res = await pool.query(
+    `SELECT user_id FROM (
+       SELECT user_id, created_at FROM requests WHERE lower(username) = $1
+       UNION ALL
+       SELECT user_id, created_at FROM waitlist WHERE lower(username) = $1
+     ) u ORDER BY created_at DESC NULLS LAST LIMIT 1`,
+    [normalizeUsername(username)]
+  );
+  return res.rows[0] ? Number(res.rows[0].user_id) : null;
+}
+
+// Takes ctx.from (or { id, username }). The ban follows the user id; an entry made by username only
+// is bound to the id here, so changing the @handle afterwards does not lift it.
+async function isUserBlacklisted(pool, user) {
+  if (!user) return false;
+  const uname = normalizeUsername(user.username);
+  const res = await pool.query(
+    `SELECT * FROM blacklist
+     WHERE (expires_at IS NULL OR expires_at > now())
+       AND (user_id = $1 OR (user_id IS NULL AND $2::text IS NOT NULL AND username = $2))
+     ORDER BY user_id NULLS LAST LIMIT 1`,
+    [user.id, uname]
+  );
+  const entry = res.rows[0];
+  if (!entry) return false;
+  if (!entry.user_id) {
+    await pool.query(
+      'UPDATE blacklist SET user_id=$1 WHERE id=$2 AND NOT EXISTS (SELECT 1 FROM blacklist WHERE user_id=$1)',
+      [user.id, entry.id]
+    );
+  }
+  return true;
+}
+async function getBlacklistEntryById(pool, id) {
+  const res = await pool.query('SELECT * FROM blacklist WHERE id=$1', [id]);
+  return res.rows[0] || null;
+}
+// One entry per user: banning again replaces reason, author and expiry
+async function addToBlacklist(pool, { userId = null, username = null, reason = null, addedBy = null, expiresAt = null }) {
+  const uname = normalizeUsername(username);
+  const existing = userId
+    ? await pool.query('SELECT id FROM blacklist WHERE user_id=$1', [userId])
+    : await pool.query('SELECT id FROM blacklist WHERE user_id IS NULL AND username=$1', [uname]);
+  if (existing.rows[0]) {
+    const res = await pool.query(
+      `UPDATE blacklist SET username=COALESCE($2, username), reason=$3, added_by=$4, expires_at=$5, created_at=now() WHERE id=$1 RETURNING *`,
+      [existing.rows[0].id, uname, reason, addedBy, expiresAt]
+    );
+    return res.rows[0];
+  }
+  const res = await pool.query(
+    'INSERT INTO blacklist(id, user_id, username, reason, added_by, expires_at) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *',
+    [randomUUID(), userId, uname, reason, addedBy, expiresAt]
+  );
+  return res.rows[0];
+}
+async function removeFromBlacklist(pool, id) {
+  const res = await pool.query('DELETE FROM blacklist WHERE id=$1 RETURNING *', [id]);
+  return res.rows[0] || null;
 }
+// Active entries; expired ones are dropped on the way
 async function getBlacklist(pool) {
-  const res = await pool.query('SELECT username FROM blacklist ORDER BY username');
-  return res.rows.map(r => r.username);
+  await pool.query('DELETE FROM blacklist WHERE expires_at IS NOT NULL AND expires_at <= now()');
+  const res = await pool.query('SELECT * FROM blacklist ORDER BY created_at DESC');
+  return res.rows;
+}
+async function countNoShows(pool, userId) {
+  const res = await pool.query(`SELECT COUNT(*)::int AS n FROM history WHERE user_id=$1 AND status='Неявка'`, [userId]);
+  return res.rows[0].n;
+}
+
+// Returns { state, expired } or null. An expired row is removed on read so the "expired" answer is given once.
+async function getDialogState(pool, userId) {
+  const res = await pool.query('SELECT state, expires_at < now() AS expired FROM dialog_states WHERE user_id=$1', [userId]);
+  const row = res.rows[0];
+  if (!row) return null;
+  if (row.expired) await pool.query('DELETE FROM dialog_states WHERE user_id=$1', [userId]);
+  return { state: row.state, expired: row.expired };
+}
+async function setDialogState(pool, userId, state, ttlMinutes) {
+  await pool.query(
+    `INSERT INTO dialog_states(user_id, state, expires_at, updated_at)
+     VALUES ($1, $2, now() + make_interval(mins => $3), now())
+     ON CONFLICT (user_id) DO UPDATE SET state = EXCLUDED.state, expires_at = EXCLUDED.expires_at, updated_at = now()`,
+    [userId, JSON.stringify(state), ttlMinutes]
+  );
+}
+async function clearDialogState(pool, userId) {
+  await pool.query('DELETE FROM dialog_states WHERE user_id=$1', [userId]);
+}
+// Another user's live dialog whose state has the given key/value (e.g. an admin already moving this request)
+async function findDialogStateHolder(pool, key, value, exceptUserId) {
+  const res = await pool.query(
+    'SELECT user_id FROM dialog_states WHERE state->>$1 = $2 AND user_id <> $3 AND expires_at > now() LIMIT 1',
+    [key, String(value), exceptUserId]
+  );
+  return res.rows[0] ? res.rows[0].user_id : null;
+}
+async function purgeExpiredDialogStates(pool) {
+  await pool.query(`DELETE FROM dialog_states WHERE expires_at < now() - interval '1 day'`);
+}
+
+// --- OUTBOX (delivered by utils/outbox.js) ---
+async function enqueueMessage(pool, chatId, text, extra = {}) {
+  await pool.query('INSERT INTO outbox(chat_id, text, extra) VALUES ($1,$2,$3)', [chatId, text, JSON.stringify(extra || {})]);
+}
+// Lease due messages for leaseSeconds so a second worker does not pick them up meanwhile
+async function claimOutboxBatch(pool, limit, leaseSeconds) {
+  const res = await pool.query(
+    `UPDATE outbox SET next_attempt_at = now() + make_interval(secs => $2)
+     WHERE id IN (
+       SELECT id FROM outbox WHERE status='pending' AND next_attempt_at <= now()
+       ORDER BY id LIMIT $1 FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, leaseSeconds]
+  );
+  return res.rows.sort((a, b) => Number(a.id) - Number(b.id));
+}
+async function markOutboxSent(pool, id) {
+  await pool.query(`UPDATE outbox SET status='sent', sent_at=now(), attempts=attempts+1 WHERE id=$1`, [id]);
+}
+async function rescheduleOutbox(pool, id, delaySeconds, error, countAttempt = true) {
+  await pool.query(
+    `UPDATE outbox SET next_attempt_at = now() + make_interval(secs => $2), last_error=$3, attempts = attempts + $4 WHERE id=$1`,
+    [id, delaySeconds, error, countAttempt ? 1 : 0]
+  );
+}
+async function markOutboxFailed(pool, id, error) {
+  await pool.query(`UPDATE outbox SET status='failed', last_error=$2, attempts=attempts+1 WHERE id=$1`, [id, error]);
+}
+async function purgeSentOutbox(pool) {
+  await pool.query(`DELETE FROM outbox WHERE status='sent' AND sent_at < now() - interval '30 days'`);
+}
+
+async function markUserUnreachable(pool, userId, reason) {
+  await pool.query(
+    `INSERT INTO unreachable_users(user_id, reason, marked_at) VALUES ($1,$2,now())
+     ON CONFLICT (user_id) DO UPDATE SET reason = EXCLUDED.reason, marked_at = now()`,
+    [userId, reason]
+  );
+}
+async function clearUserUnreachable(pool, userId) {
+  await pool.query('DELETE FROM unreachable_users WHERE user_id=$1', [userId]);
+}
+
+async function getAdmins(pool) {
+  const res = await pool.query('SELECT * FROM admins ORDER BY created_at');
+  return res.rows;
+}
+// Insert or change the role of an admin
+async function setAdminRole(pool, telegramId, role, addedBy = null) {
+  await pool.query(
+    `INSERT INTO admins(telegram_id, role, added_by) VALUES ($1,$2,$3)
+     ON CONFLICT (telegram_id) DO UPDATE SET role = EXCLUDED.role`,
+    [telegramId, role, addedBy]
+  );
+}
+async function deleteAdmin(pool, telegramId) {
+  await pool.query('DELETE FROM admins WHERE telegram_id=$1', [telegramId]);
+}
+async function countOwners(pool) {
+  const res = await pool.query(`SELECT COUNT(*)::int AS n FROM admins WHERE role='owner'`);
+  return res.rows[0].n;
+}
+// ADMIN_IDS / ADMIN_ID only matter until the first owner exists; after that roles are managed from the bot
+async function bootstrapOwners(pool, telegramIds) {
+  if (telegramIds.length === 0 || (await countOwners(pool)) > 0) return;
+  for (const id of telegramIds) {
+    await pool.query(`INSERT INTO admins(telegram_id, role) VALUES ($1,'owner') ON CONFLICT (telegram_id) DO UPDATE SET role='owner'`, [id]);
+  }
 }
 
-async function sendToAdmins(pool, bot, text, opts = {}) {
-  const ADMIN_IDS_RAW = process.env.ADMIN_IDS || String(process.env.ADMIN_ID || '');
-  const ADMIN_IDS = ADMIN_IDS_RAW.split(',').map(s => s.trim()).filter(Boolean).map(s => Number(s)).filter(n => !Number.isNaN(n));
-  for (const id of ADMIN_IDS) {
+// actorId null means the bot itself (notification worker)
+async function addAuditEntry(poolOrClient, entry) {
+  await poolOrClient.query(
+    `INSERT INTO audit_log(actor_id, action, request_id, slot_id, user_id, username, target, before, after)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+    [entry.actorId || null, entry.action, entry.requestId || null, entry.slotId || null, entry.userId || null,
+      entry.username ? String(entry.username).toLowerCase() : null, entry.target || null,
+      entry.before ? JSON.stringify(entry.before) : null, entry.after ? JSON.stringify(entry.after) : null]
+  );
+}
+// Newest first; a client is matched by Telegram id or by username
+async function getAuditLog(pool, { fromIso = null, toIso = null, userId = null, username = null, limit = 50 } = {}) {
+  const res = await pool.query(
+    `SELECT * FROM audit_log
+     WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+       AND ($2::timestamptz IS NULL OR created_at < $2)
+       AND ($3::bigint IS NULL OR user_id = $3)
+       AND ($4::text IS NULL OR username = $4)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $5`,
+    [fromIso, toIso, userId, username ? String(username).toLowerCase() : null, limit]
+  );
+  return res.rows;
+}
+
+// Enqueue to every admin whose role subscribes to the event (see roles.EVENTS)
+async function sendToAdmins(pool, event, text, opts = {}) {
+  const admins = await getAdmins(pool);
+  for (const a of admins) {
+    if (!roles.subscribes(a.role, event)) continue;
     try {
-      await bot.telegram.sendMessage(id, text, opts);
+      await enqueueMessage(pool, a.telegram_id, text, opts);
     } catch (e) {
-      console.error('sendToAdmins error for', id, e);
+      console.error('sendToAdmins error for', a.telegram_id, e);
     }
   }
 }
@@ -248,43 +861,33 @@ async function applyClientMove(pool, reqId) {
 
     const slotRes = await client.query('SELECT * FROM slots WHERE id=$1 FOR UPDATE', [req.pending_move_slot_id]);
     const newSlot = slotRes.rows[0];
-
-    if (req.prev_status === 'approved' && req.original_slot_id && (req.original_slot_start || req.original_slot_end)) {
-      try {
-        await client.query(
-          `INSERT INTO slots(id, time, start, "end") VALUES ($1,$2,$3,$4)
-           ON CONFLICT (id) DO NOTHING`,
-          [req.original_slot_id, req.original_slot_time, req.original_slot_start, req.original_slot_end]
-        );
-      } catch (e) {
-        console.error('Failed to re-add original slot (best-effort):', e);
-      }
-    }
-
     if (!newSlot) {
-      await client.query(
-        `UPDATE requests SET slot_id = $2, time = $3,
-           status = COALESCE(prev_status, $4),
-           prev_status = NULL,
-           pending_move_slot_id = NULL,
-           pending_move_time = NULL
-         WHERE id = $1`,
-        [reqId, req.pending_move_slot_id, req.pending_move_time, 'approved']
-      );
-      await client.query('COMMIT');
-      return { ok: true, new_time: req.pending_move_time };
+      await client.query('ROLLBACK');
+      return { ok: false, message: 'Слот для переноса больше недоступен' };
     }
 
-    await client.query('DELETE FROM slots WHERE id=$1', [newSlot.id]);
+    if (req.slot_id && req.slot_id !== newSlot.id) {
+      await releaseSlot(client, req.slot_id, undefined, req.id);
+    }
+    await client.query(`UPDATE slots SET status='booked' WHERE id=$1`, [newSlot.id]);
+    await client.query('DELETE FROM reminders_sent WHERE request_id=$1', [reqId]);
 
     await client.query(
       `UPDATE requests SET slot_id = $2, time = $3,
          status = COALESCE(prev_status, $4),
          prev_status = NULL,
          pending_move_slot_id = NULL,
-         pending_move_time = NULL
+         pending_move_time = NULL,
+         move_initiator = NULL,
+         client_confirmation = NULL,
+         client_confirmed_at = NULL,
+         unconfirmed_alert_sent_at = NULL,
+         original_slot_id = $2,
+         original_slot_time = $3,
+         original_slot_start = $5,
+         original_slot_end = $6
        WHERE id = $1`,
-      [reqId, newSlot.id, newSlot.time, 'approved']
+      [reqId, newSlot.id, newSlot.time, 'approved', newSlot.start, newSlot.end]
     );
 
     await client.query('COMMIT');
@@ -298,59 +901,467 @@ async function applyClientMove(pool, reqId) {
   }
 }
 
-async function getApprovedRequestsNeedingNotifications(pool) {
-  // Use COALESCE so that if the slot row was removed we still use original_slot_* saved in requests
-  const rows = await pool.query(`
-    SELECT r.*, COALESCE(s.start, r.original_slot_start) AS slot_start, COALESCE(s.time, r.original_slot_time) AS slot_time
+// Claim a free slot and create the client's request for it in one transaction.
+// The conditional UPDATE ... RETURNING locks the row, so of two simultaneous taps only one gets it back.
+// minMinutes is what the procedure needs: only slots that long count when deciding whether this one is the earliest.
+// An open window gives up only minMinutes, starting offsetMinutes after its start; the rest stays free.
+async function claimSlotAndCreateRequest(pool, slotId, req, { minMinutes = 0, visitMinutes = 0, offsetMinutes = 0 } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const dupRes = await client.query(
+      `SELECT 1 FROM requests WHERE user_id=$1 AND slot_id=$2 AND status NOT IN ($3,$4,$5,$6) LIMIT 1`,
+      [req.userId, slotId, 'rejected', 'cancelled', 'completed', 'no_show']
+    );
+    if (dupRes.rowCount > 0) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'duplicate' };
+    }
+
+    // the earliest-slot rule applies within the chosen slot's specialist
+    const earliestRes = await client.query(
+      `SELECT id FROM slots WHERE status='free' AND "end" - start >= make_interval(mins => $1)
+         AND specialist_id IS NOT DISTINCT FROM (SELECT specialist_id FROM slots WHERE id = $2)
+       ORDER BY start LIMIT 1`,
+      [minMinutes, slotId]
+    );
+    const earliestId = earliestRes.rows[0] ? earliestRes.rows[0].id : null;
+    // a later start inside the earliest window still counts as earliest if the gap before it is too short for this procedure
+    const status = earliestId === slotId && (offsetMinutes === 0 || offsetMinutes < minMinutes) ? 'pending' : 'reserved_later';
+
+    // Row lock with the status re-checked: of two simultaneous taps only one finds the slot still free
+    const lockRes = await client.query(`SELECT * FROM slots WHERE id=$1 AND status='free' FOR UPDATE`, [slotId]);
+    if (!lockRes.rows[0]) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'taken' };
+    }
+    const part = await splitWindow(client, lockRes.rows[0], { offsetMinutes, minutes: minMinutes, visitMinutes });
+    if (!part) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'taken' };
+    }
+    const slotRes = await client.query('UPDATE slots SET status=$2 WHERE id=$1 RETURNING *', [slotId, status === 'pending' ? 'booked' : 'held']);
+    const slot = slotRes.rows[0];
+
+    await addRequestDb(client, {
+      ...req,
+      slotId: slot.id,
+      time: slot.time,
+      status,
+      original_slot_id: slot.id,
+      original_slot_time: slot.time,
+      original_slot_start: slot.start,
+      original_slot_end: slot.end
+    });
+
+    await client.query('COMMIT');
+    return { ok: true, slot, status };
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    console.error('claimSlotAndCreateRequest transaction error:', err);
+    return { ok: false, reason: 'error' };
+  } finally {
+    client.release();
+  }
+}
+
+// Claim a free slot as the target of a move offer (admin- or client-initiated); a window gives up only minMinutes
+async function claimSlotForMove(pool, reqId, slotId, initiator, { minMinutes = 0, visitMinutes = 0 } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const reqRes = await client.query('SELECT * FROM requests WHERE id=$1 FOR UPDATE', [reqId]);
+    const req = reqRes.rows[0];
+    if (!req || !['pending', 'approved'].includes(req.status)) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'request' };
+    }
+
+    const lockRes = await client.query(`SELECT * FROM slots WHERE id=$1 AND status='free' FOR UPDATE`, [slotId]);
+    const part = lockRes.rows[0] ? await splitWindow(client, lockRes.rows[0], { minutes: minMinutes, visitMinutes }) : null;
+    if (!part) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'taken' };
+    }
+    const slotRes = await client.query(`UPDATE slots SET status='held' WHERE id=$1 RETURNING *`, [slotId]);
+    const slot = slotRes.rows[0];
+
+    await client.query(
+      `UPDATE requests SET pending_move_slot_id = $2, pending_move_time = $3,
+         prev_status = status, status = 'move_pending', move_initiator = $4
+       WHERE id = $1`,
+      [reqId, slot.id, slot.time, initiator]
+    );
+
+    await client.query('COMMIT');
+    return { ok: true, slot, request: req };
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    console.error('claimSlotForMove transaction error:', err);
+    return { ok: false, reason: 'error' };
+  } finally {
+    client.release();
+  }
+}
+
+async function addWaitlistEntry(pool, entry) {
+  await pool.query(
+    'INSERT INTO waitlist(id, user_id, username, name, procedure_key, date_from, date_to) VALUES ($1,$2,$3,$4,$5,$6,$7)',
+    [entry.id, entry.userId, entry.username || null, entry.name || null, entry.procedureKey || null, entry.dateFrom || null, entry.dateTo || null]
+  );
+}
+async function getActiveWaitlistEntry(pool, userId) {
+  const res = await pool.query(
+    `SELECT w.*, p.name AS procedure_name,
+       to_char(w.date_from, 'DD.MM.YYYY') AS date_from_label, to_char(w.date_to, 'DD.MM.YYYY') AS date_to_label
+     FROM waitlist w LEFT JOIN procedures p ON p.key = w.procedure_key
+     WHERE w.user_id=$1 AND w.status IN ('waiting','offered') ORDER BY w.created_at LIMIT 1`,
+    [userId]
+  );
+  return res.rows[0] || null;
+}
+async function getWaitlistOffer(pool, offerId) {
+  const res = await pool.query(
+    `SELECT o.*, w.user_id, w.procedure_key, s.time AS slot_time
+     FROM waitlist_offers o JOIN waitlist w ON w.id = o.waitlist_id JOIN slots s ON s.id = o.slot_id
+     WHERE o.id=$1`,
+    [offerId]
+  );
+  return res.rows[0] || null;
+}
+
+// Close an open offer inside a transaction: the held slot goes back to free and the entry gets entryStatus
+async function closeWaitlistOffer(client, offerId, offerStatus, entryStatus) {
+  const res = await client.query(`UPDATE waitlist_offers SET status=$2 WHERE id=$1 AND status='offered' RETURNING *`, [offerId, offerStatus]);
+  const offer = res.rows[0];
+  if (!offer) return null;
+  await releaseSlot(client, offer.slot_id, ['held']);
+  await client.query(`UPDATE waitlist SET status=$2 WHERE id=$1 AND status='offered'`, [offer.waitlist_id, entryStatus]);
+  return offer;
+}
+
+// Offer every free upcoming slot to the first waiting client whose preferences match it.
+// The slot is held for the duration of the offer; a client is never offered the same slot twice.
+async function createWaitlistOffers(pool, ttlMinutes, tz) {
+  const client = await pool.connect();
+  const created = [];
+  try {
+    await client.query('BEGIN');
+    const slotsRes = await client.query(`SELECT * FROM slots WHERE status='free' AND start > now() ORDER BY start FOR UPDATE SKIP LOCKED`);
+    for (const slot of slotsRes.rows) {
+      const entryRes = await client.query(
+        `SELECT w.* FROM waitlist w
+         WHERE w.status='waiting'
+           AND (w.date_from IS NULL OR ($2::timestamptz AT TIME ZONE $3)::date >= w.date_from)
+           AND (w.date_to IS NULL OR ($2::timestamptz AT TIME ZONE $3)::date <= w.date_to)
+           AND NOT EXISTS (SELECT 1 FROM waitlist_offers o WHERE o.waitlist_id = w.id AND o.slot_id = $1)
+           AND NOT EXISTS (SELECT 1 FROM blacklist b WHERE b.user_id = w.user_id AND (b.expires_at IS NULL OR b.expires_at > now()))
+           AND NOT EXISTS (
+             SELECT 1 FROM procedures p
+             WHERE p.key = w.procedure_key
+               AND make_interval(mins => COALESCE(p.duration_minutes, 0) + p.buffer_minutes) > $4::timestamptz - $2::timestamptz
+           )
+           AND (w.procedure_key IS NULL OR $5::uuid IS NULL
+             OR NOT EXISTS (SELECT 1 FROM procedure_specialists ps WHERE ps.procedure_key = w.procedure_key)
+             OR EXISTS (SELECT 1 FROM procedure_specialists ps WHERE ps.procedure_key = w.procedure_key AND ps.specialist_id = $5))
+         ORDER BY w.created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED`,
+        [slot.id, slot.start, tz, slot.end, slot.specialist_id]
+      );
+      const entry = entryRes.rows[0];
+      if (!entry) continue;
+
+      const offerRes = await client.query(
+        `INSERT INTO waitlist_offers(id, waitlist_id, slot_id, expires_at)
+         VALUES ($1, $2, $3, LEAST(now() + make_interval(mins => $4), $5::timestamptz)) RETURNING *`,
+        [randomUUID(), entry.id, slot.id, ttlMinutes, slot.start]
+      );
+      await client.query(`UPDATE slots SET status='held' WHERE id=$1`, [slot.id]);
+      await client.query(`UPDATE waitlist SET status='offered' WHERE id=$1`, [entry.id]);
+      created.push({ offer: offerRes.rows[0], entry, slot });
+    }
+    await client.query('COMMIT');
+    return created;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    console.error('createWaitlistOffers transaction error:', err);
+    return [];
+  } finally {
+    client.release();
+  }
+}
+
+// Expire unanswered offers: the slot is released for the next client and the entry goes back to waiting
+async function expireWaitlistOffers(pool) {
+  const client = await pool.connect();
+  const expired = [];
+  try {
+    await client.query('BEGIN');
+    const res = await client.query(
+      `SELECT o.id, w.user_id, s.time AS slot_time
+       FROM waitlist_offers o JOIN waitlist w ON w.id = o.waitlist_id JOIN slots s ON s.id = o.slot_id
+       WHERE o.status='offered' AND o.expires_at <= now()
+       FOR UPDATE OF o SKIP LOCKED`
+    );
+    for (const row of res.rows) {
+      if (await closeWaitlistOffer(client, row.id, 'expired', 'waiting')) expired.push(row);
+    }
+    await client.query('COMMIT');
+    return expired;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    console.error('expireWaitlistOffers transaction error:', err);
+    return [];
+  } finally {
+    client.release();
+  }
+}
+
+async function declineWaitlistOffer(pool, offerId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const offer = await closeWaitlistOffer(client, offerId, 'declined', 'waiting');
+    await client.query('COMMIT');
+    return !!offer;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    console.error('declineWaitlistOffer transaction error:', err);
+    return false;
+  } finally {
+    client.release();
+  }
+}
+
+// Take the client off the waitlist, giving back a slot currently offered to them
+async function leaveWaitlist(pool, entryId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const offerRes = await client.query(`SELECT id FROM waitlist_offers WHERE waitlist_id=$1 AND status='offered' FOR UPDATE`, [entryId]);
+    for (const o of offerRes.rows) await closeWaitlistOffer(client, o.id, 'declined', 'left');
+    await client.query(`UPDATE waitlist SET status='left' WHERE id=$1 AND status IN ('waiting','offered')`, [entryId]);
+    await client.query('COMMIT');
+    return offerRes.rowCount > 0;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    console.error('leaveWaitlist transaction error:', err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Turn an accepted offer into a pending request for the held slot; a window gives up only minMinutes
+async function acceptWaitlistOffer(pool, offerId, req, { minMinutes = 0, visitMinutes = 0 } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const offerRes = await client.query(
+      `UPDATE waitlist_offers SET status='accepted' WHERE id=$1 AND status='offered' AND expires_at > now() RETURNING *`,
+      [offerId]
+    );
+    const offer = offerRes.rows[0];
+    if (!offer) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'offer' };
+    }
+
+    const lockRes = await client.query(`SELECT * FROM slots WHERE id=$1 AND status='held' FOR UPDATE`, [offer.slot_id]);
+    const part = lockRes.rows[0] ? await splitWindow(client, lockRes.rows[0], { minutes: minMinutes, visitMinutes }) : null;
+    if (!part) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'offer' };
+    }
+    const slotRes = await client.query(`UPDATE slots SET status='booked' WHERE id=$1 RETURNING *`, [offer.slot_id]);
+    const slot = slotRes.rows[0];
+
+    await addRequestDb(client, {
+      ...req,
+      slotId: slot.id,
+      time: slot.time,
+      status: 'pending',
+      original_slot_id: slot.id,
+      original_slot_time: slot.time,
+      original_slot_start: slot.start,
+      original_slot_end: slot.end
+    });
+    await client.query(`UPDATE waitlist SET status='booked' WHERE id=$1`, [offer.waitlist_id]);
+
+    await client.query('COMMIT');
+    return { ok: true, slot };
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    console.error('acceptWaitlistOffer transaction error:', err);
+    return { ok: false, reason: 'error' };
+  } finally {
+    client.release();
+  }
+}
+
+// Approved upcoming visits with their slot start, procedure key and the reminder rules already sent for them
+async function getApprovedRequestsForReminders(pool) {
+  // COALESCE covers requests whose slot row was removed before slots kept a status
+  const res = await pool.query(`
+    SELECT r.*, COALESCE(s.start, r.original_slot_start) AS slot_start, COALESCE(s.time, r.original_slot_time) AS slot_time,
+      COALESCE(r.procedure_key, (SELECT p.key FROM procedures p WHERE p.name = r.procedure LIMIT 1)) AS proc_key,
+      ARRAY(SELECT rs.rule_id::text FROM reminders_sent rs WHERE rs.request_id = r.id) AS sent_rule_ids
     FROM requests r
     LEFT JOIN slots s ON r.slot_id = s.id
-    WHERE r.status = 'approved' AND (COALESCE(r.notification_20_sent,false) = false OR COALESCE(r.notification_1h_sent,false) = false)
+    WHERE r.status = 'approved' AND COALESCE(s.start, r.original_slot_start) > now()
   `);
-  return rows.rows;
+  return res.rows;
 }
 
-async function getReservedRequests(pool) {
-  const res = await pool.query('SELECT * FROM requests WHERE status=$1 ORDER BY created_at', ['reserved_later']);
+async function getReminderRules(pool) {
+  const res = await pool.query(`
+    SELECT rr.*, p.name AS procedure_name
+    FROM reminder_rules rr
+    LEFT JOIN procedures p ON p.key = rr.procedure_key
+    ORDER BY rr.procedure_key NULLS FIRST, COALESCE(rr.offset_minutes, rr.days_before * 1440) DESC
+  `);
   return res.rows;
 }
+async function addReminderRule(pool, rule) {
+  await pool.query(
+    'INSERT INTO reminder_rules(id, procedure_key, kind, offset_minutes, days_before, at_time, message) VALUES ($1,$2,$3,$4,$5,$6,$7)',
+    [rule.id, rule.procedure_key || null, rule.kind, rule.offset_minutes || null, rule.days_before || null, rule.at_time || null, rule.message || null]
+  );
+}
+async function deleteReminderRule(pool, id) {
+  await pool.query('DELETE FROM reminder_rules WHERE id=$1', [id]);
+}
+async function markReminderSent(pool, requestId, ruleId) {
+  await pool.query('INSERT INTO reminders_sent(request_id, rule_id) VALUES ($1,$2) ON CONFLICT DO NOTHING', [requestId, ruleId]);
+}
+async function resetRemindersForRequest(pool, requestId) {
+  await pool.query('DELETE FROM reminders_sent WHERE request_id=$1', [requestId]);
+}
+
+async function getReservedRequests(pool, opts) {
+  return getRequestsByStatus(pool, 'reserved_later', opts);
+}
 
 module.exports = {
-  initDb,
+  WINDOW_MIN_MINUTES,
+  SLOT_HOLDING_STATUSES,
 
   getAllSlots,
   getEarliestSlot,
   getSlotById,
   addSlotToDb,
   deleteSlotById,
+  setSlotStatus,
+  splitWindow,
+  mergeWindowFragments,
+  findOverlappingSlot,
+  getSlotsWithRequests,
 
   getProcedures,
   addProcedureDb,
+  updateProcedureParams,
   deleteProcedureDb,
   getProcedureByKey,
 
+  getSpecialists,
+  getSpecialistById,
+  addSpecialist,
+  deleteSpecialist,
+  getProceduresForSpecialist,
+  getSpecialistProcedureKeys,
+  toggleProcedureSpecialist,
+
   addRequestDb,
   checkDuplicateRequest,
   getRequestById,
   updateRequest,
+  updateRequestIfStatus,
+  confirmReserve,
+  rejectRequestClosingSlot,
   getRequestsByStatus,
+  getRequestCard,
+  getActiveRequestsInRange,
+  getPeriodStats,
+  bulkCloseSlots,
+  getActiveRequestsForUser,
+  releaseRequestSlots,
+  releasePendingMoveSlot,
   deleteRequestById,
 
   addHistoryItem,
   getHistoryForUser,
+  countHistoryForUser,
+  getRequestsForExport,
+  getRequestForClient,
+  getHistoryForExport,
 
   addPatternDb,
   getPatternsDb,
   deletePatternDb,
   getPatternById,
   applyPatternToDate,
+  applyPatternToRange,
+  getScheduleRules,
+  getPatternWeekdays,
+  toggleScheduleRule,
+  getScheduleExceptions,
+  addScheduleException,
+  deleteScheduleException,
+  generateScheduledSlots,
 
+  findUserIdByUsername,
   isUserBlacklisted,
+  getBlacklistEntryById,
   addToBlacklist,
   removeFromBlacklist,
   getBlacklist,
+  countNoShows,
+
+  getDialogState,
+  setDialogState,
+  clearDialogState,
+  findDialogStateHolder,
+  purgeExpiredDialogStates,
 
+  enqueueMessage,
+  claimOutboxBatch,
+  markOutboxSent,
+  rescheduleOutbox,
+  markOutboxFailed,
+  purgeSentOutbox,
+  markUserUnreachable,
+  clearUserUnreachable,
+
+  getAdmins,
+  setAdminRole,
+  deleteAdmin,
+  countOwners,
+  bootstrapOwners,
+  addAuditEntry,
+  getAuditLog,
   sendToAdmins,
   applyClientMove,
-  getApprovedRequestsNeedingNotifications,
+  claimSlotAndCreateRequest,
+  claimSlotForMove,
+
+  addWaitlistEntry,
+  getActiveWaitlistEntry,
+  getWaitlistOffer,
+  createWaitlistOffers,
+  expireWaitlistOffers,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+
+  getApprovedRequestsForReminders,
+  getReminderRules,
+  addReminderRule,
+  deleteReminderRule,
+  markReminderSent,
+  resetRemindersForRequest,
   getReservedRequests
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+// --- CSV / ICS EXPORT ---
+// Builders for the files admins and clients get as Telegram documents and for the /calendar.ics feed.
+const utils = require('./utils');
+
+// Text a client typed (name, username, comment) can start like a formula; the quote keeps spreadsheets from running it
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: [{ title, value: row => ... }]; the BOM makes Excel read the file as UTF-8
+function toCsv(rows, columns) {
+  const lines = [columns.map(c => csvCell(c.title)).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(c.value(row))).join(','));
+  return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+  return String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded (RFC 5545 3.1) without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// events: [{ uid, start, end, summary, description, location }]
+function buildIcs(events, { name = 'Записи' } = {}) {
+  const stamp = icsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//medBotPrime//RU',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`
+  ];
+  for (const e of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(e.start)}`,
+      `DTEND:${icsDate(e.end)}`,
+      `SUMMARY:${icsText(e.summary)}`
+    );
+    if (e.description) lines.push(`DESCRIPTION:${icsText(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${icsText(e.location)}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return Buffer.from(lines.map(foldLine).join('\r\n') + '\r\n', 'utf8');
+}
+
+// Calendar event for a booking (a row of db.getRequestsForExport); the admin copy names the client
+function bookingEvent(r, { forAdmin = false, location = '' } = {}) {
+  const client = r.username ? '@' + r.username : (r.name || String(r.user_id));
+  const description = [`Процедура: ${r.procedure || '-'}`];
+  if (r.specialist_name) description.push(`Специалист: ${r.specialist_name}`);
+  if (forAdmin) description.push(`Клиент: ${client}`);
+  if (r.price !== null && r.price !== undefined) description.push(`Стоимость: ${utils.formatPrice(r.price)}`);
+  return {
+    uid: `${r.id}@medbotprime`,
+    start: r.visit_start,
+    end: r.visit_end || r.visit_start,
+    summary: forAdmin ? `${r.procedure || 'Запись'} — ${client}` : (r.procedure || 'Запись'),
+    description: description.join('\n'),
+    location
+  };
+}
+
+module.exports = { toCsv, buildIcs, bookingEvent };
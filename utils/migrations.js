@@ -0,0 +1,510 @@
+// --- SCHEMA MIGRATIONS ---
+// Versioned schema changes, applied in order on startup (bot.js) or from the command line:
+//   node utils/migrations.js          apply pending migrations
+//   node utils/migrations.js status   list applied and pending migrations
+// Each migration runs in its own transaction and is recorded in schema_migrations; an advisory lock
+// keeps two starting instances from migrating at once. Applied migrations are never edited, a change
+// to the schema is a new entry at the end of MIGRATIONS.
+const { randomUUID } = require('crypto');
+const utils = require('./utils');
+const db = require('./db');
+
+// Any constant works, it only has to be the same for every instance of the bot
+const LOCK_KEY = 7720251;
+
+// One-off conversion of deployments where booking deleted the slot row: bring back the slots
+// that requests still occupy (their current label in requests.time is the source of truth) and link them.
+async function convertSlotsToStatusModel(client) {
+  await client.query(`ALTER TABLE slots ADD COLUMN status text NOT NULL DEFAULT 'free' CHECK (status IN ('free','held','booked','blocked'))`);
+
+  const res = await client.query('SELECT * FROM requests WHERE status = ANY($1)', [db.SLOT_HOLDING_STATUSES]);
+  for (const r of res.rows) {
+    const occupied = [];
+    if (r.slot_id) {
+      const parsed = utils.parseSlotDateTimeInterval(r.time || '');
+      if (parsed) occupied.push([r.slot_id, r.time, parsed.start.toISOString(), parsed.end.toISOString(), r.status === 'reserved_later' ? 'held' : 'booked']);
+      else if (r.original_slot_id === r.slot_id && r.original_slot_start && r.original_slot_end) occupied.push([r.slot_id, r.original_slot_time, r.original_slot_start, r.original_slot_end, r.status === 'reserved_later' ? 'held' : 'booked']);
+    }
+    if (r.status === 'move_pending' && r.pending_move_slot_id) {
+      const parsed = utils.parseSlotDateTimeInterval(r.pending_move_time || '');
+      if (parsed) occupied.push([r.pending_move_slot_id, r.pending_move_time, parsed.start.toISOString(), parsed.end.toISOString(), 'held']);
+    }
+    for (const row of occupied) {
+      await client.query('INSERT INTO slots(id, time, start, "end", status) VALUES ($1,$2,$3,$4,$5) ON CONFLICT (id) DO NOTHING', row);
+    }
+  }
+
+  await client.query('UPDATE requests SET slot_id = NULL WHERE slot_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM slots s WHERE s.id = requests.slot_id)');
+  await client.query('UPDATE requests SET pending_move_slot_id = NULL WHERE pending_move_slot_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM slots s WHERE s.id = requests.pending_move_slot_id)');
+  await client.query('ALTER TABLE requests ADD CONSTRAINT requests_slot_id_fkey FOREIGN KEY (slot_id) REFERENCES slots(id) ON DELETE SET NULL');
+  await client.query('ALTER TABLE requests ADD CONSTRAINT requests_pending_move_slot_id_fkey FOREIGN KEY (pending_move_slot_id) REFERENCES slots(id) ON DELETE SET NULL');
+}
+
+async function convertLegacyBlacklist(client) {
+  const legacy = await client.query('SELECT username FROM blacklist_legacy');
+  for (const r of legacy.rows) {
+    const userId = await db.findUserIdByUsername(client, r.username);
+    await client.query('INSERT INTO blacklist(id, user_id, username) VALUES ($1,$2,$3) ON CONFLICT (user_id) DO NOTHING', [randomUUID(), userId, r.username]);
+  }
+  await client.query('DROP TABLE blacklist_legacy');
+}
+
+// The two reminders that used to be hard-coded; flags already set in the old columns carry over
+async function seedReminderRules(client) {
+  const dayBeforeId = randomUUID();
+  const hourBeforeId = randomUUID();
+  await client.query(`INSERT INTO reminder_rules(id, kind, days_before, at_time) VALUES ($1, 'day_before', 1, '20:00')`, [dayBeforeId]);
+  await client.query(`INSERT INTO reminder_rules(id, kind, offset_minutes) VALUES ($1, 'before', 60)`, [hourBeforeId]);
+  await client.query('INSERT INTO reminders_sent(request_id, rule_id) SELECT id, $1 FROM requests WHERE notification_20_sent', [dayBeforeId]);
+  await client.query('INSERT INTO reminders_sent(request_id, rule_id) SELECT id, $1 FROM requests WHERE notification_1h_sent', [hourBeforeId]);
+}
+
+async function baseline(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS slots (
+      id uuid PRIMARY KEY,
+      time text NOT NULL,
+      start timestamptz NOT NULL,
+      "end" timestamptz NOT NULL,
+      status text NOT NULL DEFAULT 'free' CHECK (status IN ('free','held','booked','blocked'))
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS procedures (
+      key text PRIMARY KEY,
+      name text NOT NULL
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS requests (
+      id uuid PRIMARY KEY,
+      user_id bigint NOT NULL,
+      username text,
+      name text,
+      slot_id uuid REFERENCES slots(id) ON DELETE SET NULL,
+      time text,
+      procedure text,
+      status text,
+      created_at timestamptz,
+      pending_move_slot_id uuid REFERENCES slots(id) ON DELETE SET NULL,
+      pending_move_time text,
+      original_slot_id uuid,
+      original_slot_time text,
+      original_slot_start timestamptz,
+      original_slot_end timestamptz,
+      prev_status text,
+      notification_20_sent boolean DEFAULT false,
+      notification_1h_sent boolean DEFAULT false
+    );
+  `);
+
+  // Columns that joined the CREATE TABLE above after the table already existed on some deployments.
+  // No foreign key on pending_move_slot_id here: convertSlotsToStatusModel adds it under its own name.
+  for (const column of [
+    'pending_move_slot_id uuid',
+    'pending_move_time text',
+    'original_slot_id uuid',
+    'original_slot_time text',
+    'original_slot_start timestamptz',
+    'original_slot_end timestamptz',
+    'prev_status text',
+    'notification_20_sent boolean DEFAULT false',
+    'notification_1h_sent boolean DEFAULT false'
+  ]) {
+    await client.query(`ALTER TABLE requests ADD COLUMN IF NOT EXISTS ${column}`);
+  }
+  await client.query('ALTER TABLE requests ADD COLUMN IF NOT EXISTS move_initiator text');
+
+  // fixed: booked as a whole; window: an open interval a booking takes only its procedure's time from
+  await client.query(`ALTER TABLE slots ADD COLUMN IF NOT EXISTS kind text NOT NULL DEFAULT 'fixed' CHECK (kind IN ('fixed','window'))`);
+
+  // telegram_id makes the specialist an admin limited to their own requests
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS specialists (
+      id uuid PRIMARY KEY,
+      name text NOT NULL,
+      telegram_id bigint UNIQUE,
+      created_at timestamptz DEFAULT now()
+    );
+  `);
+  // Slots and patterns without a specialist belong to the clinic as a whole (the single-specialist setup)
+  await client.query('ALTER TABLE slots ADD COLUMN IF NOT EXISTS specialist_id uuid REFERENCES specialists(id) ON DELETE SET NULL');
+  // A procedure nobody is mapped to can be done by any specialist
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS procedure_specialists (
+      procedure_key text NOT NULL REFERENCES procedures(key) ON DELETE CASCADE,
+      specialist_id uuid NOT NULL REFERENCES specialists(id) ON DELETE CASCADE,
+      PRIMARY KEY (procedure_key, specialist_id)
+    );
+  `);
+
+  await client.query('ALTER TABLE requests ADD COLUMN IF NOT EXISTS procedure_key text');
+  await client.query('ALTER TABLE requests ADD COLUMN IF NOT EXISTS client_confirmation text');
+  await client.query('ALTER TABLE requests ADD COLUMN IF NOT EXISTS client_confirmed_at timestamptz');
+  await client.query('ALTER TABLE requests ADD COLUMN IF NOT EXISTS unconfirmed_alert_sent_at timestamptz');
+  await client.query('ALTER TABLE requests ADD COLUMN IF NOT EXISTS price numeric(10,2)');
+  // Status the request was created with, kept for statistics (a late reserve turns into a plain request later)
+  const initialStatusCol = await client.query(`SELECT 1 FROM information_schema.columns WHERE table_name='requests' AND column_name='initial_status'`);
+  await client.query('ALTER TABLE requests ADD COLUMN IF NOT EXISTS initial_status text');
+
+  // Without a duration a procedure fits any slot; buffer is cleanup time that has to fit after it
+  await client.query('ALTER TABLE procedures ADD COLUMN IF NOT EXISTS duration_minutes integer');
+  await client.query('ALTER TABLE procedures ADD COLUMN IF NOT EXISTS price numeric(10,2)');
+  await client.query('ALTER TABLE procedures ADD COLUMN IF NOT EXISTS buffer_minutes integer NOT NULL DEFAULT 0');
+
+  const rulesTable = await client.query(`SELECT to_regclass('reminder_rules') AS t`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reminder_rules (
+      id uuid PRIMARY KEY,
+      procedure_key text REFERENCES procedures(key) ON DELETE CASCADE,
+      kind text NOT NULL CHECK (kind IN ('before','day_before')),
+      offset_minutes integer,
+      days_before integer,
+      at_time text,
+      message text,
+      created_at timestamptz DEFAULT now()
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reminders_sent (
+      request_id uuid NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+      rule_id uuid NOT NULL REFERENCES reminder_rules(id) ON DELETE CASCADE,
+      sent_at timestamptz DEFAULT now(),
+      PRIMARY KEY (request_id, rule_id)
+    );
+  `);
+  if (!rulesTable.rows[0].t) await seedReminderRules(client);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS history (
+      id serial PRIMARY KEY,
+      user_id bigint NOT NULL,
+      date text,
+      procedure text,
+      status text
+    );
+  `);
+
+  // When the row was written; older rows only have the visit label in date
+  await client.query('ALTER TABLE history ADD COLUMN IF NOT EXISTS created_at timestamptz');
+  await client.query('ALTER TABLE history ALTER COLUMN created_at SET DEFAULT now()');
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS patterns (
+      id uuid PRIMARY KEY,
+      name text,
+      intervals text,
+      created_at timestamptz DEFAULT now()
+    );
+  `);
+  await client.query(`ALTER TABLE patterns ADD COLUMN IF NOT EXISTS kind text NOT NULL DEFAULT 'fixed' CHECK (kind IN ('fixed','window'))`);
+  await client.query('ALTER TABLE patterns ADD COLUMN IF NOT EXISTS specialist_id uuid REFERENCES specialists(id) ON DELETE CASCADE');
+
+  // Weekly rules and exception dates for the slot generator (utils/scheduler.js).
+  // A specialist_id on an exception limits it to that specialist's patterns; null closes the whole clinic.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schedule_rules (
+      id uuid PRIMARY KEY,
+      pattern_id uuid NOT NULL REFERENCES patterns(id) ON DELETE CASCADE,
+      weekday smallint NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+      created_by bigint,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      UNIQUE (pattern_id, weekday)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schedule_exceptions (
+      id uuid PRIMARY KEY,
+      date_from date NOT NULL,
+      date_to date NOT NULL,
+      specialist_id uuid REFERENCES specialists(id) ON DELETE CASCADE,
+      reason text,
+      created_by bigint,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      CHECK (date_from <= date_to)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schedule_generated (
+      pattern_id uuid NOT NULL REFERENCES patterns(id) ON DELETE CASCADE,
+      date date NOT NULL,
+      created integer NOT NULL DEFAULT 0,
+      generated_at timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (pattern_id, date)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS dialog_states (
+      user_id bigint PRIMARY KEY,
+      state jsonb NOT NULL,
+      expires_at timestamptz NOT NULL,
+      updated_at timestamptz DEFAULT now()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS outbox (
+      id bigserial PRIMARY KEY,
+      chat_id bigint NOT NULL,
+      text text NOT NULL,
+      extra jsonb,
+      status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','sent','failed')),
+      attempts integer NOT NULL DEFAULT 0,
+      next_attempt_at timestamptz NOT NULL DEFAULT now(),
+      last_error text,
+      created_at timestamptz DEFAULT now(),
+      sent_at timestamptz
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS unreachable_users (
+      user_id bigint PRIMARY KEY,
+      reason text,
+      marked_at timestamptz DEFAULT now()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS waitlist (
+      id uuid PRIMARY KEY,
+      user_id bigint NOT NULL,
+      username text,
+      name text,
+      procedure_key text REFERENCES procedures(key) ON DELETE SET NULL,
+      date_from date,
+      date_to date,
+      status text NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting','offered','booked','left')),
+      created_at timestamptz DEFAULT now()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS waitlist_offers (
+      id uuid PRIMARY KEY,
+      waitlist_id uuid NOT NULL REFERENCES waitlist(id) ON DELETE CASCADE,
+      slot_id uuid NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+      status text NOT NULL DEFAULT 'offered' CHECK (status IN ('offered','accepted','declined','expired')),
+      expires_at timestamptz NOT NULL,
+      created_at timestamptz DEFAULT now()
+    );
+  `);
+
+  // Early deployments keyed the blacklist by username only
+  const legacyBlacklist = await client.query(`SELECT 1 FROM information_schema.columns WHERE table_name='blacklist' AND column_name='username'
+    AND NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='blacklist' AND column_name='id')`);
+  if (legacyBlacklist.rowCount > 0) await client.query('ALTER TABLE blacklist RENAME TO blacklist_legacy');
+
+  // An entry made by @username alone gets its user_id the next time that user shows up (see isUserBlacklisted).
+  // added_by is null for automatic no-show bans.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS blacklist (
+      id uuid PRIMARY KEY,
+      user_id bigint UNIQUE,
+      username text,
+      reason text,
+      added_by bigint,
+      expires_at timestamptz,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      CHECK (user_id IS NOT NULL OR username IS NOT NULL)
+    );
+  `);
+  if (legacyBlacklist.rowCount > 0) await convertLegacyBlacklist(client);
+
+  // Who changed what; no foreign keys so entries outlive the requests, slots and admins they mention
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id bigserial PRIMARY KEY,
+      actor_id bigint,
+      action text NOT NULL,
+      request_id uuid,
+      slot_id uuid,
+      user_id bigint,
+      username text,
+      target text,
+      before jsonb,
+      after jsonb,
+      created_at timestamptz NOT NULL DEFAULT now()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log(created_at)');
+  await client.query('CREATE INDEX IF NOT EXISTS audit_log_user_id_idx ON audit_log(user_id)');
+  // Older requests: reserves are recognised by their current status or by the audit entry of their conversion
+  if (initialStatusCol.rowCount === 0) {
+    await client.query(`
+      UPDATE requests SET initial_status='reserved_later'
+       WHERE status='reserved_later'
+          OR id IN (SELECT request_id FROM audit_log WHERE action IN ('reserve_to_pending','reserve_confirm') AND request_id IS NOT NULL)
+    `);
+  }
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admins (
+      telegram_id bigint PRIMARY KEY,
+      role text NOT NULL CHECK (role IN ('owner','scheduler','viewer')),
+      added_by bigint,
+      created_at timestamptz NOT NULL DEFAULT now()
+    );
+  `);
+
+  const statusCol = await client.query(`SELECT 1 FROM information_schema.columns WHERE table_name='slots' AND column_name='status'`);
+  if (statusCol.rowCount === 0) await convertSlotsToStatusModel(client);
+
+  const res = await client.query('SELECT COUNT(*) FROM procedures');
+  if (res.rows[0].count === '0') {
+    const defaults = [
+      { key: 'botulinotherapy', name: 'Ботулинотерапия' },
+      { key: 'mesoniti', name: 'Мезонити' },
+    ];
+    for (const p of defaults) {
+      await client.query('INSERT INTO procedures(key, name) VALUES ($1, $2) ON CONFLICT DO NOTHING', [p.key, p.name]);
+    }
+  }
+}
+
+// Throws with up to ten offending rows so the data can be fixed by hand before the migration is retried
+async function assertNoRows(client, sql, message, describe) {
+  const res = await client.query(`${sql} LIMIT 10`);
+  if (res.rowCount > 0) throw new Error(`${message}:\n${res.rows.map(describe).join('\n')}`);
+}
+
+// The filters of the hot queries: request queues and a client's requests, the calendar and free slot lists,
+// slot lookups from requests and waitlist offers, the outbox worker
+async function addIndexes(client) {
+  for (const sql of [
+    'CREATE INDEX IF NOT EXISTS requests_status_idx ON requests(status)',
+    'CREATE INDEX IF NOT EXISTS requests_user_id_idx ON requests(user_id)',
+    'CREATE INDEX IF NOT EXISTS requests_slot_id_idx ON requests(slot_id)',
+    'CREATE INDEX IF NOT EXISTS requests_pending_move_slot_id_idx ON requests(pending_move_slot_id)',
+    'CREATE INDEX IF NOT EXISTS slots_start_idx ON slots(start)',
+    `CREATE INDEX IF NOT EXISTS slots_free_start_idx ON slots(start) WHERE status='free'`,
+    'CREATE INDEX IF NOT EXISTS history_user_id_idx ON history(user_id)',
+    `CREATE INDEX IF NOT EXISTS outbox_pending_idx ON outbox(next_attempt_at) WHERE status='pending'`,
+    'CREATE INDEX IF NOT EXISTS waitlist_offers_slot_id_idx ON waitlist_offers(slot_id)',
+    'CREATE INDEX IF NOT EXISTS waitlist_offers_waitlist_id_idx ON waitlist_offers(waitlist_id)'
+  ]) {
+    await client.query(sql);
+  }
+}
+
+// requests.procedure keeps the name for the history, so a deleted procedure only clears the key
+async function addForeignKeys(client) {
+  await client.query('UPDATE requests SET procedure_key = NULL WHERE procedure_key IS NOT NULL AND NOT EXISTS (SELECT 1 FROM procedures p WHERE p.key = requests.procedure_key)');
+  await client.query('ALTER TABLE requests ADD CONSTRAINT requests_procedure_key_fkey FOREIGN KEY (procedure_key) REFERENCES procedures(key) ON DELETE SET NULL');
+}
+
+async function addRequestChecks(client) {
+  const statuses = `('pending','approved','rejected','move_pending','reserved_later','cancel_pending','cancelled','completed','no_show')`;
+  await assertNoRows(client, `SELECT id, status FROM requests WHERE status IS NULL OR status NOT IN ${statuses}`,
+    'Requests with an unknown status', r => `${r.id}: ${r.status}`);
+  await client.query('ALTER TABLE requests ALTER COLUMN status SET NOT NULL');
+  await client.query(`ALTER TABLE requests ADD CONSTRAINT requests_status_check CHECK (status IN ${statuses})`);
+  await client.query(`ALTER TABLE requests ADD CONSTRAINT requests_prev_status_check CHECK (prev_status IN ${statuses})`);
+  await client.query(`ALTER TABLE requests ADD CONSTRAINT requests_initial_status_check CHECK (initial_status IN ${statuses})`);
+  await client.query(`ALTER TABLE requests ADD CONSTRAINT requests_move_initiator_check CHECK (move_initiator IN ('admin','client'))`);
+}
+
+// Two slots of one specialist (or two clinic-wide slots) may touch but not overlap. Deferred to the end of
+// the transaction because a window being booked (db.splitWindow) gets its free leftovers before it shrinks.
+async function addSlotOverlapConstraint(client) {
+  await assertNoRows(client,
+    `SELECT a.time AS a_time, b.time AS b_time FROM slots a JOIN slots b
+       ON a.id < b.id AND a.specialist_id IS NOT DISTINCT FROM b.specialist_id AND a.start < b."end" AND b.start < a."end"`,
+    'Overlapping slots, delete or shorten one of each pair', r => `${r.a_time} / ${r.b_time}`);
+  await client.query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+  await client.query('ALTER TABLE slots ADD CONSTRAINT slots_start_before_end CHECK (start < "end")');
+  await client.query(`
+    ALTER TABLE slots ADD CONSTRAINT slots_no_overlap EXCLUDE USING gist (
+      (COALESCE(specialist_id, '00000000-0000-0000-0000-000000000000'::uuid)) WITH =,
+      tstzrange(start, "end") WITH &&
+    ) DEFERRABLE INITIALLY DEFERRED
+  `);
+}
+
+// Version 1 is the schema db.initDb used to create on every start; it only adds what is missing,
+// so databases set up before migrations take it as is
+const MIGRATIONS = [
+  { version: 1, name: 'baseline', up: baseline },
+  { version: 2, name: 'indexes', up: addIndexes },
+  { version: 3, name: 'foreign_keys', up: addForeignKeys },
+  { version: 4, name: 'request_status_checks', up: addRequestChecks },
+  { version: 5, name: 'slot_overlap_exclusion', up: addSlotOverlapConstraint }
+];
+
+// Applies pending migrations and returns them; a failed one is rolled back and stops the rest
+async function migrate(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version integer PRIMARY KEY,
+        name text NOT NULL,
+        applied_at timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+    const res = await client.query('SELECT version FROM schema_migrations');
+    const done = new Set(res.rows.map(r => r.version));
+    const applied = [];
+    for (const m of MIGRATIONS) {
+      if (done.has(m.version)) continue;
+      try {
+        await client.query('BEGIN');
+        await m.up(client);
+        await client.query('INSERT INTO schema_migrations(version, name) VALUES ($1,$2)', [m.version, m.name]);
+        await client.query('COMMIT');
+      } catch (e) {
+        try { await client.query('ROLLBACK'); } catch (_) {}
+        e.message = `Migration ${m.version} (${m.name}) failed: ${e.message}`;
+        throw e;
+      }
+      applied.push(m);
+    }
+    return applied;
+  } finally {
+    try { await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]); } catch (_) {}
+    client.release();
+  }
+}
+
+// Every known migration with applied_at, null while pending
+async function getStatus(pool) {
+  const table = await pool.query(`SELECT to_regclass('schema_migrations') AS t`);
+  const res = table.rows[0].t ? await pool.query('SELECT version, applied_at FROM schema_migrations') : { rows: [] };
+  const appliedAt = new Map(res.rows.map(r => [r.version, r.applied_at]));
+  return MIGRATIONS.map(m => ({ version: m.version, name: m.name, applied_at: appliedAt.get(m.version) || null }));
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: set DATABASE_URL in env (Postgres connection string)');
+    process.exit(1);
+  }
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+  const command = process.argv[2] || 'up';
+  (async () => {
+    if (command === 'status') {
+      for (const m of await getStatus(pool)) {
+        console.log(`${m.version}\t${m.name}\t${m.applied_at ? utils.formatDateTime(new Date(m.applied_at)) : 'pending'}`);
+      }
+    } else if (command === 'up') {
+      const applied = await migrate(pool);
+      console.log(applied.length ? `Applied: ${applied.map(m => `${m.version} ${m.name}`).join(', ')}` : 'Nothing to apply');
+    } else {
+      console.error('Usage: node utils/migrations.js [up|status]');
+      process.exitCode = 1;
+    }
+  })()
+    .catch(e => {
+      console.error(e.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { MIGRATIONS, migrate, getStatus };
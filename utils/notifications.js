@@ -1,16 +1,49 @@
+const { Markup } = require('telegraf');
+const utils = require('./utils');
+const waitlist = require('./waitlist');
+
 const INTERVAL_MS = 60 * 1000;
+// Admins are alerted when a visit is still unconfirmed this many hours before it starts
+const UNCONFIRMED_ALERT_HOURS = process.env.UNCONFIRMED_ALERT_HOURS !== undefined ? Number(process.env.UNCONFIRMED_ALERT_HOURS) : 3;
+
+const CONFIRMATION_LABELS = {
+  confirmed: '✅ придёт',
+  reschedule: '🔁 просит перенос',
+  cancel: '❌ хочет отменить'
+};
 let timer = null;
 let running = false;
 
 function formatSlotTimeDisplay(slotStartIso) {
   try {
-    const d = new Date(slotStartIso);
-    return `${String(d.getDate()).padStart(2,'0')}.${String(d.getMonth()+1).padStart(2,'0')}.${d.getFullYear()} ${String(d.getHours()).padStart(2,'0')}:${String(d.getMinutes()).padStart(2,'0')}`;
+    return utils.formatDateTime(new Date(slotStartIso));
   } catch (e) {
     return slotStartIso;
   }
 }
 
+// Rules set for a procedure replace the general ones for it
+function rulesForProcedure(rules, procKey) {
+  const own = procKey ? rules.filter(rule => rule.procedure_key === procKey) : [];
+  return own.length > 0 ? own : rules.filter(rule => !rule.procedure_key);
+}
+
+function reminderDueAt(rule, slotStart) {
+  if (rule.kind === 'day_before') {
+    const day = utils.addDays(utils.getZonedParts(slotStart), -rule.days_before);
+    const [h, m] = String(rule.at_time || '20:00').split(':').map(Number);
+    return utils.zonedTimeToUtc(day.year, day.month, day.day, h, m);
+  }
+  return new Date(slotStart.getTime() - rule.offset_minutes * 60 * 1000);
+}
+
+function reminderText(rule, slotDisplay) {
+  if (rule.message) return `${rule.message}\n\nВаша запись: ${slotDisplay}.`;
+  if (rule.kind === 'day_before') return `Напоминание: у вас запись на ${slotDisplay}.`;
+  if (rule.offset_minutes === 60) return `Через час у вас запись на ${slotDisplay}.`;
+  return `Через ${utils.formatDuration(rule.offset_minutes)} у вас запись на ${slotDisplay}.`;
+}
+
 function start(pool, bot) {
   if (running) return;
   running = true;
@@ -18,39 +51,45 @@ function start(pool, bot) {
   const runOnce = async () => {
     try {
       const db = require('./db');
-      const rows = await db.getApprovedRequestsNeedingNotifications(pool);
+      const rows = await db.getApprovedRequestsForReminders(pool);
+      const rules = rows.length > 0 ? await db.getReminderRules(pool) : [];
       const now = new Date();
 
       for (const r of rows) {
-        // slot_start may come from slots.start or original_slot_start (handled in db.getApprovedRequestsNeedingNotifications)
+        // slot_start may come from slots.start or original_slot_start (handled in db.getApprovedRequestsForReminders)
         const slotStartIso = r.slot_start || r.original_slot_start || null;
         if (!slotStartIso) continue;
         const slotStart = new Date(slotStartIso);
+        const sent = new Set(r.sent_rule_ids || []);
 
-        // day before at 20:00 (local time)
-        const dayBefore20 = new Date(slotStart);
-        dayBefore20.setDate(dayBefore20.getDate() - 1);
-        dayBefore20.setHours(20, 0, 0, 0);
-
-        const oneHourBefore = new Date(slotStart.getTime() - 60 * 60 * 1000);
-
-        if (!r.notification_20_sent && now >= dayBefore20) {
+        for (const rule of rulesForProcedure(rules, r.proc_key)) {
+          if (sent.has(rule.id) || now < reminderDueAt(rule, slotStart)) continue;
           try {
             const slotDisplay = r.slot_time || formatSlotTimeDisplay(slotStartIso);
-            await bot.telegram.sendMessage(r.user_id, `Напоминание: у вас запись на ${slotDisplay}.`);
-            await db.updateRequest(pool, r.id, { notification_20_sent: true });
+            // The day-before reminder asks the client to confirm attendance
+            const extra = rule.kind === 'day_before' ? Markup.inlineKeyboard([
+              [Markup.button.callback('✅ Приду', `attend_yes_${r.id}`)],
+              [Markup.button.callback('🔁 Нужно перенести', `attend_resched_${r.id}`), Markup.button.callback('❌ Отменить', `attend_cancel_${r.id}`)]
+            ]) : {};
+            await db.enqueueMessage(pool, r.user_id, reminderText(rule, slotDisplay), extra);
+            await db.markReminderSent(pool, r.id, rule.id);
+            sent.add(rule.id);
           } catch (e) {
-            console.error('notification 20 error for', r.id, e);
+            console.error('reminder error for', r.id, 'rule', rule.id, e);
           }
         }
 
-        if (!r.notification_1h_sent && now >= oneHourBefore) {
+        const asked = rules.some(rule => rule.kind === 'day_before' && sent.has(rule.id));
+        const alertAt = new Date(slotStart.getTime() - UNCONFIRMED_ALERT_HOURS * 60 * 60 * 1000);
+        if (asked && r.client_confirmation !== 'confirmed' && !r.unconfirmed_alert_sent_at && now >= alertAt) {
           try {
-            const slotDisplay = r.slot_time || formatSlotTimeDisplay(slotStartIso);
-            await bot.telegram.sendMessage(r.user_id, `Через час у вас запись на ${slotDisplay}.`);
-            await db.updateRequest(pool, r.id, { notification_1h_sent: true });
+            const kb = Markup.inlineKeyboard([
+              [Markup.button.callback('🔁 Перенести', `move_${r.id}`), Markup.button.callback('❌ Отклонить', `reject_${r.id}`)]
+            ]);
+            await db.sendToAdmins(pool, 'attendance', `⚠️ Визит не подтверждён\nКлиент: ${utils.makeUserLink(r.user_id, r.username, r.name)}\nВремя: ${utils.escapeHtml(r.slot_time || formatSlotTimeDisplay(slotStartIso))}\nПроцедура: ${utils.escapeHtml(r.procedure || '-')}\nОтвет клиента: ${CONFIRMATION_LABELS[r.client_confirmation] || 'нет ответа'}`, { parse_mode: 'HTML', ...kb });
+            await db.updateRequest(pool, r.id, { unconfirmed_alert_sent_at: new Date().toISOString() });
           } catch (e) {
-            console.error('notification 1h error for', r.id, e);
+            console.error('unconfirmed alert error for', r.id, e);
           }
         }
       }
@@ -62,19 +101,36 @@ function start(pool, bot) {
         const slotStart = new Date(originalStartIso);
         const cutoff = new Date(slotStart.getTime() - 3 * 60 * 60 * 1000);
         const now2 = new Date();
-        const earlierSlotsRes = await pool.query('SELECT 1 FROM slots WHERE start < $1 LIMIT 1', [r.original_slot_start]);
+        // only earlier slots the reserved procedure actually fits into count
+        const proc = r.procedure_key ? await db.getProcedureByKey(pool, r.procedure_key) : null;
+        const earlierSlotsRes = await pool.query(
+          `SELECT 1 FROM slots WHERE status='free' AND start < $1 AND "end" - start >= make_interval(mins => $2)
+             AND specialist_id IS NOT DISTINCT FROM $3 LIMIT 1`,
+          [r.original_slot_start, utils.procedureMinutes(proc), r.specialist_id]
+        );
         const hasEarlier = earlierSlotsRes.rowCount > 0;
         if (!hasEarlier || now2 >= cutoff) {
           try {
-            await db.updateRequest(pool, r.id, { status: 'pending' });
-            try { await bot.telegram.sendMessage(r.user_id, `Ваша резервная заявка на ${r.original_slot_time} переведена в заявку и ожидает подтверждения администратора.`); } catch (e) {}
-            try { await db.sendToAdmins(pool, bot, `📩 Резерв переведён в заявку\nКлиент: ${r.username ? '@'+r.username : r.name}\nВремя: ${r.original_slot_time}\nПроцедура: ${r.procedure || '-'}`); } catch (e) {}
+            // r was read at the start of the tick; the client may have cancelled the reserve since
+            if (!await db.confirmReserve(pool, r.id)) continue;
+            try {
+              await db.addAuditEntry(pool, {
+                action: 'reserve_to_pending', requestId: r.id, slotId: r.slot_id, userId: r.user_id, username: r.username,
+                target: r.original_slot_time, before: { status: r.status }, after: { status: 'pending' }
+              });
+            } catch (e) { console.error('audit error', e); }
+            try { await db.enqueueMessage(pool, r.user_id, `Ваша резервная заявка на ${r.original_slot_time} переведена в заявку и ожидает подтверждения администратора.`); } catch (e) { console.error('enqueue client message failed', e); }
+            try { await db.sendToAdmins(pool, 'new_request', `📩 Резерв переведён в заявку\nКлиент: ${r.username ? '@'+r.username : r.name}\nВремя: ${r.original_slot_time}\nПроцедура: ${r.procedure || '-'}`); } catch (e) {}
           } catch (e) {
             console.error('error converting reserved to pending for', r.id, e);
           }
         }
       }
 
+      try { await waitlist.processOffers(pool); } catch (e) { console.error('waitlist offers error', e); }
+
+      try { await db.purgeExpiredDialogStates(pool); } catch (e) { console.error('purge dialog states error', e); }
+
     } catch (e) {
       console.error('notificationWorker error', e);
     }
@@ -101,4 +157,4 @@ async function shutdown(bot) {
   return;
 }
 
-module.exports = { start, shutdown };
\ No newline at end of file
+module.exports = { start, shutdown, CONFIRMATION_LABELS, formatSlotTimeDisplay, reminderDueAt };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const db = require('./db');
+
+const INTERVAL_MS = 5 * 1000;
+const BATCH_SIZE = 20;
+const LEASE_SECONDS = 60;
+const MAX_ATTEMPTS = 8;
+let timer = null;
+let running = false;
+let busy = false;
+let lastPurge = 0;
+
+// 10s, 20s, 40s ... capped at one hour
+function backoffSeconds(attempts) {
+  return Math.min(10 * 2 ** attempts, 60 * 60);
+}
+
+function describeError(e) {
+  return (e && (e.description || e.message)) || String(e);
+}
+
+function start(pool, bot) {
+  if (running) return;
+  running = true;
+
+  const runOnce = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const batch = await db.claimOutboxBatch(pool, BATCH_SIZE, LEASE_SECONDS);
+      for (let i = 0; i < batch.length; i++) {
+        const m = batch[i];
+        try {
+          await bot.telegram.sendMessage(m.chat_id, m.text, m.extra || {});
+          await db.markOutboxSent(pool, m.id);
+          await db.clearUserUnreachable(pool, m.chat_id);
+        } catch (e) {
+          const code = e && e.response ? e.response.error_code : null;
+          const error = describeError(e);
+
+          if (code === 429) {
+            // Flood limit: Telegram tells us how long to wait; hold back the rest of the batch as well
+            const retryAfter = (e.response.parameters && e.response.parameters.retry_after) || 30;
+            for (const rest of batch.slice(i)) {
+              await db.rescheduleOutbox(pool, rest.id, retryAfter, error, rest.id === m.id);
+            }
+            break;
+          }
+          if (code === 403) {
+            // The user blocked the bot (or deleted the account): retrying will not help
+            await db.markOutboxFailed(pool, m.id, error);
+            await db.markUserUnreachable(pool, m.chat_id, error);
+            continue;
+          }
+          if (code === 400 || m.attempts + 1 >= MAX_ATTEMPTS) {
+            console.error('outbox message', m.id, 'failed permanently:', error);
+            await db.markOutboxFailed(pool, m.id, error);
+            continue;
+          }
+          await db.rescheduleOutbox(pool, m.id, backoffSeconds(m.attempts), error);
+        }
+      }
+
+      if (Date.now() - lastPurge > 60 * 60 * 1000) {
+        lastPurge = Date.now();
+        try { await db.purgeSentOutbox(pool); } catch (e) { console.error('purge outbox error', e); }
+      }
+    } catch (e) {
+      console.error('outboxWorker error', e);
+    } finally {
+      busy = false;
+    }
+  };
+
+  runOnce().catch(e => console.error('outbox initial run failed', e));
+  timer = setInterval(runOnce, INTERVAL_MS);
+
+  return {
+    stop: async () => {
+      if (timer) clearInterval(timer);
+      timer = null;
+      running = false;
+    }
+  };
+}
+
+async function shutdown() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  running = false;
+}
+
+module.exports = { start, shutdown };
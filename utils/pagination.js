@@ -0,0 +1,60 @@
+const { Markup } = require('telegraf');
+
+// Rows per page: keeps list messages short and keyboards far below Telegram's button limit
+const PAGE_SIZE = 8;
+
+// Page numbers are clamped, so a list that shrank since the buttons were drawn never lands on an empty page
+function paginate(items, page, pageSize = PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(0, Number(page) || 0), pages - 1);
+  const offset = current * pageSize;
+  return { items: items.slice(offset, offset + pageSize), page: current, pages, total: items.length, offset };
+}
+
+// One page of a list as { text, kb }:
+//   title              - header, followed by the item count and the page number
+//   note               - optional HTML text under the header
+//   line(item, n)      - optional HTML text line per item (n counts from 1 across pages)
+//   buttons(item, n, page) - optional keyboard row per item, or a single button when columns is set
+//   columns            - put the item buttons side by side, this many per row
+//   pageCallback(page) - callback data that opens another page
+//   footer             - keyboard rows under the page navigation
+function buildListPage({ title, items, page = 0, pageSize = PAGE_SIZE, note = null, emptyText = null, line = null, buttons = null, columns = 0, pageCallback, footer = [] }) {
+  const p = paginate(items, page, pageSize);
+  if (p.total === 0) return { text: emptyText || `${title}: пусто.`, kb: Markup.inlineKeyboard(footer), page: 0 };
+
+  let text = `${title} (${p.total})${p.pages > 1 ? `, стр. ${p.page + 1}/${p.pages}` : ''}:`;
+  if (note) text += `\n${note}`;
+  if (line) text += '\n' + p.items.map((item, i) => line(item, p.offset + i + 1)).join('\n');
+  const itemButtons = buttons ? p.items.map((item, i) => buttons(item, p.offset + i + 1, p.page)).filter(Boolean) : [];
+  const rows = [];
+  if (columns > 0) {
+    for (let i = 0; i < itemButtons.length; i += columns) rows.push(itemButtons.slice(i, i + columns));
+  } else {
+    rows.push(...itemButtons);
+  }
+  if (p.pages > 1) {
+    rows.push([
+      Markup.button.callback('⬅️', pageCallback(p.page > 0 ? p.page - 1 : p.pages - 1)),
+      Markup.button.callback(`${p.page + 1}/${p.pages}`, 'pg_noop'),
+      Markup.button.callback('➡️', pageCallback(p.page < p.pages - 1 ? p.page + 1 : 0))
+    ]);
+  }
+  return { text, kb: Markup.inlineKeyboard([...rows, ...footer]), page: p.page };
+}
+
+// Lists open in place of the message whose button was tapped; a reply-keyboard press gets a new message
+async function showListPage(ctx, view) {
+  const extra = { parse_mode: 'HTML', disable_web_page_preview: true, ...view.kb };
+  if (ctx.callbackQuery) {
+    try {
+      await ctx.editMessageText(view.text, extra);
+      return;
+    } catch (e) {
+      if (String(e.description || e.message).includes('message is not modified')) return;
+    }
+  }
+  await ctx.reply(view.text, extra);
+}
+
+module.exports = { PAGE_SIZE, paginate, buildListPage, showListPage };
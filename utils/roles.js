@@ -0,0 +1,74 @@
+// --- ADMIN ROLES ---
+// What each admin role may do and which admin notifications it receives.
+//
+// Permissions:
+//   view        - request queues and the day schedule
+//   requests    - approve / reject / move / complete requests, decide on cancellations
+//   schedule    - slots, windows and patterns
+//   procedures  - procedures, their prices and reminder rules
+//   blacklist   - the client blacklist
+//   specialists - specialists and their procedures
+//   admins      - other admins and their roles
+//   audit       - the log of admin actions
+//   stats       - business statistics
+//   export      - CSV / ICS export of requests and visit history
+//
+// Events (see db.sendToAdmins):
+//   new_request - new requests and reserves turning into requests
+//   cancel      - client cancellations
+//   move        - client reschedule requests and answers
+//   attendance  - completed visits, no-shows, unconfirmed visits
+//   feedback    - client feedback
+//   schedule    - slots generated from the weekly schedule
+const PERMISSIONS = ['view', 'requests', 'schedule', 'procedures', 'blacklist', 'specialists', 'admins', 'audit', 'stats', 'export'];
+const EVENTS = ['new_request', 'cancel', 'move', 'attendance', 'feedback', 'schedule'];
+
+const ROLES = {
+  owner: {
+    label: 'Владелец',
+    permissions: PERMISSIONS,
+    events: EVENTS
+  },
+  scheduler: {
+    label: 'Администратор записи',
+    permissions: ['view', 'requests', 'schedule'],
+    events: ['new_request', 'cancel', 'move', 'attendance', 'schedule']
+  },
+  viewer: {
+    label: 'Наблюдатель',
+    permissions: ['view', 'stats'],
+    events: []
+  },
+  // Not stored in the admins table: given to specialists linked to a Telegram account,
+  // limited to their own slots and requests. They are notified per slot, not through sendToAdmins.
+  specialist: {
+    label: 'Специалист',
+    permissions: ['view', 'requests', 'schedule'],
+    events: []
+  }
+};
+
+// Roles an owner can assign from the admin panel
+const ASSIGNABLE_ROLES = ['owner', 'scheduler', 'viewer'];
+
+function can(role, permission) {
+  return Boolean(role && ROLES[role] && ROLES[role].permissions.includes(permission));
+}
+
+function subscribes(role, event) {
+  return Boolean(role && ROLES[role] && ROLES[role].events.includes(event));
+}
+
+function roleLabel(role) {
+  return (ROLES[role] && ROLES[role].label) || role;
+}
+
+module.exports = {
+  PERMISSIONS,
+  EVENTS,
+  ROLES,
+  ASSIGNABLE_ROLES,
+  can,
+  subscribes,
+  roleLabel
+};
@@ -0,0 +1,74 @@
+const db = require('./db');
+const utils = require('./utils');
+const waitlist = require('./waitlist');
+
+const INTERVAL_MS = 60 * 60 * 1000;
+// How far ahead the weekly schedule is turned into slots; 0 turns the generator off
+const SCHEDULE_WEEKS_AHEAD = process.env.SCHEDULE_WEEKS_AHEAD !== undefined ? Number(process.env.SCHEDULE_WEEKS_AHEAD) : 4;
+let timer = null;
+let running = false;
+let busy = false;
+
+function formatReport(report) {
+  const total = report.reduce((sum, r) => sum + r.created, 0);
+  const lines = report.map(r => `• ${utils.formatIsoDate(r.date)} — ${utils.escapeHtml(r.patternName)}: ${r.created}`);
+  return `🔁 По недельному расписанию создано слотов: ${total}\n${lines.join('\n')}`;
+}
+
+// Generates what is due, tells subscribed admins and offers the new slots to the waitlist.
+// actorId is the admin who asked for it; the hourly run is logged as the bot.
+async function generateNow(pool, actorId = null) {
+  if (busy) return [];
+  busy = true;
+  try {
+    const report = await db.generateScheduledSlots(pool, SCHEDULE_WEEKS_AHEAD);
+    if (report.length > 0) {
+      try {
+        await db.addAuditEntry(pool, {
+          actorId, action: 'schedule_generate',
+          target: `${report.reduce((sum, r) => sum + r.created, 0)} слотов`,
+          after: { from: report[0].date, to: report[report.length - 1].date }
+        });
+      } catch (e) { console.error('audit error', e); }
+      try { await db.sendToAdmins(pool, 'schedule', formatReport(report), { parse_mode: 'HTML' }); } catch (e) { console.error('schedule report error', e); }
+      try { await waitlist.processOffers(pool); } catch (e) { console.error('waitlist offers error', e); }
+    }
+    return report;
+  } finally {
+    busy = false;
+  }
+}
+
+function start(pool) {
+  if (running || SCHEDULE_WEEKS_AHEAD <= 0) return;
+  running = true;
+
+  const runOnce = async () => {
+    try {
+      await generateNow(pool);
+    } catch (e) {
+      console.error('scheduleWorker error', e);
+    }
+  };
+
+  runOnce().catch(e => console.error('schedule initial run failed', e));
+  timer = setInterval(runOnce, INTERVAL_MS);
+
+  return {
+    stop: async () => {
+      if (timer) clearInterval(timer);
+      timer = null;
+      running = false;
+    }
+  };
+}
+
+async function shutdown() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  running = false;
+}
+
+module.exports = { start, shutdown, generateNow, formatReport, SCHEDULE_WEEKS_AHEAD };
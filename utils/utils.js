@@ -19,7 +19,112 @@ function slugifyName(name) {
   return s.slice(0, 30);
 }
 
-function parseSlotDateTimeInterval(text) {
+// --- CLINIC TIME ZONE ---
+// Slot input and display are clinic wall-clock time; storage is UTC instants.
+function getClinicTimeZone() {
+  return process.env.CLINIC_TZ || 'UTC';
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const zonedFormatters = new Map();
+
+// Wall-clock fields of an instant in the given zone; weekday is 0 (Sunday) .. 6
+function getZonedParts(date, timeZone = getClinicTimeZone()) {
+  let fmt = zonedFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    zonedFormatters.set(timeZone, fmt);
+  }
+  const p = {};
+  for (const part of fmt.formatToParts(new Date(date))) p[part.type] = part.value;
+  return {
+    year: Number(p.year), month: Number(p.month), day: Number(p.day),
+    hour: Number(p.hour), minute: Number(p.minute), second: Number(p.second),
+    weekday: WEEKDAYS.indexOf(p.weekday)
+  };
+}
+
+function zoneOffsetMs(ts, timeZone) {
+  const p = getZonedParts(new Date(ts), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+}
+
+// Instant at which the clinic's clock shows the given wall-clock time
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone = getClinicTimeZone()) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+  // Offsets a day either side of the wall time cover a DST switch on that day
+  const before = zoneOffsetMs(wall - 24 * 60 * 60 * 1000, timeZone);
+  const after = zoneOffsetMs(wall + 24 * 60 * 60 * 1000, timeZone);
+  // A wall time shown twice (clocks set back) is its first occurrence
+  const matching = [wall - before, wall - after].filter(ts => wall - ts === zoneOffsetMs(ts, timeZone));
+  if (matching.length > 0) return new Date(Math.min(...matching));
+  // A wall time skipped by the switch keeps the old offset, so it moves forward by the gap
+  return new Date(wall - before);
+}
+
+// Calendar arithmetic on { year, month, day } without touching the server zone
+function addDays(ymd, days) {
+  const d = new Date(Date.UTC(ymd.year, ymd.month - 1, ymd.day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatDateParts(p) {
+  return `${pad2(p.day)}.${pad2(p.month)}.${p.year}`;
+}
+
+function isoDateParts(p) {
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+}
+
+// "YYYY-MM-DD" -> { year, month, day }
+function parseIsoDate(dateISO) {
+  const [year, month, day] = String(dateISO).split('-').map(Number);
+  return { year, month, day };
+}
+
+// "YYYY-MM-DD" -> "DD.MM.YYYY"
+function formatIsoDate(dateISO) {
+  return formatDateParts(parseIsoDate(dateISO));
+}
+
+function formatDateTime(date, timeZone = getClinicTimeZone()) {
+  const p = getZonedParts(date, timeZone);
+  return `${formatDateParts(p)} ${pad2(p.hour)}:${pad2(p.minute)}`;
+}
+
+// Slot label as admins type it: DD.MM.YYYY HH:MM-HH:MM
+function formatSlotTime(start, end, timeZone = getClinicTimeZone()) {
+  const e = getZonedParts(end, timeZone);
+  return `${formatDateTime(start, timeZone)}-${pad2(e.hour)}:${pad2(e.minute)}`;
+}
+
+// UTC bounds of a clinic calendar day given as YYYY-MM-DD
+function zonedDayRange(dateISO, timeZone = getClinicTimeZone()) {
+  const [year, month, day] = dateISO.split('-').map(Number);
+  const next = addDays({ year, month, day }, 1);
+  return {
+    start: zonedTimeToUtc(year, month, day, 0, 0, timeZone),
+    end: zonedTimeToUtc(next.year, next.month, next.day, 0, 0, timeZone)
+  };
+}
+
+function parseSlotDateTimeInterval(text, timeZone = getClinicTimeZone()) {
   const m = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
   if (!m) return null;
   const day = Number(m[1]), month = Number(m[2]), year = Number(m[3]);
@@ -30,13 +135,83 @@ function parseSlotDateTimeInterval(text) {
   if (sh < 0 || sh > 23 || eh < 0 || eh > 23) return null;
   if (sm < 0 || sm > 59 || em < 0 || em > 59) return null;
 
-  const start = new Date(Date.UTC(year, month - 1, day, sh, sm, 0, 0));
-  const end = new Date(Date.UTC(year, month - 1, day, eh, em, 0, 0));
+  const start = zonedTimeToUtc(year, month, day, sh, sm, timeZone);
+  const end = zonedTimeToUtc(year, month, day, eh, em, timeZone);
 
   if (end.getTime() <= start.getTime()) return null;
   return { start, end };
 }
 
+// Reminder rule input: "60m" / "48h" / "2d" (that long before the visit) or "1d 20:00" (N days before at a clinic time)
+function parseReminderOffset(text) {
+  const t = String(text || '').trim().toLowerCase();
+  let m = t.match(/^(\d{1,2})\s*(?:d|д)\s+(\d{1,2}):(\d{2})$/);
+  if (m) {
+    const days = Number(m[1]), h = Number(m[2]), min = Number(m[3]);
+    if (days < 1 || h > 23 || min > 59) return null;
+    return { kind: 'day_before', days_before: days, at_time: `${pad2(h)}:${pad2(min)}` };
+  }
+  m = t.match(/^(\d{1,4})\s*(m|м|h|ч|d|д)$/);
+  if (m) {
+    const units = { m: 1, 'м': 1, h: 60, 'ч': 60, d: 1440, 'д': 1440 };
+    const minutes = Number(m[1]) * units[m[2]];
+    if (minutes <= 0) return null;
+    return { kind: 'before', offset_minutes: minutes };
+  }
+  return null;
+}
+
+function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60), m = minutes % 60;
+  if (h && m) return `${h} ч ${m} мин`;
+  if (h) return `${h} ч`;
+  return `${m} мин`;
+}
+
+function describeReminderRule(rule) {
+  if (rule.kind === 'day_before') return `за ${rule.days_before} дн. в ${rule.at_time}`;
+  return `за ${formatDuration(rule.offset_minutes)}`;
+}
+
+// Minutes a slot must have for the procedure: its duration plus cleanup buffer
+function procedureMinutes(proc) {
+  if (!proc) return 0;
+  return (Number(proc.duration_minutes) || 0) + (Number(proc.buffer_minutes) || 0);
+}
+
+function procedureFitsSlot(proc, slot) {
+  return (new Date(slot.end).getTime() - new Date(slot.start).getTime()) / 60000 >= procedureMinutes(proc);
+}
+
+function formatPrice(price) {
+  if (price === null || price === undefined) return null;
+  return `${Number(price).toLocaleString('ru-RU')} ₽`;
+}
+
+// "Name — 1 ч 30 мин, 5 000 ₽ (+15 мин перерыв)"
+function describeProcedure(proc) {
+  const parts = [];
+  if (proc.duration_minutes) parts.push(formatDuration(proc.duration_minutes));
+  if (formatPrice(proc.price)) parts.push(formatPrice(proc.price));
+  let text = parts.length ? `${proc.name} — ${parts.join(', ')}` : proc.name;
+  if (Number(proc.buffer_minutes) > 0) text += ` (+${formatDuration(Number(proc.buffer_minutes))} перерыв)`;
+  return text;
+}
+
+// "<duration> <price> <buffer>", e.g. "90 5000 15"; "-" leaves a value empty
+function parseProcedureParams(text) {
+  const parts = String(text).trim().split(/\s+/);
+  if (parts.length < 1 || parts.length > 3) return null;
+  const [durationRaw, priceRaw = '-', bufferRaw = '0'] = parts;
+  const num = (v, re) => (v === '-' ? null : (re.test(v) ? Number(v.replace(',', '.')) : NaN));
+  const duration_minutes = num(durationRaw, /^\d+$/);
+  const price = num(priceRaw, /^\d+([.,]\d{1,2})?$/);
+  const buffer_minutes = num(bufferRaw, /^\d+$/);
+  if ([duration_minutes, price, buffer_minutes].some(v => Number.isNaN(v))) return null;
+  if (duration_minutes === 0) return null;
+  return { duration_minutes, price, buffer_minutes: buffer_minutes || 0 };
+}
+
 function parseDateDDMMYYYY(text) {
   const m = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
   if (!m) return null;
@@ -46,6 +221,17 @@ function parseDateDDMMYYYY(text) {
   return { year, month, day };
 }
 
+// "DD.MM.YYYY" or "DD.MM.YYYY-DD.MM.YYYY" -> { from, to } as {year, month, day}
+function parseDateRange(text) {
+  const parts = String(text).split(/\s*[-–—]\s*/);
+  if (parts.length > 2) return null;
+  const from = parseDateDDMMYYYY(parts[0].trim());
+  const to = parts.length === 2 ? parseDateDDMMYYYY(parts[1].trim()) : from;
+  if (!from || !to) return null;
+  if (isoDateParts(from) > isoDateParts(to)) return null;
+  return { from, to };
+}
+
 function isInPast(date) {
   return date.getTime() < Date.now() - 1000;
 }
@@ -58,8 +244,29 @@ module.exports = {
   escapeHtml,
   makeUserLink,
   slugifyName,
+  getClinicTimeZone,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  formatDateParts,
+  isoDateParts,
+  parseIsoDate,
+  formatIsoDate,
+  formatDateTime,
+  formatSlotTime,
+  zonedDayRange,
   parseSlotDateTimeInterval,
   parseDateDDMMYYYY,
+  parseDateRange,
+  parseReminderOffset,
+  formatDuration,
+  describeReminderRule,
+  procedureMinutes,
+  procedureFitsSlot,
+  formatPrice,
+  describeProcedure,
+  parseProcedureParams,
   isInPast,
   intervalsOverlap
 };
\ No newline at end of file
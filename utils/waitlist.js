@@ -0,0 +1,49 @@
+const { Markup } = require('telegraf');
+const db = require('./db');
+const utils = require('./utils');
+
+// How long a waitlisted client has to accept an offered slot before it goes to the next one
+const OFFER_MINUTES = process.env.WAITLIST_OFFER_MINUTES !== undefined ? Number(process.env.WAITLIST_OFFER_MINUTES) : 30;
+let busy = false;
+let rerun = false;
+
+// Expire unanswered offers, then offer every free slot to the next matching client.
+// Called by the notification worker and right after a slot is freed or created; a call that comes
+// in while a pass is running is not dropped, that pass goes round once more when it is done.
+async function processOffers(pool) {
+  if (busy) {
+    rerun = true;
+    return;
+  }
+  busy = true;
+  try {
+    do {
+      rerun = false;
+      await offerFreeSlots(pool);
+    } while (rerun);
+  } finally {
+    busy = false;
+    rerun = false;
+  }
+}
+
+async function offerFreeSlots(pool) {
+  const expired = await db.expireWaitlistOffers(pool);
+  for (const o of expired) {
+    try {
+      await db.enqueueMessage(pool, o.user_id, `Время на ответ истекло, интервал ${o.slot_time} предложен следующему клиенту. Вы остаётесь в листе ожидания.`);
+    } catch (e) { console.error('enqueue waitlist expiry failed', e); }
+  }
+
+  const offers = await db.createWaitlistOffers(pool, OFFER_MINUTES, utils.getClinicTimeZone());
+  for (const { offer, entry, slot } of offers) {
+    try {
+      const kb = Markup.inlineKeyboard([
+        [Markup.button.callback('✅ Записаться', `wl_acc_${offer.id}`), Markup.button.callback('Отказаться', `wl_dec_${offer.id}`)]
+      ]);
+      await db.enqueueMessage(pool, entry.user_id, `🎉 Освободился интервал: ${slot.time}\nОн закреплён за вами до ${utils.formatDateTime(new Date(offer.expires_at))}. Записаться?`, kb);
+    } catch (e) { console.error('enqueue waitlist offer failed', e); }
+  }
+}
+
+module.exports = { processOffers };
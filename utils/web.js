@@ -0,0 +1,376 @@
+// --- ADMIN WEB DASHBOARD ---
+// Server-rendered pages under /admin: a week calendar of slots and bookings, slot and pattern
+// management, and approve / reject / move for requests. Changes go through utils/actions.js,
+// so the clients get the same notifications as from the bot.
+//
+// Login is the Telegram Login Widget (the dashboard's domain has to be linked to the bot with
+// /setdomain in BotFather); the signed-in account must be an admin, and its role is checked
+// again on every request, so removing an admin in the bot locks them out of the dashboard too.
+const express = require('express');
+const { createHash, createHmac, timingSafeEqual } = require('crypto');
+const db = require('./db');
+const utils = require('./utils');
+const roles = require('./roles');
+const actions = require('./actions');
+
+const SESSION_COOKIE = 'mbp_admin';
+const SESSION_HOURS = Number(process.env.DASHBOARD_SESSION_HOURS) || 12;
+// Telegram login data older than this is not accepted
+const LOGIN_MAX_AGE_SECONDS = 24 * 60 * 60;
+const UUID_RE = /^[0-9a-fA-F-]{36}$/;
+const WEEKDAY_SHORT = ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'];
+const SLOT_STATUS_LABELS = { free: 'свободно', held: 'удерживается', booked: 'занято', blocked: 'закрыто' };
+const REQUEST_TABS = [
+  { status: 'pending', label: 'Ожидающие' },
+  { status: 'approved', label: 'Подтверждённые' },
+  { status: 'move_pending', label: 'Ожидающие переноса' }
+];
+
+const STYLE = `body{font-family:system-ui,sans-serif;margin:0;color:#222}
+nav{background:#2b5278;padding:8px 16px}nav a{color:#fff;margin-right:16px;text-decoration:none}
+main{padding:16px;max-width:1100px}table{border-collapse:collapse;width:100%;margin-bottom:16px}
+td,th{border-bottom:1px solid #ddd;padding:4px 8px;text-align:left;vertical-align:top}
+form.inline{display:inline}.msg{background:#eef6e8;padding:8px;margin-bottom:12px}
+.day{margin-top:16px}.muted{color:#888}fieldset{margin-bottom:16px}`;
+
+function sign(secret, value) {
+  return createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+// https://core.telegram.org/widgets/login#checking-authorization
+function verifyTelegramLogin(query, botToken) {
+  const { hash, ...data } = query;
+  if (!hash || !data.id || !data.auth_date) return false;
+  const checkString = Object.keys(data).sort().map(k => `${k}=${data[k]}`).join('\n');
+  const secret = createHash('sha256').update(botToken).digest();
+  const expected = createHmac('sha256', secret).update(checkString).digest('hex');
+  if (!safeEqual(expected, hash)) return false;
+  return Date.now() / 1000 - Number(data.auth_date) <= LOGIN_MAX_AGE_SECONDS;
+}
+
+// Session cookie value: base64url JSON { id, name, exp } and its signature
+function encodeSession(secret, session) {
+  const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+// The session, or null if the value is missing, forged, malformed or expired
+function decodeSession(secret, raw) {
+  if (!raw) return null;
+  const [payload, mac] = raw.split('.');
+  if (!payload || !safeEqual(sign(secret, payload), mac)) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return session.exp > Date.now() ? session : null;
+  } catch (_) { return null; }
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+function setSessionCookie(req, res, value, maxAgeSeconds) {
+  const secure = req.secure || req.get('x-forwarded-proto') === 'https' ? '; Secure' : '';
+  res.set('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/admin; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure}`);
+}
+
+function weekdayOf(dateISO) {
+  const { year, month, day } = utils.parseIsoDate(dateISO);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function clockTime(date) {
+  return utils.formatDateTime(new Date(date)).slice(11);
+}
+
+function clientLabel(r) {
+  return r.username ? '@' + r.username : (r.name || String(r.user_id));
+}
+
+// Form fields holding an id; anything else counts as not chosen
+function formId(value) {
+  return UUID_RE.test(String(value || '')) ? String(value) : null;
+}
+
+function withMsg(path, msg) {
+  return `${path}${path.includes('?') ? '&' : '?'}msg=${encodeURIComponent(msg)}`;
+}
+
+// createDashboardRouter(pool, { botToken, getBotUsername, roleOf, specialistOf }):
+//   roleOf(telegramId)       - the admin role or null (bot.js adminRole)
+//   specialistOf(telegramId) - the specialist a specialist admin is limited to, or null
+function createDashboardRouter(pool, { botToken, getBotUsername, roleOf, specialistOf }) {
+  const secret = createHmac('sha256', 'admin-dashboard').update(botToken).digest();
+  const router = express.Router();
+  router.use('/admin', express.urlencoded({ extended: false }));
+  // Every :id is a slot, request or pattern uuid
+  router.param('id', (req, res, next, id) => (UUID_RE.test(id) ? next() : res.status(404).send('Не найдено')));
+
+  function readSession(req) {
+    const raw = readCookie(req, SESSION_COOKIE);
+    const session = decodeSession(secret, raw);
+    return session ? { ...session, raw } : null;
+  }
+
+  function page(req, title, body) {
+    const admin = req.admin;
+    const msg = req.query.msg ? `<div class="msg">${utils.escapeHtml(req.query.msg)}</div>` : '';
+    const nav = admin
+      ? `<nav><a href="/admin/calendar">Календарь</a><a href="/admin/requests">Заявки</a>${roles.can(admin.role, 'schedule') ? '<a href="/admin/patterns">Шаблоны</a>' : ''}
+<form class="inline" method="post" action="/admin/logout">${csrfField(req)}<button>Выйти (${utils.escapeHtml(admin.name)}, ${utils.escapeHtml(roles.roleLabel(admin.role))})</button></form></nav>`
+      : '';
+    return `<!DOCTYPE html><html lang="ru"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${utils.escapeHtml(title)}</title><style>${STYLE}</style></head><body>${nav}<main><h2>${utils.escapeHtml(title)}</h2>${msg}${body}</main></body></html>`;
+  }
+
+  function csrfField(req) {
+    return `<input type="hidden" name="_csrf" value="${sign(secret, 'csrf:' + req.admin.raw)}">`;
+  }
+
+  function postButton(req, action, label) {
+    return `<form class="inline" method="post" action="${action}">${csrfField(req)}<button>${label}</button></form>`;
+  }
+
+  // Wraps a handler: signed in, allowed, and a valid CSRF token on POST; errors end as a 500 page
+  function guard(permission, handler) {
+    return async (req, res) => {
+      try {
+        const session = readSession(req);
+        const role = session ? roleOf(session.id) : null;
+        if (!role) return res.redirect('/admin/login');
+        req.admin = { id: session.id, name: session.name, raw: session.raw, role, specialistId: specialistOf(session.id) };
+        if (!roles.can(role, permission)) return res.status(403).send(page(req, 'Нет доступа', '<p>Вашей роли этот раздел недоступен.</p>'));
+        if (req.method === 'POST' && !safeEqual(req.body._csrf, sign(secret, 'csrf:' + session.raw))) return res.status(403).send(page(req, 'Ошибка', '<p>Форма устарела, обновите страницу.</p>'));
+        await handler(req, res);
+      } catch (e) {
+        console.error('dashboard error', req.path, e);
+        res.status(500).send('Ошибка');
+      }
+    };
+  }
+
+  // A specialist admin only sees and changes their own slots, patterns and requests
+  function ownsSpecialist(req, specialistId) {
+    return !req.admin.specialistId || specialistId === req.admin.specialistId;
+  }
+
+  async function loadOwnRequest(req) {
+    const r = await db.getRequestCard(pool, req.params.id);
+    return r && ownsSpecialist(req, r.specialist_id) ? r : null;
+  }
+
+  router.get('/admin/login', async (req, res) => {
+    try {
+      const username = await getBotUsername();
+      res.send(page(req, 'Вход в админ-панель', `<p>Войдите через Telegram аккаунт администратора.</p>
+<script async src="https://telegram.org/js/telegram-widget.js?22" data-telegram-login="${utils.escapeHtml(username)}" data-size="large" data-onauth="onTelegramAuth(user)"></script>
+<script>function onTelegramAuth(user){location.href='/admin/auth?'+new URLSearchParams(user).toString();}</script>`));
+    } catch (e) {
+      console.error('dashboard login error', e);
+      res.status(500).send('Ошибка');
+    }
+  });
+
+  router.get('/admin/auth', (req, res) => {
+    if (!verifyTelegramLogin(req.query, botToken)) return res.status(403).send(page(req, 'Вход не выполнен', '<p>Не удалось проверить данные Telegram. <a href="/admin/login">Попробовать снова</a></p>'));
+    const id = Number(req.query.id);
+    if (!roleOf(id)) return res.status(403).send(page(req, 'Нет доступа', '<p>Этот аккаунт не является администратором.</p>'));
+    const name = req.query.username ? '@' + req.query.username : [req.query.first_name, req.query.last_name].filter(Boolean).join(' ');
+    setSessionCookie(req, res, encodeSession(secret, { id, name, exp: Date.now() + SESSION_HOURS * 3600 * 1000 }), SESSION_HOURS * 3600);
+    res.redirect('/admin/calendar');
+  });
+
+  router.post('/admin/logout', guard('view', async (req, res) => {
+    setSessionCookie(req, res, '', 0);
+    res.redirect('/admin/login');
+  }));
+
+  router.get('/admin', (req, res) => res.redirect('/admin/calendar'));
+
+  // Monday-to-Sunday week containing ?date=YYYY-MM-DD (today by default)
+  router.get('/admin/calendar', guard('view', async (req, res) => {
+    const today = utils.isoDateParts(utils.getZonedParts(new Date()));
+    const anchor = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : today;
+    const first = utils.addDays(utils.parseIsoDate(anchor), -((weekdayOf(anchor) + 6) % 7));
+    const from = utils.zonedDayRange(utils.isoDateParts(first)).start;
+    const to = utils.zonedDayRange(utils.isoDateParts(utils.addDays(first, 6))).end;
+    const rows = await db.getSlotsWithRequests(pool, from.toISOString(), to.toISOString(), { specialistId: req.admin.specialistId });
+    const canSchedule = roles.can(req.admin.role, 'schedule');
+
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const iso = utils.isoDateParts(utils.addDays(first, i));
+      const entries = rows.filter(r => utils.isoDateParts(utils.getZonedParts(new Date(r.start))) === iso);
+      const lines = entries.map(r => {
+        let what = utils.escapeHtml(SLOT_STATUS_LABELS[r.status] || r.status);
+        if (r.request_id) what = `<a href="/admin/requests/${r.request_id}">${utils.escapeHtml(clientLabel(r))}</a> — ${utils.escapeHtml(r.procedure || '-')} (${utils.escapeHtml(r.request_status)})`;
+        const del = canSchedule && !r.request_id && ['free', 'blocked'].includes(r.status)
+          ? postButton(req, `/admin/slots/${r.id}/delete?date=${iso}`, 'Удалить') : '';
+        return `<tr><td>${clockTime(r.start)}–${clockTime(r.end)}${r.kind === 'window' ? ' (окно)' : ''}</td><td>${what}</td><td>${utils.escapeHtml(r.specialist_name || '')}</td><td>${del}</td></tr>`;
+      });
+      days.push(`<div class="day"><b>${WEEKDAY_SHORT[weekdayOf(iso)]} ${utils.formatIsoDate(iso)}</b>
+${lines.length ? `<table>${lines.join('')}</table>` : '<div class="muted">Слотов нет.</div>'}</div>`);
+    }
+
+    let addForm = '';
+    if (canSchedule) {
+      const specialists = req.admin.specialistId ? [] : await db.getSpecialists(pool);
+      const specSelect = specialists.length
+        ? `<select name="specialist_id"><option value="">Без специалиста</option>${specialists.map(sp => `<option value="${sp.id}">${utils.escapeHtml(sp.name)}</option>`).join('')}</select>`
+        : '';
+      addForm = `<form method="post" action="/admin/slots"><fieldset><legend>Добавить слот</legend>${csrfField(req)}
+<input type="date" name="date" value="${anchor}" required> <input type="time" name="start" required> – <input type="time" name="end" required>
+<select name="kind"><option value="fixed">Слот</option><option value="window">Открытое окно</option></select> ${specSelect}
+<button>Добавить</button></fieldset></form>`;
+    }
+
+    const weekNav = `<p><a href="/admin/calendar?date=${utils.isoDateParts(utils.addDays(first, -7))}">◀ Пред. неделя</a> |
+<a href="/admin/calendar?date=${today}">Сегодня</a> | <a href="/admin/calendar?date=${utils.isoDateParts(utils.addDays(first, 7))}">След. неделя ▶</a></p>`;
+    res.send(page(req, `Неделя ${utils.formatDateParts(first)} – ${utils.formatDateParts(utils.addDays(first, 6))}`, addForm + weekNav + days.join('')));
+  }));
+
+  router.post('/admin/slots', guard('schedule', async (req, res) => {
+    const { date, start, end } = req.body;
+    const back = `/admin/calendar?date=${/^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date : ''}`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(start || '') || !/^\d{2}:\d{2}$/.test(end || '')) return res.redirect(withMsg(back, 'Укажите дату, начало и конец.'));
+    const specialistId = req.admin.specialistId || formId(req.body.specialist_id);
+    const label = `${utils.formatIsoDate(date)} ${start}-${end}`;
+    const result = await actions.addSlot(pool, req.admin.id, { label, kind: req.body.kind, specialistId });
+    if (result.reason === 'format') return res.redirect(withMsg(back, 'Некорректная дата или время.'));
+    if (result.reason === 'past') return res.redirect(withMsg(back, 'Нельзя создать слот, который начинается в прошлом.'));
+    if (result.reason === 'overlap') return res.redirect(withMsg(back, `Нельзя создать перекрывающийся слот. Конфликт с: ${result.conflict.time}`));
+    res.redirect(withMsg(back, `Слот ${label} добавлен.`));
+  }));
+
+  router.post('/admin/slots/:id/delete', guard('schedule', async (req, res) => {
+    const back = `/admin/calendar?date=${/^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : ''}`;
+    const slot = await db.getSlotById(pool, req.params.id);
+    if (!slot || !ownsSpecialist(req, slot.specialist_id)) return res.redirect(withMsg(back, 'Слот не найден.'));
+    const deleted = await actions.deleteSlot(pool, req.admin.id, slot.id);
+    res.redirect(withMsg(back, deleted ? 'Слот удалён.' : 'Слот занят заявкой или уже удалён.'));
+  }));
+
+  function requestActions(req, r) {
+    if (!roles.can(req.admin.role, 'requests')) return '';
+    const buttons = [];
+    if (r.status === 'pending') buttons.push(postButton(req, `/admin/requests/${r.id}/approve`, 'Подтвердить'));
+    if (['pending', 'approved'].includes(r.status)) buttons.push(`<a href="/admin/requests/${r.id}/move">Перенести</a>`);
+    if (actions.REJECTABLE_STATUSES.includes(r.status)) buttons.push(postButton(req, `/admin/requests/${r.id}/reject`, 'Отклонить'));
+    return buttons.join(' ');
+  }
+
+  function requestRow(req, r) {
+    return `<tr><td><a href="/admin/requests/${r.id}">${utils.escapeHtml(r.time)}</a></td><td>${utils.escapeHtml(clientLabel(r))}</td>
+<td>${utils.escapeHtml(r.procedure || '-')}</td><td>${utils.escapeHtml(r.specialist_name || '')}</td><td>${requestActions(req, r)}</td></tr>`;
+  }
+
+  router.get('/admin/requests', guard('view', async (req, res) => {
+    const tab = REQUEST_TABS.find(t => t.status === req.query.status) || REQUEST_TABS[0];
+    const list = await db.getRequestsByStatus(pool, tab.status, { specialistId: req.admin.specialistId });
+    const tabs = REQUEST_TABS.map(t => t === tab ? `<b>${t.label}</b>` : `<a href="/admin/requests?status=${t.status}">${t.label}</a>`).join(' | ');
+    const table = list.length
+      ? `<table><tr><th>Время</th><th>Клиент</th><th>Процедура</th><th>Специалист</th><th></th></tr>${list.map(r => requestRow(req, r)).join('')}</table>`
+      : '<p class="muted">Заявок нет.</p>';
+    res.send(page(req, `Заявки: ${tab.label} (${list.length})`, `<p>${tabs}</p>${table}`));
+  }));
+
+  router.get('/admin/requests/:id', guard('view', async (req, res) => {
+    const r = await loadOwnRequest(req);
+    if (!r) return res.status(404).send(page(req, 'Заявка не найдена', ''));
+    const details = [
+      ['Время', r.time],
+      ['Клиент', clientLabel(r)],
+      ['Процедура', r.procedure || '-'],
+      ['Специалист', r.specialist_name || '-'],
+      ['Стоимость', utils.formatPrice(r.price) || '-'],
+      ['Статус', r.status],
+      ['Предложенный перенос', r.pending_move_time || '']
+    ].filter(([, v]) => v).map(([k, v]) => `<tr><th>${k}</th><td>${utils.escapeHtml(v)}</td></tr>`).join('');
+    res.send(page(req, 'Заявка', `<table>${details}</table><p>${requestActions(req, r)}</p>`));
+  }));
+
+  router.post('/admin/requests/:id/approve', guard('requests', async (req, res) => {
+    const r = await loadOwnRequest(req);
+    if (!r || !await actions.approveRequest(pool, req.admin.id, await db.getRequestById(pool, r.id))) return res.redirect(withMsg('/admin/requests', 'Заявка не найдена или уже обработана.'));
+    res.redirect(withMsg('/admin/requests', `Заявка на ${r.time} подтверждена.`));
+  }));
+
+  router.post('/admin/requests/:id/reject', guard('requests', async (req, res) => {
+    const r = await loadOwnRequest(req);
+    if (!r || !await actions.rejectRequest(pool, req.admin.id, await db.getRequestById(pool, r.id))) return res.redirect(withMsg('/admin/requests', 'Заявка не найдена или уже обработана.'));
+    res.redirect(withMsg(`/admin/requests?status=${r.status}`, `Заявка на ${r.time} отклонена.`));
+  }));
+
+  router.get('/admin/requests/:id/move', guard('requests', async (req, res) => {
+    const r = await loadOwnRequest(req);
+    if (!r) return res.status(404).send(page(req, 'Заявка не найдена', ''));
+    const slots = await db.getAllSlots(pool, { ...await actions.requestSlotNeeds(pool, r), specialistId: req.admin.specialistId || null });
+    const rows = slots.map(s => `<tr><td>${utils.escapeHtml(s.time)}${s.kind === 'window' ? ' (окно)' : ''}</td><td>${utils.escapeHtml(s.specialist_name || '')}</td>
+<td><form class="inline" method="post" action="/admin/requests/${r.id}/move">${csrfField(req)}<input type="hidden" name="slot_id" value="${s.id}"><button>Предложить</button></form></td></tr>`);
+    const body = `<p>${utils.escapeHtml(clientLabel(r))}, ${utils.escapeHtml(r.procedure || '-')}, сейчас: ${utils.escapeHtml(r.time)}</p>
+${rows.length ? `<table>${rows.join('')}</table>` : '<p class="muted">Нет свободных интервалов.</p>'}`;
+    res.send(page(req, 'Перенос заявки', body));
+  }));
+
+  router.post('/admin/requests/:id/move', guard('requests', async (req, res) => {
+    const r = await loadOwnRequest(req);
+    if (!r) return res.redirect(withMsg('/admin/requests', 'Заявка не найдена.'));
+    const slotId = formId(req.body.slot_id);
+    const slot = slotId && await db.getSlotById(pool, slotId);
+    if (!slot || !ownsSpecialist(req, slot.specialist_id)) return res.redirect(withMsg(`/admin/requests/${r.id}/move`, 'Выберите интервал.'));
+    const claim = await actions.offerMove(pool, req.admin.id, r.id, slotId);
+    if (!claim.ok) {
+      const reason = claim.reason === 'taken' ? 'Этот слот только что заняли. Выберите другой интервал.'
+        : claim.reason === 'request' ? 'Заявку нельзя перенести.' : 'Ошибка при предложении переноса.';
+      return res.redirect(withMsg(`/admin/requests/${r.id}/move`, reason));
+    }
+    res.redirect(withMsg('/admin/requests?status=move_pending', 'Предложение на перенос отправлено клиенту.'));
+  }));
+
+  router.get('/admin/patterns', guard('schedule', async (req, res) => {
+    const patterns = (await db.getPatternsDb(pool)).filter(p => ownsSpecialist(req, p.specialist_id));
+    const specialists = await db.getSpecialists(pool);
+    const specName = id => (specialists.find(sp => sp.id === id) || {}).name || '';
+    const rows = patterns.map(p => `<tr><td>${utils.escapeHtml(p.name)}${p.kind === 'window' ? ' (окна)' : ''}</td><td>${utils.escapeHtml(p.intervals)}</td>
+<td>${utils.escapeHtml(specName(p.specialist_id))}</td><td>${postButton(req, `/admin/patterns/${p.id}/delete`, 'Удалить')}</td></tr>`);
+    const specSelect = !req.admin.specialistId && specialists.length
+      ? `<select name="specialist_id"><option value="">Без специалиста</option>${specialists.map(sp => `<option value="${sp.id}">${utils.escapeHtml(sp.name)}</option>`).join('')}</select>`
+      : '';
+    const body = `<form method="post" action="/admin/patterns"><fieldset><legend>Добавить шаблон</legend>${csrfField(req)}
+<input name="name" placeholder="Название" required> <input name="intervals" placeholder="10:00-12:00,13:00-18:00" required>
+<select name="kind"><option value="fixed">Слоты</option><option value="window">Окна</option></select> ${specSelect}
+<button>Добавить</button></fieldset></form>
+${rows.length ? `<table>${rows.join('')}</table>` : '<p class="muted">Шаблонов расписания пока нет.</p>'}`;
+    res.send(page(req, 'Шаблоны расписания', body));
+  }));
+
+  router.post('/admin/patterns', guard('schedule', async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    const intervals = String(req.body.intervals || '').trim();
+    if (!name || !intervals) return res.redirect(withMsg('/admin/patterns', 'Укажите название и интервалы.'));
+    const specialistId = req.admin.specialistId || formId(req.body.specialist_id);
+    await actions.addPattern(pool, req.admin.id, { name, intervals, kind: req.body.kind, specialistId });
+    res.redirect(withMsg('/admin/patterns', `Шаблон "${name}" добавлен.`));
+  }));
+
+  router.post('/admin/patterns/:id/delete', guard('schedule', async (req, res) => {
+    const pattern = await db.getPatternById(pool, req.params.id);
+    if (!pattern || !ownsSpecialist(req, pattern.specialist_id)) return res.redirect(withMsg('/admin/patterns', 'Шаблон не найден.'));
+    await actions.deletePattern(pool, req.admin.id, pattern.id);
+    res.redirect(withMsg('/admin/patterns', 'Шаблон удалён.'));
+  }));
+
+  return router;
+}
+
+module.exports = { createDashboardRouter, verifyTelegramLogin, encodeSession, decodeSession };